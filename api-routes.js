@@ -2,11 +2,30 @@
 // Database-backed file management
 
 import { Router } from 'express';
+import { createHash } from 'crypto';
 import db from './database.js';
 import svgProcessor from './svg-processor.js';
+import rasterProcessor, { ALGORITHMS } from './raster-processor.js';
+import textRenderer, { ALIGNMENTS } from './text-renderer.js';
+import { DEFAULT_PROFILE, penPatterns, fitToMachine } from './machine-profiles.js';
+import { motionOptions, DEFAULT_MOTION } from './motion-planner.js';
+import PenCalibration, { DEFAULT_OPTIONS as CALIBRATION_DEFAULTS } from './pen-calibration.js';
 
-export function createApiRoutes(jobManager) {
+// Path optimizers a file can select ('auto' uses vpype when installed, else the native one)
+const OPTIMIZERS = ['auto', 'vpype', 'native', 'none'];
+
+// Processed SVG/image files, oldest first: tracing and optimizing take seconds on a Pi and block
+// job streaming, so previews, G-code and runs of an unchanged file reuse the result
+const PROCESSED_CACHE_SIZE = 8;
+const processedFiles = new Map();  // content + options hash -> Promise of the processor's result
+
+export function createApiRoutes(registry, webcam = null) {
   const router = Router();
+  const penCalibration = new PenCalibration({ webcam });
+
+  // Files are previewed and generated for the default machine's profile and pens (jobs use their machine's)
+  const defaultProfile = () => machineProfile(registry.getDefault());
+  const defaultMotion = () => machineMotion(registry.getDefault());
 
   // List all files
   router.get('/files', (req, res) => {
@@ -29,19 +48,20 @@ export function createApiRoutes(jobManager) {
       // Generate preview paths and stats
       let preview = null;
       let stats = null;
+      let layers = null;
 
-      if (file.type === 'svg') {
-        const result = await svgProcessor.processToGcode(file.content, file.settings);
+      if (file.type !== 'gcode') {
+        const result = await processFile(file, registry.getDefault());
         if (result.success) {
           stats = result.stats;
-          // Parse preview paths from the processor
-          const paths = svgProcessor.parseSvgPaths(file.content);
-          preview = svgProcessor.scalePaths(paths, file.settings);
+          layers = result.layers;
+          // Preview the plotted paths (scaled, hatched and in drawing order)
+          preview = result.paths;
         }
       } else {
         // G-code file - parse for preview
-        preview = parseGcodeForPreview(file.content);
-        stats = svgProcessor.calculateStats(file.content, file.settings);
+        preview = parseGcodeForPreview(file.content, defaultProfile());
+        stats = svgProcessor.calculateStats(file.content, { ...file.settings, profile: defaultProfile(), motion: defaultMotion() });
       }
 
       res.json({
@@ -49,7 +69,8 @@ export function createApiRoutes(jobManager) {
         data: {
           ...file,
           preview,
-          stats
+          stats,
+          layers
         }
       });
     } catch (err) {
@@ -69,15 +90,25 @@ export function createApiRoutes(jobManager) {
       // Determine type
       const ext = filename.split('.').pop().toLowerCase();
       let type;
+      let fileContent = content;
       if (ext === 'svg') {
         type = 'svg';
       } else if (['gcode', 'g', 'nc'].includes(ext)) {
         type = 'gcode';
+      } else if (['png', 'jpg', 'jpeg'].includes(ext)) {
+        // Images are uploaded base64-encoded (a data URL prefix is dropped)
+        type = 'image';
+        fileContent = content.replace(/^data:[^,]*,/, '');
+        try {
+          rasterProcessor.decodeImage(fileContent);
+        } catch (err) {
+          return res.status(400).json({ success: false, error: `Invalid image: ${err.message}` });
+        }
       } else {
         return res.status(400).json({ success: false, error: 'Unsupported file type' });
       }
 
-      const file = db.createFile(filename, type, content);
+      const file = db.createFile(filename, type, fileContent);
       res.json({ success: true, data: file });
     } catch (err) {
       res.status(500).json({ success: false, error: err.message });
@@ -119,6 +150,27 @@ export function createApiRoutes(jobManager) {
         return res.status(404).json({ success: false, error: 'File not found' });
       }
 
+      const layersError = validateLayerSettings(req.body.layers);
+      if (layersError) {
+        return res.status(400).json({ success: false, error: layersError });
+      }
+
+      const { curveTolerance } = req.body;
+      if (curveTolerance !== undefined && !(Number.isFinite(curveTolerance) && curveTolerance > 0)) {
+        return res.status(400).json({ success: false, error: 'curveTolerance must be a positive number of mm' });
+      }
+      if (req.body.optimizer !== undefined && !OPTIMIZERS.includes(req.body.optimizer)) {
+        return res.status(400).json({ success: false, error: `optimizer must be one of: ${OPTIMIZERS.join(', ')}` });
+      }
+      const hatchError = validateHatchSettings(req.body.hatch);
+      if (hatchError) {
+        return res.status(400).json({ success: false, error: hatchError });
+      }
+      const rasterError = validateRasterSettings(req.body.raster);
+      if (rasterError) {
+        return res.status(400).json({ success: false, error: rasterError });
+      }
+
       db.updateSettings(fileId, req.body);
 
       // Return updated file with regenerated preview/stats
@@ -126,17 +178,19 @@ export function createApiRoutes(jobManager) {
 
       let preview = null;
       let stats = null;
+      let layers = null;
 
-      if (updatedFile.type === 'svg') {
-        const result = await svgProcessor.processToGcode(updatedFile.content, updatedFile.settings);
+      if (updatedFile.type !== 'gcode') {
+        const result = await processFile(updatedFile, registry.getDefault());
         if (result.success) {
           stats = result.stats;
-          const paths = svgProcessor.parseSvgPaths(updatedFile.content);
-          preview = svgProcessor.scalePaths(paths, updatedFile.settings);
+          layers = result.layers;
+          // Preview the plotted paths (scaled, hatched and in drawing order)
+          preview = result.paths;
         }
       } else {
-        preview = parseGcodeForPreview(updatedFile.content);
-        stats = svgProcessor.calculateStats(updatedFile.content, updatedFile.settings);
+        preview = parseGcodeForPreview(updatedFile.content, defaultProfile());
+        stats = svgProcessor.calculateStats(updatedFile.content, { ...updatedFile.settings, profile: defaultProfile(), motion: defaultMotion() });
       }
 
       res.json({
@@ -144,7 +198,8 @@ export function createApiRoutes(jobManager) {
         data: {
           ...updatedFile,
           preview,
-          stats
+          stats,
+          layers
         }
       });
     } catch (err) {
@@ -184,8 +239,8 @@ export function createApiRoutes(jobManager) {
       }
 
       let gcode;
-      if (file.type === 'svg') {
-        const result = await svgProcessor.processToGcode(file.content, file.settings);
+      if (file.type !== 'gcode') {
+        const result = await processFile(file, registry.getDefault());
         if (!result.success) {
           return res.status(500).json({ success: false, error: result.error });
         }
@@ -203,14 +258,20 @@ export function createApiRoutes(jobManager) {
   // Run file as job
   router.post('/files/:id/run', async (req, res) => {
     try {
+      // Runs on the default machine unless one is named
+      const machine = req.body?.machineId ? registry.getMachine(req.body.machineId) : registry.getDefault();
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.body.machineId} not found` });
+      }
+
       const file = db.getFile(parseInt(req.params.id));
       if (!file) {
         return res.status(404).json({ success: false, error: 'File not found' });
       }
 
       let gcode;
-      if (file.type === 'svg') {
-        const result = await svgProcessor.processToGcode(file.content, file.settings);
+      if (file.type !== 'gcode') {
+        const result = await processFile(file, machine);
         if (!result.success) {
           return res.status(500).json({ success: false, error: result.error });
         }
@@ -220,15 +281,414 @@ export function createApiRoutes(jobManager) {
       }
 
       // Create job
-      const job = jobManager.createJob(gcode, file.filename);
+      const job = machine.jobManager.createJob(file.filename, gcode, {
+        fileId: file.id,
+        settings: file.settings,
+        ignoreBounds: req.body?.ignoreBounds
+      });
 
       res.json({
         success: true,
         data: {
           jobId: job.id,
-          filename: file.filename
+          machineId: machine.id,
+          filename: file.filename,
+          ink: machine.jobManager.checkInk(job),
+          bounds: job.bounds
         }
       });
+    } catch (err) {
+      if (err.code === 'OUT_OF_BOUNDS') {
+        return res.status(400).json({ success: false, error: err.message, data: { bounds: err.bounds } });
+      }
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Single-stroke fonts for text files
+  router.get('/text/fonts', (req, res) => {
+    try {
+      res.json({ success: true, data: textRenderer.listFonts() });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Create an SVG file from text
+  // Body: text, filename (optional), font, size (mm cap height), lineSpacing, letterSpacing (mm), align, rotation (degrees)
+  router.post('/text', (req, res) => {
+    try {
+      const { text, filename, ...options } = req.body;
+
+      const textError = validateTextOptions(text, options);
+      if (textError) {
+        return res.status(400).json({ success: false, error: textError });
+      }
+
+      let svg;
+      try {
+        svg = textRenderer.renderSvg(text, options);
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+
+      // Named after the text unless a filename is given
+      const baseName = (filename || text.trim().slice(0, 40).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'text')
+        .replace(/\.svg$/i, '');
+      const file = db.createFile(`${baseName}.svg`, 'svg', svg);
+      res.json({ success: true, data: file });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // List machine profiles
+  router.get('/profiles', (req, res) => {
+    try {
+      res.json({ success: true, data: db.getProfiles() });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Get machine profile
+  router.get('/profiles/:id', (req, res) => {
+    try {
+      const profile = db.getProfile(parseInt(req.params.id));
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Profile not found' });
+      }
+      res.json({ success: true, data: profile });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Create machine profile
+  // Body: name, penUp, penDown, header, footer, park ({ x, y } or null), bedWidth, bedHeight
+  router.post('/profiles', (req, res) => {
+    try {
+      const profile = {
+        header: DEFAULT_PROFILE.header,
+        footer: DEFAULT_PROFILE.footer,
+        park: DEFAULT_PROFILE.park,
+        bedWidth: DEFAULT_PROFILE.bedWidth,
+        bedHeight: DEFAULT_PROFILE.bedHeight,
+        ...req.body
+      };
+
+      const profileError = validateProfile(profile) ?? uniqueProfileName(profile.name);
+      if (profileError) {
+        return res.status(400).json({ success: false, error: profileError });
+      }
+
+      res.json({ success: true, data: db.createProfile(profile) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Update machine profile (machines using it pick up the change)
+  router.put('/profiles/:id', (req, res) => {
+    try {
+      const profileId = parseInt(req.params.id);
+      const existing = db.getProfile(profileId);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Profile not found' });
+      }
+
+      const profileError = validateProfile({ ...existing, ...req.body }) ??
+        (req.body.name !== undefined ? uniqueProfileName(req.body.name, profileId) : null);
+      if (profileError) {
+        return res.status(400).json({ success: false, error: profileError });
+      }
+
+      const profile = db.updateProfile(profileId, req.body);
+      registry.reloadProfiles();
+      res.json({ success: true, data: profile });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Delete machine profile (not while a machine has it selected)
+  router.delete('/profiles/:id', (req, res) => {
+    try {
+      const profileId = parseInt(req.params.id);
+      const machineIds = db.getProfileMachines(profileId);
+      if (machineIds.length > 0) {
+        return res.status(400).json({ success: false, error: `Profile is selected by: ${machineIds.join(', ')}` });
+      }
+
+      const deleted = db.deleteProfile(profileId);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Profile not found' });
+      }
+      registry.reloadProfiles();
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Get the profile a machine uses
+  router.get('/machines/:machineId/profile', (req, res) => {
+    try {
+      const machine = registry.getMachine(req.params.machineId);
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+      }
+      res.json({ success: true, data: machine.profile });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Select the profile a machine uses
+  // Body: profileId
+  router.put('/machines/:machineId/profile', (req, res) => {
+    try {
+      const machine = registry.getMachine(req.params.machineId);
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+      }
+      const profile = db.getProfile(parseInt(req.body.profileId));
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Profile not found' });
+      }
+
+      try {
+        registry.setProfile(machine, profile);
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      res.json({ success: true, data: machine.profile });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // List pens, with the ink each has left
+  router.get('/pens', (req, res) => {
+    try {
+      res.json({ success: true, data: db.getPens() });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Get pen
+  router.get('/pens/:id', (req, res) => {
+    try {
+      const pen = db.getPen(parseInt(req.params.id));
+      if (!pen) {
+        return res.status(404).json({ success: false, error: 'Pen not found' });
+      }
+      res.json({ success: true, data: pen });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Add a pen
+  // Body: name, inkCapacityM, color, tipWidth (mm), penDownDelay, penUpDelay (ms)
+  router.post('/pens', (req, res) => {
+    try {
+      const penError = validatePen(req.body);
+      if (penError) {
+        return res.status(400).json({ success: false, error: penError });
+      }
+      res.json({ success: true, data: db.createPen(req.body) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Update a pen (inkUsedM: 0 after a refill)
+  router.put('/pens/:id', (req, res) => {
+    try {
+      const penId = parseInt(req.params.id);
+      const existing = db.getPen(penId);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Pen not found' });
+      }
+
+      const penError = validatePen({ ...existing, ...req.body });
+      if (penError) {
+        return res.status(400).json({ success: false, error: penError });
+      }
+      res.json({ success: true, data: db.updatePen(penId, req.body) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Delete a pen (and take it out of the machines it is fitted to)
+  router.delete('/pens/:id', (req, res) => {
+    try {
+      const deleted = db.deletePen(parseInt(req.params.id));
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Pen not found' });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Pens fitted to a machine: [{ tool, pen }]
+  router.get('/machines/:machineId/pens', (req, res) => {
+    try {
+      const machine = registry.getMachine(req.params.machineId);
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+      }
+      res.json({ success: true, data: db.getMachinePens(machine.id) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Fit a pen to one of a machine's tools (T0 for files without tool changes)
+  // Body: penId (null to empty the tool)
+  router.put('/machines/:machineId/pens/:tool', (req, res) => {
+    try {
+      const machine = registry.getMachine(req.params.machineId);
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+      }
+      const tool = Number(req.params.tool);
+      if (!(Number.isInteger(tool) && tool >= 0)) {
+        return res.status(400).json({ success: false, error: 'tool must be a whole number, 0 or more' });
+      }
+
+      const penId = req.body.penId ?? null;
+      if (penId !== null && !db.getPen(parseInt(penId))) {
+        return res.status(404).json({ success: false, error: 'Pen not found' });
+      }
+      db.setMachinePen(machine.id, tool, penId === null ? null : parseInt(penId));
+      res.json({ success: true, data: db.getMachinePens(machine.id) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Calibrations run on a machine, newest first
+  router.get('/machines/:machineId/calibrations', (req, res) => {
+    try {
+      const machine = registry.getMachine(req.params.machineId);
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+      }
+      res.json({ success: true, data: penCalibration.listCalibrations(machine.id) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Plot a pen calibration grid and photograph it (poll the calibration until it is ready)
+  // Body: values, delays, command, origin, spacing, strokeLength, strokes, labels
+  router.post('/machines/:machineId/calibrations', (req, res) => {
+    try {
+      const machine = registry.getMachine(req.params.machineId);
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+      }
+
+      const calibrationError = validateCalibrationOptions(req.body);
+      if (calibrationError) {
+        return res.status(400).json({ success: false, error: calibrationError });
+      }
+
+      let calibration;
+      try {
+        calibration = penCalibration.start(machine, req.body);
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      res.json({ success: true, data: calibration });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Get a calibration, with its cells, progress and photo
+  router.get('/machines/:machineId/calibrations/:id', (req, res) => {
+    try {
+      const calibration = penCalibration.getCalibration(req.params.id);
+      if (!calibration || calibration.machineId !== req.params.machineId) {
+        return res.status(404).json({ success: false, error: 'Calibration not found' });
+      }
+      res.json({ success: true, data: calibration });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Save a cell's pen down and delay into the profile the calibration ran with
+  // Body: row, column
+  router.post('/machines/:machineId/calibrations/:id/apply', (req, res) => {
+    try {
+      const calibration = penCalibration.getCalibration(req.params.id);
+      if (!calibration || calibration.machineId !== req.params.machineId) {
+        return res.status(404).json({ success: false, error: 'Calibration not found' });
+      }
+      const existing = calibration.profileId !== null ? db.getProfile(calibration.profileId) : null;
+      if (!existing) {
+        return res.status(400).json({ success: false, error: `Profile "${calibration.profileName}" is not saved` });
+      }
+
+      let cell;
+      try {
+        cell = penCalibration.getCell(calibration, req.body.row, req.body.column);
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+
+      const changes = { penDown: cell.penDown, penDownDelay: cell.delay, penUpDelay: cell.delay };
+      const profileError = validateProfile({ ...existing, ...changes });
+      if (profileError) {
+        return res.status(400).json({ success: false, error: profileError });
+      }
+
+      const profile = db.updateProfile(existing.id, changes);
+      registry.reloadProfiles();
+      calibration.applied = { row: cell.row, column: cell.column, appliedAt: new Date().toISOString() };
+      res.json({ success: true, data: profile });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Job history, newest first
+  // Query: status (comma-separated), machineId, fileId, filename, from, to (ISO dates), limit, offset
+  router.get('/jobs/history', (req, res) => {
+    try {
+      const { status, machineId, fileId, filename, from, to, limit, offset } = req.query;
+      const history = db.getJobHistory({
+        status,
+        machineId,
+        fileId: fileId !== undefined ? parseInt(fileId) : undefined,
+        filename,
+        from,
+        to,
+        limit,
+        offset
+      });
+      res.json({ success: true, data: history });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // Single job history record
+  router.get('/jobs/history/:id', (req, res) => {
+    try {
+      const record = db.getJobRecord(req.params.id);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      res.json({ success: true, data: record });
     } catch (err) {
       res.status(500).json({ success: false, error: err.message });
     }
@@ -237,7 +697,12 @@ export function createApiRoutes(jobManager) {
   // Get active job
   router.get('/job/active', (req, res) => {
     try {
-      const job = jobManager.getActiveJob();
+      const machine = req.query.machineId ? registry.getMachine(req.query.machineId) : registry.getDefault();
+      if (!machine) {
+        return res.status(404).json({ success: false, error: `Machine ${req.query.machineId} not found` });
+      }
+
+      const job = machine.jobManager.getActiveJob();
       if (!job) {
         return res.json({ success: true, data: null });
       }
@@ -258,32 +723,313 @@ export function createApiRoutes(jobManager) {
   return router;
 }
 
-// Helper: Parse G-code into preview paths
-function parseGcodeForPreview(gcode) {
+// Helper: Check per-layer settings ({ layerId: { drawSpeed, tool, color } }); returns an error message or null
+function validateLayerSettings(layers) {
+  if (layers === undefined) return null;
+  if (!layers || typeof layers !== 'object' || Array.isArray(layers)) {
+    return 'layers must be an object keyed by layer id';
+  }
+
+  for (const [layerId, settings] of Object.entries(layers)) {
+    if (!settings || typeof settings !== 'object') {
+      return `Settings for layer ${layerId} must be an object`;
+    }
+    if (settings.drawSpeed !== undefined && !(Number.isFinite(settings.drawSpeed) && settings.drawSpeed > 0)) {
+      return `Invalid drawSpeed for layer ${layerId}`;
+    }
+    if (settings.tool !== undefined && !(Number.isInteger(settings.tool) && settings.tool >= 0)) {
+      return `Invalid tool for layer ${layerId}`;
+    }
+    if (settings.color !== undefined && typeof settings.color !== 'string') {
+      return `Invalid color for layer ${layerId}`;
+    }
+  }
+
+  return null;
+}
+
+// Helper: Generate G-code, stats and preview paths for an SVG or image file, for a machine's profile and pens
+function processFile(file, machine) {
+  const options = {
+    ...file.settings,
+    profile: machineProfile(machine),
+    pens: machine ? fittedPens(machine.id) : null,
+    motion: machineMotion(machine)
+  };
+  const key = createHash('sha256')
+    .update(file.type)
+    .update(file.content)
+    .update(JSON.stringify(options))
+    .digest('hex');
+
+  const cached = processedFiles.get(key);
+  if (cached) {
+    processedFiles.delete(key);
+    processedFiles.set(key, cached);
+    return cached;
+  }
+
+  const result = file.type === 'image'
+    ? rasterProcessor.processToGcode(file.content, options)
+    : svgProcessor.processToGcode(file.content, options);
+
+  // Failures are retried next time
+  processedFiles.set(key, result);
+  result.then(processed => {
+    if (!processed.success) processedFiles.delete(key);
+  }, () => processedFiles.delete(key));
+  if (processedFiles.size > PROCESSED_CACHE_SIZE) {
+    processedFiles.delete(processedFiles.keys().next().value);
+  }
+  return result;
+}
+
+// Helper: A machine's profile with its bed fitted to the machine (DEFAULT_PROFILE without one)
+function machineProfile(machine) {
+  return machine ? fitToMachine(machine.profile, machine.duet.getConfig()) : DEFAULT_PROFILE;
+}
+
+// Helper: Check a complete machine profile; returns an error message or null
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return 'Profile must be an object';
+  }
+  const isCommand = (value) => typeof value === 'string' && value.trim() !== '' && !/[\r\n]/.test(value);
+
+  if (!(typeof profile.name === 'string' && profile.name.trim() !== '')) {
+    return 'name must be a non-empty string';
+  }
+  for (const key of ['penUp', 'penDown']) {
+    if (!isCommand(profile[key])) {
+      return `${key} must be a single G-code command`;
+    }
+  }
+  if (profile.penUp.trim().toUpperCase() === profile.penDown.trim().toUpperCase()) {
+    return 'penUp and penDown must be different commands';
+  }
+  for (const key of ['penDownDelay', 'penUpDelay']) {
+    if (profile[key] != null && !(Number.isInteger(profile[key]) && profile[key] >= 0)) {
+      return `${key} must be a whole number of ms, or null`;
+    }
+  }
+  for (const key of ['header', 'footer']) {
+    if (!(Array.isArray(profile[key]) && profile[key].every(isCommand))) {
+      return `${key} must be an array of G-code commands`;
+    }
+  }
+  if (profile.park !== null && !(Number.isFinite(profile.park?.x) && Number.isFinite(profile.park?.y))) {
+    return 'park must be { x, y } in mm, or null';
+  }
+  for (const key of ['bedWidth', 'bedHeight']) {
+    if (!(Number.isFinite(profile[key]) && profile[key] > 0)) {
+      return `${key} must be a positive number of mm`;
+    }
+  }
+  if (profile.motion != null) {
+    if (typeof profile.motion !== 'object' || Array.isArray(profile.motion)) {
+      return 'motion must be an object, or null';
+    }
+    for (const [key, value] of Object.entries(profile.motion)) {
+      if (!(key in DEFAULT_MOTION)) {
+        return `Unknown motion setting: ${key}`;
+      }
+      if (value !== null && !(Number.isFinite(value) && value > 0)) {
+        return `motion.${key} must be a positive number, or null`;
+      }
+    }
+  }
+  return null;
+}
+
+// Helper: Check pen calibration options (see pen-calibration.js); returns an error message or null
+function validateCalibrationOptions(options) {
+  const { values, delays, command, origin, spacing, strokeLength, strokes, labels } = options;
+
+  if (values != null && !(Array.isArray(values) && values.length > 0 && values.every(Number.isFinite))) {
+    return 'values must be a non-empty array of numbers';
+  }
+  if (delays !== undefined && !(Array.isArray(delays) && delays.length > 0 &&
+      delays.every(delay => Number.isInteger(delay) && delay >= 0))) {
+    return 'delays must be a non-empty array of whole numbers of ms';
+  }
+  if (command != null && !(typeof command === 'string' && command.includes('{value}') && !/[\r\n]/.test(command))) {
+    return 'command must be a single G-code command containing {value}';
+  }
+  if (command != null && values == null) {
+    return 'command needs values to fill in';
+  }
+  if (origin !== undefined && !(Number.isFinite(origin?.x) && Number.isFinite(origin?.y) && origin.x >= 0 && origin.y >= 0)) {
+    return 'origin must be { x, y } in mm';
+  }
+  for (const [key, value] of Object.entries({ spacing, strokeLength })) {
+    if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+      return `${key} must be a positive number of mm`;
+    }
+  }
+  if ((strokeLength ?? CALIBRATION_DEFAULTS.strokeLength) >= (spacing ?? CALIBRATION_DEFAULTS.spacing)) {
+    return 'strokeLength must be shorter than spacing';
+  }
+  if (strokes !== undefined && !(Number.isInteger(strokes) && strokes >= 1 && strokes <= 10)) {
+    return 'strokes must be a whole number from 1 to 10';
+  }
+  if (labels !== undefined && typeof labels !== 'boolean') {
+    return 'labels must be true or false';
+  }
+  return null;
+}
+
+// Helper: Motion limits for a machine's time estimates - its profile's, else its firmware's
+function machineMotion(machine) {
+  return machine ? motionOptions(machine.profile, machine.duet.motionLimits) : null;
+}
+
+// Helper: Pens fitted to a machine as { tool: pen }
+function fittedPens(machineId) {
+  return Object.fromEntries(db.getMachinePens(machineId).map(({ tool, pen }) => [tool, pen]));
+}
+
+// Helper: Check a complete pen; returns an error message or null
+function validatePen(pen) {
+  if (!pen || typeof pen !== 'object' || Array.isArray(pen)) {
+    return 'Pen must be an object';
+  }
+  if (!(typeof pen.name === 'string' && pen.name.trim() !== '')) {
+    return 'name must be a non-empty string';
+  }
+  if (pen.color != null && typeof pen.color !== 'string') {
+    return 'color must be a string, or null';
+  }
+  if (pen.tipWidth != null && !(Number.isFinite(pen.tipWidth) && pen.tipWidth > 0)) {
+    return 'tipWidth must be a positive number of mm, or null';
+  }
+  if (!(Number.isFinite(pen.inkCapacityM) && pen.inkCapacityM > 0)) {
+    return 'inkCapacityM must be a positive number of metres';
+  }
+  if (pen.inkUsedM !== undefined && !(Number.isFinite(pen.inkUsedM) && pen.inkUsedM >= 0)) {
+    return 'inkUsedM must be a number of metres, 0 or more';
+  }
+  for (const key of ['penDownDelay', 'penUpDelay']) {
+    if (pen[key] != null && !(Number.isInteger(pen[key]) && pen[key] >= 0)) {
+      return `${key} must be a whole number of ms, or null`;
+    }
+  }
+  return null;
+}
+
+// Helper: Profile names are unique; returns an error message or null
+function uniqueProfileName(name, profileId = null) {
+  const existing = db.getProfileByName(name);
+  return existing && existing.id !== profileId ? `A profile named "${name}" already exists` : null;
+}
+
+// Helper: Check text file options ({ font, size, lineSpacing, letterSpacing, align, rotation }); returns an error message or null
+function validateTextOptions(text, options) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return 'text must be a non-empty string';
+  }
+  if (options.font !== undefined && !textRenderer.hasFont(options.font)) {
+    return `Unknown font: ${options.font}`;
+  }
+  for (const key of ['size', 'lineSpacing']) {
+    if (options[key] !== undefined && !(Number.isFinite(options[key]) && options[key] > 0)) {
+      return `${key} must be a positive number`;
+    }
+  }
+  for (const key of ['letterSpacing', 'rotation']) {
+    if (options[key] !== undefined && !Number.isFinite(options[key])) {
+      return `${key} must be a number`;
+    }
+  }
+  if (options.align !== undefined && !ALIGNMENTS.includes(options.align)) {
+    return `align must be one of: ${ALIGNMENTS.join(', ')}`;
+  }
+  return null;
+}
+
+// Helper: Check image tracing settings ({ algorithm, size, spacing, levels, dots, gamma, invert, seed }); returns an error message or null
+function validateRasterSettings(raster) {
+  if (raster === undefined) return null;
+  if (!raster || typeof raster !== 'object' || Array.isArray(raster)) {
+    return 'raster must be an object';
+  }
+  if (raster.algorithm !== undefined && !ALGORITHMS.includes(raster.algorithm)) {
+    return `raster.algorithm must be one of: ${ALGORITHMS.join(', ')}`;
+  }
+  for (const key of ['size', 'spacing', 'gamma']) {
+    if (raster[key] !== undefined && !(Number.isFinite(raster[key]) && raster[key] > 0)) {
+      return `raster.${key} must be a positive number`;
+    }
+  }
+  if (raster.spacing !== undefined && raster.spacing < 0.1) {
+    return 'raster.spacing must be at least 0.1 mm';
+  }
+  if (raster.levels !== undefined && !(Number.isInteger(raster.levels) && raster.levels >= 1 && raster.levels <= 8)) {
+    return 'raster.levels must be an integer from 1 to 8';
+  }
+  if (raster.dots !== undefined && !(Number.isInteger(raster.dots) && raster.dots >= 2 && raster.dots <= 50000)) {
+    return 'raster.dots must be an integer from 2 to 50000';
+  }
+  if (raster.seed !== undefined && !Number.isInteger(raster.seed)) {
+    return 'raster.seed must be an integer';
+  }
+  if (raster.invert !== undefined && typeof raster.invert !== 'boolean') {
+    return 'raster.invert must be true or false';
+  }
+  return null;
+}
+
+// Helper: Check hatch fill settings ({ enabled, spacing, angle, crossHatch, penWidth }); returns an error message or null
+function validateHatchSettings(hatch) {
+  if (hatch === undefined) return null;
+  if (!hatch || typeof hatch !== 'object' || Array.isArray(hatch)) {
+    return 'hatch must be an object';
+  }
+  if (hatch.enabled !== undefined && typeof hatch.enabled !== 'boolean') {
+    return 'hatch.enabled must be true or false';
+  }
+  if (hatch.crossHatch !== undefined && typeof hatch.crossHatch !== 'boolean') {
+    return 'hatch.crossHatch must be true or false';
+  }
+  if (hatch.spacing !== undefined && !(Number.isFinite(hatch.spacing) && hatch.spacing >= 0.05)) {
+    return 'hatch.spacing must be at least 0.05 mm';
+  }
+  if (hatch.angle !== undefined && !Number.isFinite(hatch.angle)) {
+    return 'hatch.angle must be a number of degrees';
+  }
+  if (hatch.penWidth !== undefined && !(Number.isFinite(hatch.penWidth) && hatch.penWidth >= 0)) {
+    return 'hatch.penWidth must be a non-negative number of mm';
+  }
+  return null;
+}
+
+// Helper: Parse G-code into preview paths, with pen moves recognised by the machine profile
+function parseGcodeForPreview(gcode, profile = DEFAULT_PROFILE) {
   const paths = [];
+  const pen = penPatterns(profile);
   let currentPath = null;
   let x = 0, y = 0;
   let penDown = false;
 
   const lines = gcode.split('\n');
   for (const line of lines) {
-    const clean = line.split(';')[0].trim().toUpperCase();
-    if (!clean) continue;
+    const trimmed = line.trim();
+    const clean = trimmed.split(';')[0].trim().toUpperCase();
 
     // Pen control
-    if (clean.includes('M42') && clean.includes('P0')) {
-      if (clean.includes('S1')) {
-        penDown = true;
-        currentPath = { points: [{ x, y }] };
-      } else {
-        penDown = false;
-        if (currentPath && currentPath.points.length > 1) {
-          paths.push(currentPath);
-        }
-        currentPath = null;
+    if (pen.penDown.test(trimmed)) {
+      penDown = true;
+      currentPath = { points: [{ x, y }] };
+      continue;
+    }
+    if (pen.penUp.test(trimmed)) {
+      penDown = false;
+      if (currentPath && currentPath.points.length > 1) {
+        paths.push(currentPath);
       }
+      currentPath = null;
       continue;
     }
+    if (!clean) continue;
 
     // Movement
     const gMatch = clean.match(/^G[01]\s/);
@@ -1,9 +1,10 @@
 // SQLite Database Module for Gellyroller
-// Stores files, settings, and history
+// Stores files, settings, job queue, job history, running-job checkpoints and machine profiles
 
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { BUILT_IN_PROFILES } from './machine-profiles.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'gellyroller.db');
@@ -16,7 +17,7 @@ class GellyrollerDB {
   }
 
   init() {
-    // Files table - stores original content
+    // Files table - stores original content (type 'svg', 'gcode' or 'image'; images as base64)
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS files (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -40,11 +41,34 @@ class GellyrollerDB {
         scale_mode TEXT DEFAULT 'contain',
         align_x TEXT DEFAULT 'center',
         align_y TEXT DEFAULT 'center',
+        layers_json TEXT DEFAULT '{}',
+        curve_tolerance REAL DEFAULT 0.1,
+        optimizer TEXT DEFAULT 'auto',
+        hatch_json TEXT DEFAULT '{}',
+        raster_json TEXT DEFAULT '{}',
         updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
       )
     `);
 
+    // Settings columns added after the table was first created
+    const settingsColumns = this.db.prepare('PRAGMA table_info(file_settings)').all().map(column => column.name);
+    if (!settingsColumns.includes('layers_json')) {
+      this.db.exec(`ALTER TABLE file_settings ADD COLUMN layers_json TEXT DEFAULT '{}'`);
+    }
+    if (!settingsColumns.includes('curve_tolerance')) {
+      this.db.exec(`ALTER TABLE file_settings ADD COLUMN curve_tolerance REAL DEFAULT 0.1`);
+    }
+    if (!settingsColumns.includes('optimizer')) {
+      this.db.exec(`ALTER TABLE file_settings ADD COLUMN optimizer TEXT DEFAULT 'auto'`);
+    }
+    if (!settingsColumns.includes('hatch_json')) {
+      this.db.exec(`ALTER TABLE file_settings ADD COLUMN hatch_json TEXT DEFAULT '{}'`);
+    }
+    if (!settingsColumns.includes('raster_json')) {
+      this.db.exec(`ALTER TABLE file_settings ADD COLUMN raster_json TEXT DEFAULT '{}'`);
+    }
+
     // Settings history table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS settings_history (
@@ -56,6 +80,133 @@ class GellyrollerDB {
         FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
       )
     `);
+
+    // Job queue table - jobs waiting to run, per machine
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS job_queue (
+        job_id TEXT PRIMARY KEY,
+        machine_id TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        content TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        wait_for_confirm INTEGER DEFAULT 0,
+        confirmed INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Jobs table - every job run and how it ended
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        machine_id TEXT NOT NULL,
+        file_id INTEGER,
+        filename TEXT NOT NULL,
+        settings_json TEXT,
+        gcode_hash TEXT NOT NULL,
+        total_lines INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        transitions_json TEXT NOT NULL DEFAULT '[]',
+        current_line INTEGER DEFAULT 0,
+        error_message TEXT,
+        error_line INTEGER,
+        error_command TEXT,
+        elapsed_ms INTEGER DEFAULT 0,
+        paused_ms INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        completed_at TEXT
+      )
+    `);
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_created ON jobs (created_at)');
+
+    // Checkpoints table - where each machine's current job had got to, for resuming after a crash
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS job_checkpoints (
+        machine_id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        content TEXT NOT NULL,
+        current_line INTEGER NOT NULL DEFAULT 0,
+        pen_down INTEGER DEFAULT 0,
+        position_json TEXT,
+        elapsed_ms INTEGER DEFAULT 0,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Machine profiles table - pen lift commands, header/footer, park position and bed size
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS machine_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        pen_up TEXT NOT NULL,
+        pen_down TEXT NOT NULL,
+        pen_down_delay INTEGER,
+        pen_up_delay INTEGER,
+        header_json TEXT DEFAULT '[]',
+        footer_json TEXT DEFAULT '[]',
+        park_json TEXT,
+        bed_width REAL NOT NULL,
+        bed_height REAL NOT NULL,
+        motion_json TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // Profile columns added after the table was first created
+    const profileColumns = this.db.prepare('PRAGMA table_info(machine_profiles)').all().map(column => column.name);
+    if (!profileColumns.includes('pen_down_delay')) {
+      this.db.exec('ALTER TABLE machine_profiles ADD COLUMN pen_down_delay INTEGER');
+    }
+    if (!profileColumns.includes('pen_up_delay')) {
+      this.db.exec('ALTER TABLE machine_profiles ADD COLUMN pen_up_delay INTEGER');
+    }
+    if (!profileColumns.includes('motion_json')) {
+      this.db.exec('ALTER TABLE machine_profiles ADD COLUMN motion_json TEXT');
+    }
+    const { profileCount } = this.db.prepare('SELECT COUNT(*) AS profileCount FROM machine_profiles').get();
+    if (profileCount === 0) {
+      BUILT_IN_PROFILES.forEach(profile => this.createProfile(profile));
+    }
+
+    // Machine profile selections - the profile each machine uses
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS machine_settings (
+        machine_id TEXT PRIMARY KEY,
+        profile_id INTEGER,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (profile_id) REFERENCES machine_profiles(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Pen inventory - ink is tracked in metres drawn
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        color TEXT,
+        tip_width REAL,
+        ink_capacity_m REAL NOT NULL,
+        ink_used_m REAL DEFAULT 0,
+        pen_down_delay INTEGER,
+        pen_up_delay INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Pens fitted to each machine, by tool number (T0 when a file names no tools)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS machine_pens (
+        machine_id TEXT NOT NULL,
+        tool INTEGER NOT NULL,
+        pen_id INTEGER NOT NULL,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (machine_id, tool),
+        FOREIGN KEY (pen_id) REFERENCES pens(id) ON DELETE CASCADE
+      )
+    `);
   }
 
   // Files CRUD
@@ -80,7 +231,7 @@ class GellyrollerDB {
     const file = this.db.prepare(`
       SELECT f.*,
              s.draw_speed, s.travel_speed, s.pen_down_delay, s.pen_up_delay,
-             s.scale_mode, s.align_x, s.align_y
+             s.scale_mode, s.align_x, s.align_y, s.layers_json, s.curve_tolerance, s.optimizer, s.hatch_json, s.raster_json
       FROM files f
       LEFT JOIN file_settings s ON f.id = s.file_id
       WHERE f.id = ?
@@ -103,7 +254,12 @@ class GellyrollerDB {
         penUpDelay: file.pen_up_delay,
         scaleMode: file.scale_mode,
         alignX: file.align_x,
-        alignY: file.align_y
+        alignY: file.align_y,
+        layers: JSON.parse(file.layers_json || '{}'),
+        curveTolerance: file.curve_tolerance,
+        optimizer: file.optimizer,
+        hatch: JSON.parse(file.hatch_json || '{}'),
+        raster: JSON.parse(file.raster_json || '{}')
       }
     };
   }
@@ -146,7 +302,12 @@ class GellyrollerDB {
       penUpDelay: settings.pen_up_delay,
       scaleMode: settings.scale_mode,
       alignX: settings.align_x,
-      alignY: settings.align_y
+      alignY: settings.align_y,
+      layers: JSON.parse(settings.layers_json || '{}'),
+      curveTolerance: settings.curve_tolerance,
+      optimizer: settings.optimizer,
+      hatch: JSON.parse(settings.hatch_json || '{}'),
+      raster: JSON.parse(settings.raster_json || '{}')
     };
   }
 
@@ -170,6 +331,11 @@ class GellyrollerDB {
         scale_mode = COALESCE(?, scale_mode),
         align_x = COALESCE(?, align_x),
         align_y = COALESCE(?, align_y),
+        layers_json = COALESCE(?, layers_json),
+        curve_tolerance = COALESCE(?, curve_tolerance),
+        optimizer = COALESCE(?, optimizer),
+        hatch_json = COALESCE(?, hatch_json),
+        raster_json = COALESCE(?, raster_json),
         updated_at = CURRENT_TIMESTAMP
       WHERE file_id = ?
     `);
@@ -182,6 +348,11 @@ class GellyrollerDB {
       settings.scaleMode,
       settings.alignX,
       settings.alignY,
+      settings.layers !== undefined ? JSON.stringify(settings.layers) : null,
+      settings.curveTolerance,
+      settings.optimizer,
+      settings.hatch !== undefined ? JSON.stringify(settings.hatch) : null,
+      settings.raster !== undefined ? JSON.stringify(settings.raster) : null,
       fileId
     );
 
@@ -203,6 +374,11 @@ class GellyrollerDB {
         scale_mode = 'contain',
         align_x = 'center',
         align_y = 'center',
+        layers_json = '{}',
+        curve_tolerance = 0.1,
+        optimizer = 'auto',
+        hatch_json = '{}',
+        raster_json = '{}',
         updated_at = CURRENT_TIMESTAMP
       WHERE file_id = ?
     `).run(fileId);
@@ -226,6 +402,469 @@ class GellyrollerDB {
     }));
   }
 
+  // Job queue
+  addQueuedJob(machineId, job) {
+    const { next } = this.db.prepare(`
+      SELECT COALESCE(MAX(position), -1) + 1 AS next FROM job_queue WHERE machine_id = ?
+    `).get(machineId);
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO job_queue (job_id, machine_id, filename, content, position, wait_for_confirm, confirmed)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(job.id, machineId, job.filename, job.content, next, job.waitForConfirm ? 1 : 0, job.confirmed ? 1 : 0);
+  }
+
+  getQueuedJobs(machineId) {
+    const rows = this.db.prepare(`
+      SELECT * FROM job_queue
+      WHERE machine_id = ?
+      ORDER BY position ASC
+    `).all(machineId);
+
+    return rows.map(row => ({
+      jobId: row.job_id,
+      machineId: row.machine_id,
+      filename: row.filename,
+      content: row.content,
+      position: row.position,
+      waitForConfirm: row.wait_for_confirm === 1,
+      confirmed: row.confirmed === 1,
+      createdAt: row.created_at
+    }));
+  }
+
+  updateQueuedJob(jobId, fields) {
+    this.db.prepare(`
+      UPDATE job_queue SET
+        wait_for_confirm = COALESCE(?, wait_for_confirm),
+        confirmed = COALESCE(?, confirmed)
+      WHERE job_id = ?
+    `).run(
+      fields.waitForConfirm === undefined ? null : (fields.waitForConfirm ? 1 : 0),
+      fields.confirmed === undefined ? null : (fields.confirmed ? 1 : 0),
+      jobId
+    );
+  }
+
+  reorderQueuedJobs(machineId, jobIds) {
+    const stmt = this.db.prepare(`
+      UPDATE job_queue SET position = ? WHERE job_id = ? AND machine_id = ?
+    `);
+    this.db.transaction(() => {
+      jobIds.forEach((jobId, index) => stmt.run(index, jobId, machineId));
+    })();
+  }
+
+  removeQueuedJob(jobId) {
+    const result = this.db.prepare('DELETE FROM job_queue WHERE job_id = ?').run(jobId);
+    return result.changes > 0;
+  }
+
+  // Job history
+  createJobRecord(record) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO jobs
+        (id, machine_id, file_id, filename, settings_json, gcode_hash, total_lines, status, transitions_json, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      record.id,
+      record.machineId,
+      record.fileId ?? null,
+      record.filename,
+      record.settings ? JSON.stringify(record.settings) : null,
+      record.gcodeHash,
+      record.totalLines,
+      record.status,
+      JSON.stringify(record.transitions ?? []),
+      record.createdAt
+    );
+
+    return this.getJobRecord(record.id);
+  }
+
+  // The error and completion time are written as given, so a re-run job clears them
+  updateJobRecord(id, fields) {
+    this.db.prepare(`
+      UPDATE jobs SET
+        status = COALESCE(?, status),
+        transitions_json = COALESCE(?, transitions_json),
+        current_line = COALESCE(?, current_line),
+        error_message = ?,
+        error_line = ?,
+        error_command = ?,
+        elapsed_ms = COALESCE(?, elapsed_ms),
+        paused_ms = COALESCE(?, paused_ms),
+        started_at = COALESCE(?, started_at),
+        completed_at = ?
+      WHERE id = ?
+    `).run(
+      fields.status ?? null,
+      fields.transitions ? JSON.stringify(fields.transitions) : null,
+      fields.currentLine ?? null,
+      fields.error?.message ?? null,
+      fields.error?.line ?? null,
+      fields.error?.command ?? null,
+      fields.elapsedMs ?? null,
+      fields.pausedMs ?? null,
+      fields.startedAt ?? null,
+      fields.completedAt ?? null,
+      id
+    );
+  }
+
+  getJobRecord(id) {
+    const row = this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+    return row ? this._mapJobRecord(row) : null;
+  }
+
+  // Filter by machineId, fileId, status, filename (substring) and created date range; newest first
+  getJobHistory(filters = {}) {
+    const where = [];
+    const params = [];
+
+    if (filters.machineId) {
+      where.push('machine_id = ?');
+      params.push(filters.machineId);
+    }
+    if (filters.fileId !== undefined && filters.fileId !== null) {
+      where.push('file_id = ?');
+      params.push(filters.fileId);
+    }
+    if (filters.status) {
+      const statuses = String(filters.status).split(',');
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filters.filename) {
+      where.push('filename LIKE ?');
+      params.push(`%${filters.filename}%`);
+    }
+    if (filters.from) {
+      where.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      // A date on its own includes the whole of that day (created_at is a full ISO timestamp)
+      where.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? 'date(created_at) <= ?' : 'created_at <= ?');
+      params.push(filters.to);
+    }
+
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM jobs ${clause}`).get(...params);
+    const rows = this.db.prepare(`
+      SELECT * FROM jobs ${clause}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      jobs: rows.map(row => this._mapJobRecord(row)),
+      total,
+      limit,
+      offset
+    };
+  }
+
+  _mapJobRecord(row) {
+    return {
+      id: row.id,
+      machineId: row.machine_id,
+      fileId: row.file_id,
+      filename: row.filename,
+      settings: row.settings_json ? JSON.parse(row.settings_json) : null,
+      gcodeHash: row.gcode_hash,
+      totalLines: row.total_lines,
+      status: row.status,
+      transitions: JSON.parse(row.transitions_json),
+      currentLine: row.current_line,
+      error: row.error_message ? {
+        message: row.error_message,
+        line: row.error_line,
+        command: row.error_command
+      } : null,
+      elapsedMs: row.elapsed_ms,
+      pausedMs: row.paused_ms,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  // Job checkpoints
+  createJobCheckpoint(machineId, job) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO job_checkpoints (machine_id, job_id, filename, content)
+      VALUES (?, ?, ?, ?)
+    `).run(machineId, job.id, job.filename, job.content);
+  }
+
+  updateJobCheckpoint(machineId, checkpoint) {
+    this.db.prepare(`
+      UPDATE job_checkpoints SET
+        current_line = ?,
+        pen_down = ?,
+        position_json = ?,
+        elapsed_ms = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE machine_id = ?
+    `).run(
+      checkpoint.line,
+      checkpoint.penDown ? 1 : 0,
+      JSON.stringify(checkpoint.position),
+      checkpoint.elapsedMs ?? 0,
+      machineId
+    );
+  }
+
+  getJobCheckpoint(machineId) {
+    const row = this.db.prepare('SELECT * FROM job_checkpoints WHERE machine_id = ?').get(machineId);
+    if (!row) return null;
+
+    return {
+      machineId: row.machine_id,
+      jobId: row.job_id,
+      filename: row.filename,
+      content: row.content,
+      line: row.current_line,
+      penDown: row.pen_down === 1,
+      position: row.position_json ? JSON.parse(row.position_json) : null,
+      elapsedMs: row.elapsed_ms,
+      updatedAt: row.updated_at
+    };
+  }
+
+  clearJobCheckpoint(machineId, jobId) {
+    this.db.prepare('DELETE FROM job_checkpoints WHERE machine_id = ? AND job_id = ?').run(machineId, jobId);
+  }
+
+  // Machine profiles
+  getProfiles() {
+    return this.db.prepare('SELECT * FROM machine_profiles ORDER BY id').all().map(row => this._mapProfile(row));
+  }
+
+  getProfile(id) {
+    const row = this.db.prepare('SELECT * FROM machine_profiles WHERE id = ?').get(id);
+    return row ? this._mapProfile(row) : null;
+  }
+
+  getProfileByName(name) {
+    const row = this.db.prepare('SELECT * FROM machine_profiles WHERE name = ?').get(name);
+    return row ? this._mapProfile(row) : null;
+  }
+
+  createProfile(profile) {
+    const result = this.db.prepare(`
+      INSERT INTO machine_profiles (name, pen_up, pen_down, pen_down_delay, pen_up_delay, header_json, footer_json,
+        park_json, bed_width, bed_height, motion_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      profile.name,
+      profile.penUp,
+      profile.penDown,
+      profile.penDownDelay ?? null,
+      profile.penUpDelay ?? null,
+      JSON.stringify(profile.header ?? []),
+      JSON.stringify(profile.footer ?? []),
+      profile.park ? JSON.stringify(profile.park) : null,
+      profile.bedWidth,
+      profile.bedHeight,
+      profile.motion ? JSON.stringify(profile.motion) : null
+    );
+    return this.getProfile(result.lastInsertRowid);
+  }
+
+  updateProfile(id, profile) {
+    this.db.prepare(`
+      UPDATE machine_profiles SET
+        name = COALESCE(?, name),
+        pen_up = COALESCE(?, pen_up),
+        pen_down = COALESCE(?, pen_down),
+        pen_down_delay = CASE WHEN ? THEN ? ELSE pen_down_delay END,
+        pen_up_delay = CASE WHEN ? THEN ? ELSE pen_up_delay END,
+        header_json = COALESCE(?, header_json),
+        footer_json = COALESCE(?, footer_json),
+        park_json = CASE WHEN ? THEN ? ELSE park_json END,
+        bed_width = COALESCE(?, bed_width),
+        bed_height = COALESCE(?, bed_height),
+        motion_json = CASE WHEN ? THEN ? ELSE motion_json END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      profile.name,
+      profile.penUp,
+      profile.penDown,
+      // Delays can be set to null (use each file's own delays)
+      profile.penDownDelay !== undefined ? 1 : 0,
+      profile.penDownDelay ?? null,
+      profile.penUpDelay !== undefined ? 1 : 0,
+      profile.penUpDelay ?? null,
+      profile.header !== undefined ? JSON.stringify(profile.header) : null,
+      profile.footer !== undefined ? JSON.stringify(profile.footer) : null,
+      // park can be set to null (end the job where it stops)
+      profile.park !== undefined ? 1 : 0,
+      profile.park ? JSON.stringify(profile.park) : null,
+      profile.bedWidth,
+      profile.bedHeight,
+      // motion can be set to null (use the firmware's limits)
+      profile.motion !== undefined ? 1 : 0,
+      profile.motion ? JSON.stringify(profile.motion) : null,
+      id
+    );
+    return this.getProfile(id);
+  }
+
+  deleteProfile(id) {
+    const result = this.db.prepare('DELETE FROM machine_profiles WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // Machines that have selected a profile
+  getProfileMachines(profileId) {
+    return this.db.prepare('SELECT machine_id FROM machine_settings WHERE profile_id = ?')
+      .all(profileId)
+      .map(row => row.machine_id);
+  }
+
+  getMachineProfileId(machineId) {
+    const row = this.db.prepare('SELECT profile_id FROM machine_settings WHERE machine_id = ?').get(machineId);
+    return row?.profile_id ?? null;
+  }
+
+  setMachineProfile(machineId, profileId) {
+    this.db.prepare(`
+      INSERT INTO machine_settings (machine_id, profile_id) VALUES (?, ?)
+      ON CONFLICT (machine_id) DO UPDATE SET profile_id = excluded.profile_id, updated_at = CURRENT_TIMESTAMP
+    `).run(machineId, profileId);
+  }
+
+  _mapProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      penUp: row.pen_up,
+      penDown: row.pen_down,
+      penDownDelay: row.pen_down_delay,
+      penUpDelay: row.pen_up_delay,
+      header: JSON.parse(row.header_json || '[]'),
+      footer: JSON.parse(row.footer_json || '[]'),
+      park: row.park_json ? JSON.parse(row.park_json) : null,
+      bedWidth: row.bed_width,
+      bedHeight: row.bed_height,
+      motion: row.motion_json ? JSON.parse(row.motion_json) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Pens
+  getPens() {
+    return this.db.prepare('SELECT * FROM pens ORDER BY id').all().map(row => this._mapPen(row));
+  }
+
+  getPen(id) {
+    const row = this.db.prepare('SELECT * FROM pens WHERE id = ?').get(id);
+    return row ? this._mapPen(row) : null;
+  }
+
+  createPen(pen) {
+    const result = this.db.prepare(`
+      INSERT INTO pens (name, color, tip_width, ink_capacity_m, ink_used_m, pen_down_delay, pen_up_delay)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      pen.name,
+      pen.color ?? null,
+      pen.tipWidth ?? null,
+      pen.inkCapacityM,
+      pen.inkUsedM ?? 0,
+      pen.penDownDelay ?? null,
+      pen.penUpDelay ?? null
+    );
+    return this.getPen(result.lastInsertRowid);
+  }
+
+  updatePen(id, pen) {
+    this.db.prepare(`
+      UPDATE pens SET
+        name = COALESCE(?, name),
+        color = CASE WHEN ? THEN ? ELSE color END,
+        tip_width = CASE WHEN ? THEN ? ELSE tip_width END,
+        ink_capacity_m = COALESCE(?, ink_capacity_m),
+        ink_used_m = COALESCE(?, ink_used_m),
+        pen_down_delay = CASE WHEN ? THEN ? ELSE pen_down_delay END,
+        pen_up_delay = CASE WHEN ? THEN ? ELSE pen_up_delay END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      pen.name,
+      // Optional fields can be cleared with null
+      pen.color !== undefined ? 1 : 0,
+      pen.color ?? null,
+      pen.tipWidth !== undefined ? 1 : 0,
+      pen.tipWidth ?? null,
+      pen.inkCapacityM,
+      pen.inkUsedM,
+      pen.penDownDelay !== undefined ? 1 : 0,
+      pen.penDownDelay ?? null,
+      pen.penUpDelay !== undefined ? 1 : 0,
+      pen.penUpDelay ?? null,
+      id
+    );
+    return this.getPen(id);
+  }
+
+  // Also takes the pen out of every machine it is fitted to
+  deletePen(id) {
+    this.db.prepare('DELETE FROM machine_pens WHERE pen_id = ?').run(id);
+    const result = this.db.prepare('DELETE FROM pens WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // Take drawn distance off a pen's ink; returns the updated pen
+  useInk(id, metres) {
+    this.db.prepare('UPDATE pens SET ink_used_m = ink_used_m + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(metres, id);
+    return this.getPen(id);
+  }
+
+  // [{ tool, pen }] fitted to a machine, by tool number
+  getMachinePens(machineId) {
+    return this.db.prepare('SELECT tool, pen_id FROM machine_pens WHERE machine_id = ? ORDER BY tool')
+      .all(machineId)
+      .map(row => ({ tool: row.tool, pen: this.getPen(row.pen_id) }))
+      .filter(slot => slot.pen !== null);
+  }
+
+  // Fit a pen to a machine's tool (null empties the tool)
+  setMachinePen(machineId, tool, penId) {
+    if (penId === null) {
+      this.db.prepare('DELETE FROM machine_pens WHERE machine_id = ? AND tool = ?').run(machineId, tool);
+      return;
+    }
+    this.db.prepare(`
+      INSERT INTO machine_pens (machine_id, tool, pen_id) VALUES (?, ?, ?)
+      ON CONFLICT (machine_id, tool) DO UPDATE SET pen_id = excluded.pen_id, updated_at = CURRENT_TIMESTAMP
+    `).run(machineId, tool, penId);
+  }
+
+  _mapPen(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      color: row.color,
+      tipWidth: row.tip_width,
+      inkCapacityM: row.ink_capacity_m,
+      inkUsedM: row.ink_used_m,
+      inkRemainingM: Math.max(Math.round((row.ink_capacity_m - row.ink_used_m) * 1000) / 1000, 0),
+      penDownDelay: row.pen_down_delay,
+      penUpDelay: row.pen_up_delay,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
   close() {
     this.db.close();
   }
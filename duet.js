@@ -1,9 +1,56 @@
 // Duet Controller Class
-// Manages communication with Duet mainboard via serial
+// Manages communication with Duet mainboard via serial or the RepRapFirmware HTTP API
 
-import { SerialPort } from 'serialport';
-import { ReadlineParser } from '@serialport/parser-readline';
 import { EventEmitter } from 'events';
+import { createTransport } from './transports.js';
+import { parseAxisLimit } from './motion-planner.js';
+import { DEFAULT_PROFILE } from './machine-profiles.js';
+
+// RepRapFirmware status letters (M408 / rr_status) -> object model state.status
+const M408_STATUS = {
+  C: 'starting',
+  F: 'updating',
+  H: 'halted',
+  D: 'pausing',
+  S: 'paused',
+  R: 'resuming',
+  P: 'processing',
+  M: 'simulating',
+  B: 'busy',
+  T: 'changingTool',
+  I: 'idle',
+  O: 'off'
+};
+
+// Object model state.status -> our simplified status (idle, busy, paused, error)
+const MODEL_STATUS = {
+  idle: 'idle',
+  off: 'idle',
+  starting: 'busy',
+  updating: 'busy',
+  busy: 'busy',
+  processing: 'busy',
+  simulating: 'busy',
+  changingTool: 'busy',
+  resuming: 'busy',
+  pausing: 'paused',
+  paused: 'paused',
+  halted: 'error'
+};
+
+const AXIS_LETTERS = ['X', 'Y', 'Z'];
+
+// Resend requests: Marlin-style "Resend: 42" and RepRapFirmware "rs 42"
+const RESEND_PATTERN = /^(?:Resend:?|rs)\s*N?(\d+)/i;
+
+// Commands that jump ahead of queued commands
+const PRIORITY_PATTERN = /^(?:M112|M25|M410)\b/i;
+
+// Commands that wait for motion (or a dwell) before the firmware answers ok
+const MOTION_PATTERN = /^(?:G0?[0-3]|G4|G28|M400)\b/i;
+
+// Transport errors that precede a resend request rather than failing the command
+const TRANSPORT_ERROR_PATTERN = /Error:?\s*(?:checksum|line ?number|no line number|missing checksum|.*Last Line)/i;
 
 class Duet extends EventEmitter {
   constructor(options = {}) {
@@ -11,20 +58,42 @@ class Duet extends EventEmitter {
     
     this.devMode = options.devMode ?? (process.env.DEV_MODE === 'true');
     this.serialPath = options.serialPath ?? process.env.SERIAL_PATH ?? '/dev/ttyUSB0';
-    this.baudRate = options.baudRate ?? parseInt(process.env.BAUD_RATE) ?? 115200;
-    this.commandTimeout = options.commandTimeout ?? parseInt(process.env.COMMAND_TIMEOUT) ?? 5000;
+    this.baudRate = options.baudRate ?? (parseInt(process.env.BAUD_RATE) || 115200);
+    this.commandTimeout = options.commandTimeout ?? (parseInt(process.env.COMMAND_TIMEOUT) || 5000);
+    this.motionTimeout = options.motionTimeout ?? (parseInt(process.env.MOTION_TIMEOUT) || 60000);
+    // How long a timed-out write waits for its late ok before it is forgotten (the queue holds meanwhile)
+    this.lateReplyTimeout = options.lateReplyTimeout ?? 10000;
+    
+    // Connection: 'serial' (USB) or 'http' (standalone board on the network)
+    this.transportType = options.transport ?? process.env.DUET_TRANSPORT ?? 'serial';
+    this.host = options.host ?? process.env.DUET_HOST ?? null;
+    this.password = options.password ?? process.env.DUET_PASSWORD ?? '';
+    this.transport = null;
+    this.closing = false;
     
-    this.serialPort = null;
-    this.parser = null;
+    // Reconnects wait reconnectDelay, doubling after each failed attempt up to maxReconnectDelay
+    this.reconnectDelay = options.reconnectDelay ?? 5000;
+    this.maxReconnectDelay = options.maxReconnectDelay ?? 60000;
+    this._nextReconnectDelay = this.reconnectDelay;
+    this._reconnectTimer = null;
     this.ready = false;
     this.initializing = false;
     
-    // Machine configuration
+    // Machine configuration (defaults to Gellyroller's bed, as the default profile does)
     this.config = {
-      xDimension: options.xDimension ?? parseFloat(process.env.X_DIMENSION) ?? 200,
-      yDimension: options.yDimension ?? parseFloat(process.env.Y_DIMENSION) ?? 200
+      xDimension: options.xDimension ?? (parseFloat(process.env.X_DIMENSION) || DEFAULT_PROFILE.bedWidth),
+      yDimension: options.yDimension ?? (parseFloat(process.env.Y_DIMENSION) || DEFAULT_PROFILE.bedHeight)
     };
     
+    // Soft limits for jogs and jobs that leave the bed: 'reject', 'warn' (log and run) or 'off'
+    this.softLimits = options.softLimits ?? process.env.SOFT_LIMITS ?? 'reject';
+    
+    // G90 (absolute) or G91 (relative), as last sent, so soft limits can resolve relative jogs
+    this.distanceMode = 'absolute';
+    
+    // X/Y acceleration (mm/s²), max speed and jerk (mm/s) reported by M201/M203/M566, once read
+    this.motionLimits = null;
+    
     // State tracking
     this.state = {
       position: { x: 0, y: 0, z: 0, e: 0 },
@@ -33,9 +102,45 @@ class Duet extends EventEmitter {
       pausedAt: null
     };
     
-    // Command queue
+    // RepRapFirmware object model (populated from M409, or M408 on older firmware)
+    this.model = {
+      boards: [],
+      job: {},
+      move: { axes: [] },
+      sensors: { endstops: [] },
+      state: { status: 'idle', currentTool: -1 },
+      tools: []
+    };
+    this.modelSource = 'M409';  // Falls back to 'M408' if M409 is unsupported
+    this.modelPollInterval = null;
+    this._modelPollPending = false;
+    this._mockHomed = [false, false, false];
+    this._mockInputs = [0];  // DEV MODE GPIO inputs (sensors.gpIn values)
+    
+    // Reliable transport (N line numbers + XOR checksums)
+    this.lineNumber = 0;        // Last line number sent
+    this.lastAckedLine = 0;     // Last line number acknowledged with ok
+    this.resendCount = 0;       // Total resend requests served
+    this.maxResends = options.maxResends ?? 5;
+    this.lineHistorySize = options.lineHistorySize ?? 64;
+    this.lineHistory = new Map(); // lineNumber -> formatted line, for replay
+    
+    // Command queue - commands waiting to be written
     this.commandQueue = [];
-    this.processingCommand = false;
+    this._commandId = 0;
+    this._waitingForReady = false;
+    this._watchedSignals = new WeakSet();
+    this._mockChain = Promise.resolve();
+    
+    // Writes awaiting an ok, oldest first
+    this.inFlight = [];
+    this.resendFrom = null;
+    
+    // Streaming: how many streamed lines may sit in the firmware receive buffer at once
+    // 'ping-pong' (one at a time), 'lines' (maxLinesInFlight) or 'bytes' (rxBufferSize)
+    this.streamMode = options.streamMode ?? process.env.STREAM_MODE ?? 'bytes';
+    this.maxLinesInFlight = options.maxLinesInFlight ?? (parseInt(process.env.MAX_LINES_IN_FLIGHT) || 4);
+    this.rxBufferSize = options.rxBufferSize ?? (parseInt(process.env.RX_BUFFER_SIZE) || 127);
     
     if (!this.devMode) {
       this.initialize();
@@ -46,7 +151,7 @@ class Duet extends EventEmitter {
     }
   }
   
-  // Initialize serial connection (only called once)
+  // Initialize connection (only called once)
   initialize() {
     if (this.initializing || this.ready) {
       console.log('Duet: Already initialized or initializing');
@@ -54,60 +159,58 @@ class Duet extends EventEmitter {
     }
     
     this.initializing = true;
-    console.log(`Duet: Attempting to open serial port: ${this.serialPath}`);
     
     try {
-      this.serialPort = new SerialPort({
-        path: this.serialPath,
+      this.transport = createTransport(this.transportType, {
+        serialPath: this.serialPath,
         baudRate: this.baudRate,
-        autoOpen: false
+        host: this.host,
+        password: this.password,
+        requestTimeout: this.commandTimeout
       });
       
-      this.parser = this.serialPort.pipe(new ReadlineParser({ delimiter: '\n' }));
+      console.log(`Duet: Attempting to open ${this.transport.description}`);
       
-      console.log('Duet: Serial port created, attempting to open...');
-      
-      this.serialPort.open((err) => {
-        if (err) {
-          console.error('Duet: Error opening serial port:', err.message);
-          console.error('Duet: Full error:', err);
-          this.ready = false;
-          this.initializing = false;
-          this.emit('error', err);
-        } else {
-          console.log('Duet: Serial port opened successfully');
-          console.log('Duet: Port path:', this.serialPath);
-          console.log('Duet: Baud rate:', this.baudRate);
-          this.ready = true;
-          this.initializing = false;
-          this.emit('ready');
-        }
+      this.transport.on('open', () => {
+        console.log(`Duet: Connection opened successfully (${this.transport.description})`);
+        this.ready = true;
+        this.initializing = false;
+        this._nextReconnectDelay = this.reconnectDelay;
+        this.emit('ready');
       });
       
-      this.parser.on('data', (data) => {
+      this.transport.on('data', (data) => {
         console.log('Duet response:', data);
         this.emit('data', data);
         this.parseResponse(data);
+        this._routeResponse(data);
       });
       
-      this.serialPort.on('error', (err) => {
-        console.error('Duet: Serial port error:', err.message);
-        // Don't set ready to false on error, just log it
+      this.transport.on('error', (err) => {
+        console.error('Duet: Connection error:', err.message);
+        if (this.initializing) {
+          // Failed to open - a network board may just be rebooting or out of WiFi range, so keep trying
+          this.ready = false;
+          this.initializing = false;
+          if (this.transportType === 'http' && !this.closing) {
+            this._dropTransport();
+            this._scheduleReconnect();
+          }
+        }
+        // Don't set ready to false on other errors, just log them
         this.emit('error', err);
       });
       
-      this.serialPort.on('close', () => {
-        console.log('Duet: Serial port closed unexpectedly');
+      this.transport.on('close', () => {
+        console.log('Duet: Connection closed unexpectedly');
         this.ready = false;
+        this._dropTransport();
         this.emit('close');
-        // Attempt to reconnect after a delay
-        setTimeout(() => {
-          console.log('Duet: Attempting to reconnect...');
-          this.initializing = false;
-          this.initialize();
-        }, 5000);
+        if (this.closing) return;
+        this._scheduleReconnect();
       });
       
+      this.transport.open();
     } catch (error) {
       console.error('Duet: Failed to initialize:', error.message);
       this.initializing = false;
@@ -115,8 +218,44 @@ class Duet extends EventEmitter {
     }
   }
   
+  // Attempt to reconnect after a delay that grows with each failed attempt
+  _scheduleReconnect() {
+    const delay = this._nextReconnectDelay;
+    this._nextReconnectDelay = Math.min(delay * 2, this.maxReconnectDelay);
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (this.closing) return;
+      console.log('Duet: Attempting to reconnect...');
+      this.initializing = false;
+      this.initialize();
+    }, delay);
+  }
+  
+  // Forget a lost connection: detach its listeners so replies it still emits can't reach
+  // commands written on the next one, and fail the writes it will never answer
+  _dropTransport() {
+    const lost = this.transport;
+    lost.removeAllListeners();
+    lost.on('error', () => {});
+    
+    const err = new Error('Connection lost');
+    for (const write of this.inFlight.splice(0)) {
+      clearTimeout(write.timer);
+      write.entry.reject(err);
+    }
+    this.resendFrom = null;
+  }
+  
   // Parse responses to update state
   parseResponse(data) {
+    // Parse object model JSON (M409/M408 responses)
+    for (const line of data.split('\n')) {
+      if (line.trim().startsWith('{')) {
+        this.parseModelResponse(line.trim());
+      }
+    }
+    
     // Parse position data (M114 response)
     if (data.includes('X:')) {
       const xMatch = data.match(/X:([-\d.]+)/);
@@ -134,6 +273,188 @@ class Duet extends EventEmitter {
     }
   }
   
+  // Parse a JSON object model response and merge it into this.model
+  parseModelResponse(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (err) {
+      return false;
+    }
+    
+    if (parsed.result !== undefined) {
+      // M409 response: { key, flags, result }
+      if (parsed.result === null) return false;
+      if (parsed.key) {
+        this._mergeModel(this.model, { [parsed.key]: parsed.result });
+      } else {
+        this._mergeModel(this.model, parsed.result);
+      }
+    } else if (parsed.status !== undefined) {
+      // M408 response: flat legacy status object
+      this._mergeModel(this.model, this._convertM408(parsed));
+    } else {
+      return false;
+    }
+    
+    this._applyModel();
+    return true;
+  }
+  
+  // Convert a legacy M408 status response into object model shape
+  _convertM408(response) {
+    const homed = response.homed ?? response.coords?.axesHomed ?? [];
+    const userPos = response.pos ?? response.coords?.xyz ?? [];
+    const machinePos = response.machine ?? response.coords?.machine ?? userPos;
+    
+    const model = {
+      state: {
+        status: M408_STATUS[response.status] ?? 'idle',
+        currentTool: response.tool ?? -1
+      },
+      move: {
+        axes: userPos.map((pos, i) => ({
+          letter: response.axisNames?.[i] ?? AXIS_LETTERS[i] ?? `A${i}`,
+          homed: homed[i] === 1 || homed[i] === true,
+          userPosition: pos,
+          machinePosition: machinePos[i] ?? pos
+        }))
+      }
+    };
+    
+    if (response.endstops !== undefined) {
+      // Bitmap of triggered endstops, one bit per axis
+      model.sensors = {
+        endstops: userPos.map((_, i) => ({ triggered: (response.endstops & (1 << i)) !== 0 }))
+      };
+    }
+    
+    if (response.firmwareName || response.firmwareVersion) {
+      model.boards = [{
+        firmwareName: response.firmwareName ?? null,
+        firmwareVersion: response.firmwareVersion ?? null,
+        name: response.boardName ?? response.name ?? null
+      }];
+    }
+    
+    if (response.fileName !== undefined || response.fractionPrinted !== undefined) {
+      model.job = {
+        file: { fileName: response.fileName ?? null },
+        fractionPrinted: response.fractionPrinted ?? null
+      };
+    }
+    
+    return model;
+  }
+  
+  // Deep merge object model patches (arrays are merged element-wise like RRF does)
+  _mergeModel(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      if (Array.isArray(value)) {
+        if (!Array.isArray(target[key])) target[key] = [];
+        value.forEach((item, i) => {
+          if (item && typeof item === 'object' && !Array.isArray(item)) {
+            if (!target[key][i] || typeof target[key][i] !== 'object') target[key][i] = {};
+            this._mergeModel(target[key][i], item);
+          } else {
+            target[key][i] = item;
+          }
+        });
+        target[key].length = value.length;
+      } else if (value && typeof value === 'object') {
+        if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+          target[key] = {};
+        }
+        this._mergeModel(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+    return target;
+  }
+  
+  // Update simplified state from the object model
+  _applyModel() {
+    for (const axis of this.model.move?.axes ?? []) {
+      const key = axis.letter?.toLowerCase();
+      if (key in this.state.position && typeof axis.userPosition === 'number') {
+        this.state.position[key] = axis.userPosition;
+      }
+    }
+    
+    const modelStatus = this.model.state?.status;
+    if (modelStatus && MODEL_STATUS[modelStatus]) {
+      this.state.status = MODEL_STATUS[modelStatus];
+    }
+    
+    this.state.lastUpdate = new Date();
+    this.emit('model', this.model);
+  }
+  
+  // Request the full object model (M409), falling back to M408 on older firmware
+  async refreshModel() {
+    if (this.modelSource === 'M409') {
+      try {
+        const response = await this.sendGCode('M409 F"d99vn"');
+        if (this._hasModelJson(response)) {
+          return this.model;
+        }
+      } catch (err) {
+        // Only a firmware error means M409 is unsupported; timeouts etc. are not
+        if (!err.response) throw err;
+      }
+      console.log('Duet: M409 not supported, falling back to M408');
+      this.modelSource = 'M408';
+    }
+    
+    await this.sendGCode('M408 S1');
+    return this.model;
+  }
+
+  // Read the GPIO inputs configured with M950 J<n> (sensors.gpIn); M408 does not report them
+  async readInputs() {
+    if (this.modelSource !== 'M409') return [];
+
+    await this.sendGCode('M409 K"sensors" F"v"');
+    return (this.model.sensors.gpIn ?? []).map(input => input?.value ?? null);
+  }
+
+  _hasModelJson(response) {
+    return response.split('\n').some(line => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('{')) return false;
+      try {
+        return JSON.parse(trimmed).result != null;
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+  
+  // Poll the object model at a fixed interval
+  startModelPolling(intervalMs = 2000) {
+    this.stopModelPolling();
+    this.modelPollInterval = setInterval(() => {
+      // Don't pile polls up in the command queue behind a slow response
+      if (!this.ready || this._modelPollPending) return;
+      this._modelPollPending = true;
+      this.refreshModel()
+        .catch(err => {
+          console.error('Duet: Object model poll failed:', err.message);
+        })
+        .finally(() => {
+          this._modelPollPending = false;
+        });
+    }, intervalMs);
+  }
+  
+  stopModelPolling() {
+    if (this.modelPollInterval) {
+      clearInterval(this.modelPollInterval);
+      this.modelPollInterval = null;
+    }
+  }
+  
   // Wait for ready state with timeout
   async waitForReady(maxWaitMs = 10000) {
     if (this.ready) return true;
@@ -148,58 +469,376 @@ class Duet extends EventEmitter {
   }
   
   // Send G-code command
-  sendGCode(command, timeout = null) {
-    return new Promise(async (resolve, reject) => {
-      // Wait for ready state
-      const isReady = await this.waitForReady(10000);
+  // Commands are queued and written in order; each response is matched to its command by
+  // the order of the firmware's ok replies.
+  // options.reliable: prefix an N line number and * checksum, and replay on Resend requests
+  // options.priority: jump ahead of queued (non-priority) commands
+  // options.stream: allow this command to share the firmware receive buffer with others
+  //   (see streamMode) instead of waiting for every previous command to be acknowledged
+  // options.signal: AbortSignal that drops the command if it has not been written yet
+  sendGCode(command, timeout = null, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        return reject(Duet._abortError());
+      }
+      
+      this._trackDistanceMode(command);
+      
+      const entry = {
+        id: ++this._commandId,
+        command,
+        timeout,
+        reliable: options.reliable ?? false,
+        priority: options.priority ?? PRIORITY_PATTERN.test(command.trim()),
+        stream: options.stream ?? false,
+        resends: 0,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      };
       
-      if (!isReady) {
-        return reject(new Error('Duet not ready - serial connection failed or timed out'));
+      if (options.signal) {
+        entry.signal = options.signal;
+        this._watchSignal(options.signal);
+      }
+      
+      if (entry.priority) {
+        // Insert after any priority commands already waiting
+        const index = this.commandQueue.findIndex(queued => !queued.priority);
+        if (index === -1) {
+          this.commandQueue.push(entry);
+        } else {
+          this.commandQueue.splice(index, 0, entry);
+        }
+      } else {
+        this.commandQueue.push(entry);
       }
       
-      // DEV MODE: Simulate responses
-      if (this.devMode) {
-        setTimeout(() => {
-          const mockResponse = this.generateMockResponse(command);
-          console.log(`Duet DEV: ${command} -> ${mockResponse}`);
-          this.parseResponse(mockResponse);
-          resolve(mockResponse);
-        }, 100);
+      this._pump();
+    });
+  }
+  
+  // Drop queued commands when their signal aborts (one listener per signal)
+  _watchSignal(signal) {
+    if (this._watchedSignals.has(signal)) return;
+    this._watchedSignals.add(signal);
+    
+    signal.addEventListener('abort', () => {
+      const dropped = this.commandQueue.filter(entry => entry.signal === signal);
+      this.commandQueue = this.commandQueue.filter(entry => entry.signal !== signal);
+      for (const entry of dropped) {
+        entry.reject(Duet._abortError());
+      }
+    }, { once: true });
+  }
+  
+  // Write queued commands while the receive window allows
+  _pump() {
+    if (!this.ready) {
+      this._waitThenPump();
+      return;
+    }
+    
+    while (this.commandQueue.length > 0 && this.resendFrom === null) {
+      const entry = this.commandQueue[0];
+      if (!this._canWrite(entry)) break;
+      this.commandQueue.shift();
+      this._writeEntry(entry);
+    }
+  }
+  
+  // Hold the queue until the connection is ready, failing it if that takes too long
+  async _waitThenPump() {
+    if (this._waitingForReady) return;
+    this._waitingForReady = true;
+    
+    const isReady = await this.waitForReady(10000);
+    this._waitingForReady = false;
+    
+    if (isReady) {
+      this._pump();
+    } else {
+      const err = new Error('Duet not ready - serial connection failed or timed out');
+      for (const entry of this.commandQueue.splice(0)) {
+        entry.reject(err);
+      }
+    }
+  }
+  
+  // Decide whether the next command fits in the firmware receive buffer
+  _canWrite(entry) {
+    // Hold everything until a timed-out write gets its late ok or is forgotten, or a lost ok
+    // would be taken from the next command and shift every later reply by one
+    if (this.inFlight.some(write => write.timedOut)) return false;
+    
+    const waiting = this.inFlight;
+    if (waiting.length === 0) return true;
+    
+    // Interactive commands wait for an empty buffer unless a stream is already running
+    const windowed = entry.stream || waiting.some(write => write.entry.stream);
+    if (!windowed) return false;
+    
+    switch (this.streamMode) {
+      case 'lines':
+        return waiting.length < this.maxLinesInFlight;
+      case 'bytes': {
+        const inFlightBytes = waiting.reduce((sum, write) => sum + write.bytes, 0);
+        return inFlightBytes + this._payloadBytes(entry) <= this.rxBufferSize;
+      }
+      default:  // 'ping-pong'
+        return false;
+    }
+  }
+  
+  // Bytes the command will occupy in the receive buffer, including newline
+  _payloadBytes(entry) {
+    const payload = entry.reliable
+      ? Duet.formatLine(entry.command, this.lineNumber + 1)
+      : entry.command;
+    return Buffer.byteLength(payload) + 1;
+  }
+  
+  // Assign a line number (if reliable) and write the command
+  _writeEntry(entry) {
+    // Line numbers are pointless over links that already guarantee delivery
+    if (this.transport?.reliableLink) entry.reliable = false;
+    
+    const lineNumber = entry.reliable ? this._nextLineNumber() : null;
+    const payload = entry.reliable ? this._recordLine(lineNumber, entry) : entry.command;
+    this._write(entry, lineNumber, payload);
+  }
+  
+  _write(entry, lineNumber, payload) {
+    const write = {
+      entry,
+      lineNumber,
+      payload,
+      bytes: Buffer.byteLength(payload) + 1,
+      response: '',
+      error: false,
+      timer: null
+    };
+    
+    const timeout = entry.timeout || (MOTION_PATTERN.test(entry.command.trim()) ? this.motionTimeout : this.commandTimeout);
+    write.timer = setTimeout(() => {
+      // Give up on this write but keep it in place: the firmware may still answer, and its
+      // late ok must not be handed to the next command. If none comes, drop it and move on.
+      write.timedOut = true;
+      entry.reject(new Error('Command timeout'));
+      write.timer = setTimeout(() => {
+        const index = this.inFlight.indexOf(write);
+        if (index === -1) return;
+        console.warn(`Duet: No reply to timed-out "${entry.command}", forgetting it`);
+        this.inFlight.splice(index, 1);
+        this._pump();
+      }, this.lateReplyTimeout);
+      this._pump();
+    }, timeout);
+    
+    this.inFlight.push(write);
+    
+    if (this.devMode) {
+      this._mockWrite(write);
+      return;
+    }
+    
+    this.transport.write(payload, (err) => {
+      if (err) {
+        clearTimeout(write.timer);
+        const index = this.inFlight.indexOf(write);
+        if (index !== -1) this.inFlight.splice(index, 1);
+        entry.reject(err);
+        this._pump();
+      }
+    });
+  }
+  
+  // Route a received line to the oldest unacknowledged write
+  _routeResponse(data) {
+    const write = this.inFlight[0];
+    if (!write) {
+      // Nothing outstanding - firmware messages, warnings, etc.
+      this.emit('unsolicited', data);
+      return;
+    }
+    
+    const line = data.trim();
+    write.response += data + '\n';
+    
+    const resendMatch = line.match(RESEND_PATTERN);
+    if (resendMatch) {
+      const requested = parseInt(resendMatch[1], 10);
+      this.resendFrom = this.resendFrom === null ? requested : Math.min(this.resendFrom, requested);
+      return;
+    }
+    
+    if (TRANSPORT_ERROR_PATTERN.test(line)) {
+      // Firmware follows this with a resend request
+      return;
+    }
+    
+    if (/^Error\b/i.test(line)) {
+      // Firmware error - still wait for the ok that ends this reply
+      write.error = true;
+      return;
+    }
+    
+    if (!/^ok\b/i.test(line)) return;
+    
+    this.inFlight.shift();
+    clearTimeout(write.timer);
+    
+    // Timed-out writes were already rejected; their late ok is absorbed here
+    const discarded = write.timedOut || (this.resendFrom !== null && write.lineNumber !== null &&
+      write.lineNumber >= this.resendFrom);
+    
+    if (!discarded) {
+      if (write.error) {
+        const err = new Error(write.response);
+        err.response = write.response;  // Marks errors reported by the firmware itself
+        write.entry.reject(err);
+      } else {
+        if (write.lineNumber !== null) this.lastAckedLine = write.lineNumber;
+        write.entry.resolve(write.response);
+      }
+    }
+    
+    // Once every numbered line sent before the resend request is accounted for, replay
+    if (this.resendFrom !== null && !this.inFlight.some(w => w.lineNumber !== null)) {
+      this._replayLines();
+    }
+    
+    this._pump();
+  }
+  
+  // Reject every queued and in-flight command with the given error
+  flushQueue(reason = 'Command queue flushed') {
+    const err = new Error(reason);
+    const pending = this.commandQueue.splice(0);
+    for (const entry of pending) {
+      entry.reject(err);
+    }
+    for (const write of this.inFlight.splice(0)) {
+      clearTimeout(write.timer);
+      write.entry.reject(err);
+    }
+    this.resendFrom = null;
+    return pending.length;
+  }
+  
+  static _abortError() {
+    const err = new Error('Command aborted');
+    err.name = 'AbortError';
+    return err;
+  }
+  
+  // Calculate RepRap/Marlin XOR checksum of a line
+  static checksum(line) {
+    let cs = 0;
+    for (let i = 0; i < line.length; i++) {
+      cs ^= line.charCodeAt(i);
+    }
+    return cs & 0xff;
+  }
+  
+  // Format a command as "N<line> <command>*<checksum>" (comments are stripped first)
+  static formatLine(command, lineNumber) {
+    const stripped = command.split(';')[0].trim();
+    const numbered = `N${lineNumber} ${stripped}`;
+    return `${numbered}*${Duet.checksum(numbered)}`;
+  }
+  
+  // Verify the checksum of a formatted line
+  static verifyChecksum(line) {
+    const starIndex = line.lastIndexOf('*');
+    if (starIndex === -1) return false;
+    return Duet.checksum(line.slice(0, starIndex)) === parseInt(line.slice(starIndex + 1), 10);
+  }
+  
+  _nextLineNumber() {
+    this.lineNumber++;
+    return this.lineNumber;
+  }
+  
+  // Format a line and keep it in the replay history
+  _recordLine(lineNumber, entry) {
+    const payload = Duet.formatLine(entry.command, lineNumber);
+    this.lineHistory.set(lineNumber, { payload, entry });
+    
+    // Trim history to the configured size
+    const oldest = lineNumber - this.lineHistorySize;
+    for (const n of this.lineHistory.keys()) {
+      if (n > oldest) break;
+      this.lineHistory.delete(n);
+    }
+    
+    return payload;
+  }
+  
+  // Re-send every line from the firmware's requested line up to the last one sent
+  _replayLines() {
+    const fromLine = this.resendFrom;
+    const toLine = this.lineNumber;
+    this.resendFrom = null;
+    
+    console.log(`Duet: Resend requested from line ${fromLine}, replaying to ${toLine}`);
+    
+    for (let n = fromLine; n <= toLine; n++) {
+      const recorded = this.lineHistory.get(n);
+      if (!recorded) {
+        const err = new Error(`Cannot resend line ${n}: no longer in history`);
+        for (let m = n; m <= toLine; m++) {
+          this.lineHistory.get(m)?.entry.reject(err);
+        }
         return;
       }
       
-      const cmdTimeout = timeout || this.commandTimeout;
-      let response = '';
+      const { payload, entry } = recorded;
+      entry.resends++;
+      if (entry.resends > this.maxResends) {
+        const err = new Error(`Line ${n} failed after ${this.maxResends} resend attempts`);
+        for (let m = n; m <= toLine; m++) {
+          this.lineHistory.get(m)?.entry.reject(err);
+        }
+        return;
+      }
       
-      const responseHandler = (data) => {
-        response += data + '\n';
-        if (data.includes('ok') || data.includes('Done') || data.includes('Error')) {
-          this.parser.removeListener('data', responseHandler);
-          clearTimeout(timer);
-          
-          if (data.includes('Error')) {
-            reject(new Error(response));
+      this.resendCount++;
+      this._write(entry, n, payload);
+    }
+  }
+  
+  // Reset firmware and local line numbering (M110)
+  async resetLineNumbers() {
+    this.lineNumber = -1;
+    this.lastAckedLine = 0;
+    this.lineHistory.clear();
+    return await this.sendGCode('M110 N0', null, { reliable: true });
+  }
+  
+  // DEV MODE: simulated firmware that works through writes in order, 100ms each
+  _mockWrite(write) {
+    this._mockChain = this._mockChain.then(() => new Promise(resolve => {
+      if (!this.inFlight.includes(write)) return resolve();
+      setTimeout(() => {
+        // Skip writes flushed meanwhile (timed-out writes still get their late reply)
+        if (this.inFlight.includes(write)) {
+          const { entry, lineNumber, payload } = write;
+          let mockResponse;
+          if (lineNumber !== null && !Duet.verifyChecksum(payload)) {
+            mockResponse = `Error:checksum mismatch, Last Line: ${lineNumber - 1}\nResend: ${lineNumber}\nok`;
           } else {
-            resolve(response);
+            mockResponse = this.generateMockResponse(entry.command);
+            this.parseResponse(mockResponse);
+          }
+          console.log(`Duet DEV: ${payload} -> ${mockResponse}`);
+          for (const line of mockResponse.split('\n')) {
+            this._routeResponse(line);
           }
         }
-      };
-      
-      const timer = setTimeout(() => {
-        this.parser.removeListener('data', responseHandler);
-        reject(new Error('Command timeout'));
-      }, cmdTimeout);
-      
-      this.parser.on('data', responseHandler);
-      
-      this.serialPort.write(command + '\n', (err) => {
-        if (err) {
-          this.parser.removeListener('data', responseHandler);
-          clearTimeout(timer);
-          reject(err);
-        }
-      });
-    });
+        resolve();
+      }, 100);
+    }));
   }
   
   // Generate mock responses for DEV MODE
@@ -208,6 +847,18 @@ class Duet extends EventEmitter {
     
     if (cmd.startsWith('M114')) {
       return 'X:100.00 Y:50.00 Z:10.00 E:0.00 Count 8000 4000 800\nok';
+    } else if (cmd.startsWith('M409')) {
+      const key = command.match(/K"([^"]*)"/i)?.[1] ?? '';
+      const result = key.split('.').filter(Boolean).reduce((value, part) => value?.[part], this._buildMockModel());
+      return JSON.stringify({ key, flags: 'd99vn', result: result ?? null }) + '\nok';
+    } else if (cmd.startsWith('M408')) {
+      return JSON.stringify(this._buildMockM408()) + '\nok';
+    } else if (cmd.startsWith('M201')) {
+      return 'Accelerations (mm/sec^2): X: 1000.0, Y: 1000.0, Z: 100.0, E: 250.0, printing: 10000.0 travel: 10000.0\nok';
+    } else if (cmd.startsWith('M203')) {
+      return 'Max speeds (mm/min): X: 12000.0, Y: 12000.0, Z: 600.0, E: 1200.0, min. speed 0.50\nok';
+    } else if (cmd.startsWith('M566')) {
+      return 'Maximum jerk rates (mm/min): X: 600.0, Y: 600.0, Z: 60.0, E: 120.0, jerk policy: 0\nok';
     } else if (cmd.startsWith('M20')) {
       return 'Begin file list\ntest.g 1234\nproject.gcode 5678\ncalibration.g 910\nEnd file list\nok';
     } else if (cmd.startsWith('M39')) {
@@ -228,6 +879,10 @@ class Duet extends EventEmitter {
     } else if (cmd.startsWith('M112')) {
       return 'Emergency stop activated\nok';
     } else if (cmd.startsWith('G28')) {
+      const axes = cmd.slice(3).trim();
+      AXIS_LETTERS.forEach((letter, i) => {
+        if (!axes || axes.includes(letter)) this._mockHomed[i] = true;
+      });
       return 'Homing complete\nok';
     } else if (cmd.startsWith('G0') || cmd.startsWith('G1')) {
       return 'Move queued\nok';
@@ -240,6 +895,70 @@ class Duet extends EventEmitter {
     return 'ok';
   }
   
+  // Build a realistic object model for DEV MODE (subset of RRF 3.x M409 output)
+  _buildMockModel() {
+    const statusMap = { idle: 'idle', busy: 'processing', paused: 'paused', error: 'halted' };
+    
+    return {
+      boards: [{
+        firmwareName: 'RepRapFirmware for Duet 2 WiFi/Ethernet',
+        firmwareVersion: '3.4.6',
+        name: 'Duet 2 WiFi',
+        shortName: '2WiFi'
+      }],
+      job: {
+        duration: null,
+        file: { fileName: null },
+        filePosition: 0,
+        lastFileName: null
+      },
+      move: {
+        axes: AXIS_LETTERS.map((letter, i) => {
+          const key = letter.toLowerCase();
+          return {
+            letter,
+            homed: this._mockHomed[i],
+            machinePosition: this.state.position[key],
+            userPosition: this.state.position[key],
+            min: 0,
+            max: key === 'x' ? this.config.xDimension : key === 'y' ? this.config.yDimension : 50
+          };
+        })
+      },
+      sensors: {
+        endstops: AXIS_LETTERS.map((_, i) => ({
+          triggered: false,
+          type: i < 2 ? 'inputPin' : 'motorStallAny'
+        })),
+        gpIn: this._mockInputs.map(value => ({ value }))
+      },
+      state: {
+        status: statusMap[this.state.status] ?? 'idle',
+        currentTool: 0,
+        machineMode: 'CNC',
+        upTime: Math.round(process.uptime())
+      },
+      tools: [{ number: 0, name: 'Pen', state: 'active' }]
+    };
+  }
+  
+  // Build a legacy M408 S1 response for DEV MODE
+  _buildMockM408() {
+    const statusMap = { idle: 'I', busy: 'P', paused: 'S', error: 'H' };
+    const pos = AXIS_LETTERS.map(letter => this.state.position[letter.toLowerCase()]);
+    
+    return {
+      status: statusMap[this.state.status] ?? 'I',
+      pos,
+      machine: pos,
+      homed: this._mockHomed.map(h => (h ? 1 : 0)),
+      tool: 0,
+      endstops: 0,
+      firmwareName: 'RepRapFirmware',
+      firmwareVersion: '2.05.1'
+    };
+  }
+  
   // High-level convenience methods
   
   async getPosition() {
@@ -261,6 +980,16 @@ class Duet extends EventEmitter {
   }
   
   async uploadFile(filename, content) {
+    // Networked boards take the whole file in one rr_upload request
+    if (!this.devMode && this.transport?.upload) {
+      try {
+        await this.transport.upload(filename, content);
+        return `File ${filename} uploaded successfully`;
+      } catch (error) {
+        throw new Error(`Failed to upload file: ${error.message}`);
+      }
+    }
+    
     // Duet uploads via M28 (begin write) and M29 (end write)
     // Content is sent line by line between these commands
     try {
@@ -308,7 +1037,12 @@ class Duet extends EventEmitter {
   }
   
   async emergencyStop() {
-    return await this.sendGCode('M112');
+    // Nothing queued behind an emergency stop should still run
+    const flushed = this.flushQueue('Command queue flushed by emergency stop');
+    if (flushed > 0) {
+      console.log(`Duet: Emergency stop discarded ${flushed} queued commands`);
+    }
+    return await this.sendGCode('M112', null, { priority: true });
   }
   
   async home(axes = '') {
@@ -316,6 +1050,8 @@ class Duet extends EventEmitter {
   }
   
   async moveRapid(coords) {
+    this._validateMove(coords);
+    this._checkSoftLimits(coords);
     let gcode = 'G0';
     if (coords.x !== undefined) gcode += ` X${coords.x}`;
     if (coords.y !== undefined) gcode += ` Y${coords.y}`;
@@ -324,6 +1060,8 @@ class Duet extends EventEmitter {
   }
   
   async moveLinear(coords, feedRate = null) {
+    this._validateMove(coords, feedRate);
+    this._checkSoftLimits(coords);
     let gcode = 'G1';
     if (coords.x !== undefined) gcode += ` X${coords.x}`;
     if (coords.y !== undefined) gcode += ` Y${coords.y}`;
@@ -332,6 +1070,83 @@ class Duet extends EventEmitter {
     return await this.sendGCode(gcode);
   }
   
+  // Follow G90/G91 in anything sent, so a later jog knows whether its X/Y are relative
+  _trackDistanceMode(command) {
+    const modes = [...String(command).matchAll(/(?:^|\s)G9([01])\b/gim)];
+    if (modes.length > 0) {
+      this.distanceMode = modes[modes.length - 1][1] === '1' ? 'relative' : 'absolute';
+    }
+  }
+  
+  // Reject coordinates or feed rates that are not numbers before they reach the firmware
+  _validateMove(coords, feedRate = null) {
+    const values = { ...coords, f: feedRate };
+    for (const [axis, value] of Object.entries(values)) {
+      if (value === undefined || value === null) continue;
+      if (value === '' || typeof value === 'boolean' || !Number.isFinite(Number(value))) {
+        const error = new Error(`Invalid ${axis.toUpperCase()} value: ${value}`);
+        error.code = 'INVALID_MOVE';
+        throw error;
+      }
+    }
+  }
+  
+  // Axes of an X/Y target that fall off the bed, e.g. ['X250 (0-200)']. Relative targets are
+  // added to the last polled position. Z is the pen lift, whose travel is not configured here
+  // and is left to the firmware's own axis limits.
+  checkLimits(coords, relative = this.distanceMode === 'relative') {
+    const problems = [];
+    for (const [axis, max] of [['x', this.config.xDimension], ['y', this.config.yDimension]]) {
+      if (coords[axis] === undefined || coords[axis] === null) continue;
+      const value = Number(coords[axis]) + (relative ? this.state.position[axis] || 0 : 0);
+      if (value < 0 || (Number.isFinite(max) && value > max)) {
+        problems.push(`${axis.toUpperCase()}${value} (0-${max})`);
+      }
+    }
+    return problems;
+  }
+  
+  _checkSoftLimits(coords, relative) {
+    if (this.softLimits === 'off') return;
+    const problems = this.checkLimits(coords, relative);
+    if (problems.length === 0) return;
+    
+    const message = `Move outside the ${this.config.xDimension}x${this.config.yDimension}mm bed: ${problems.join(', ')}`;
+    if (this.softLimits === 'warn') {
+      console.warn(`Soft limits: ${message}`);
+      return;
+    }
+    const error = new Error(message);
+    error.code = 'OUT_OF_BOUNDS';
+    throw error;
+  }
+  
+  // Apply the same checks to the G0-G3 moves in raw G-code. Arcs are checked at their end
+  // point only; lines with firmware expressions ({...}) cannot be evaluated and are left alone.
+  checkCommand(command) {
+    let relative = this.distanceMode === 'relative';
+    const position = { ...this.state.position };
+    for (const raw of String(command).split('\n')) {
+      const line = raw.replace(/;.*$/, '').trim();
+      if (/^G90\b/i.test(line)) relative = false;
+      if (/^G91\b/i.test(line)) relative = true;
+      if (!/^G0?[0-3]\b/i.test(line) || line.includes('{')) continue;
+      
+      const coords = {};
+      for (const [, axis, value] of line.matchAll(/([XY])\s*([^\sA-Z]*)/gi)) {
+        coords[axis.toLowerCase()] = value;
+      }
+      this._validateMove(coords);
+      
+      const target = {};
+      for (const axis of Object.keys(coords)) {
+        target[axis] = Number(coords[axis]) + (relative ? position[axis] || 0 : 0);
+      }
+      this._checkSoftLimits(target, false);
+      Object.assign(position, target);
+    }
+  }
+  
   async setGPIO(pin, value) {
     return await this.sendGCode(`M42 P${pin} S${value}`);
   }
@@ -344,17 +1159,50 @@ class Duet extends EventEmitter {
     return await this.sendGCode('M400');
   }
   
+  // Read the planner's limits for time estimates (the lower of X and Y is used)
+  async readMotionLimits() {
+    const acceleration = parseAxisLimit(await this.sendGCode('M201'));
+    const maxSpeed = parseAxisLimit(await this.sendGCode('M203'));
+    const jerk = parseAxisLimit(await this.sendGCode('M566'));
+    
+    this.motionLimits = {
+      acceleration,
+      maxSpeed: maxSpeed !== null ? maxSpeed / 60 : null,  // reported in mm/min
+      jerk: jerk !== null ? jerk / 60 : null
+    };
+    this.emit('motion-limits', this.motionLimits);
+    return this.motionLimits;
+  }
+  
   // Get current state
   getState() {
     return { 
       ...this.state,
-      config: this.config
+      config: this.config,
+      model: this.model,
+      modelSource: this.modelSource,
+      queue: {
+        depth: this.commandQueue.length,
+        inFlight: this.inFlight.length,
+        inFlightBytes: this.inFlight.reduce((sum, write) => sum + write.bytes, 0),
+        current: this.inFlight[0]?.entry.command ?? null,
+        streamMode: this.streamMode
+      },
+      connection: {
+        type: this.devMode ? 'mock' : this.transportType,
+        target: this.transportType === 'http' ? this.host : this.serialPath
+      },
+      transport: {
+        lineNumber: this.lineNumber,
+        lastAckedLine: this.lastAckedLine,
+        resendCount: this.resendCount
+      }
     };
   }
   
   // Get machine configuration
   getConfig() {
-    return { ...this.config };
+    return { ...this.config, softLimits: this.softLimits };
   }
   
   // Update machine configuration
@@ -365,6 +1213,9 @@ class Duet extends EventEmitter {
     if (newConfig.yDimension !== undefined) {
       this.config.yDimension = parseFloat(newConfig.yDimension);
     }
+    if (newConfig.softLimits !== undefined) {
+      this.softLimits = newConfig.softLimits;
+    }
     this.emit('config-updated', this.config);
   }
   
@@ -374,13 +1225,16 @@ class Duet extends EventEmitter {
   
   // Gracefully close connection (only on shutdown)
   close() {
-    console.log('Duet: Closing serial connection...');
-    if (this.serialPort && this.serialPort.isOpen) {
-      this.serialPort.close((err) => {
+    console.log('Duet: Closing connection...');
+    this.stopModelPolling();
+    this.closing = true;
+    clearTimeout(this._reconnectTimer);
+    if (this.transport) {
+      this.transport.close((err) => {
         if (err) {
-          console.error('Duet: Error closing port:', err.message);
+          console.error('Duet: Error closing connection:', err.message);
         } else {
-          console.log('Duet: Serial port closed');
+          console.log('Duet: Connection closed');
         }
       });
     }
@@ -6,11 +6,10 @@ import 'dotenv/config';
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Duet from './duet.js';
 import System from './system.js';
 import Webcam from './webcam.js';
 import WSServer from './websocket-server.js';
-import JobManager from './job-manager.js';
+import MachineRegistry from './machine-registry.js';
 import { initializeRoutes } from './routes.js';
 import { createApiRoutes } from './api-routes.js';
 
@@ -19,15 +18,6 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DEV_MODE = process.env.DEV_MODE === 'true';
-const SERIAL_PATH = process.env.SERIAL_PATH || '/dev/ttyUSB0';
-
-// CNC Machine Configuration
-const config = {
-  machine: {
-    xDimension: parseFloat(process.env.X_DIMENSION) || 200,
-    yDimension: parseFloat(process.env.Y_DIMENSION) || 200
-  }
-};
 
 // Middleware - increase JSON limit for SVG uploads
 app.use(express.json({ limit: '10mb' }));
@@ -38,14 +28,6 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Also serve from root for legacy compatibility
 app.use(express.static(__dirname));
 
-// Initialize Duet controller ONCE - this is the persistent connection
-const duet = new Duet({
-  devMode: DEV_MODE,
-  serialPath: SERIAL_PATH,
-  xDimension: config.machine.xDimension,
-  yDimension: config.machine.yDimension
-});
-
 // Initialize System manager
 const system = new System({
   devMode: DEV_MODE,
@@ -59,76 +41,37 @@ const webcam = new Webcam({
   imageDir: '/var/www/gellyroller/img'
 });
 
-// Event listeners for connection monitoring
-duet.on('ready', () => {
-  console.log('Duet controller ready');
-});
-
-duet.on('error', (error) => {
-  console.error('Duet error:', error.message);
-});
-
-duet.on('close', () => {
-  console.warn('Duet connection closed - will attempt to reconnect');
-});
-
-duet.on('position', (position) => {
-  console.log('Position updated:', position);
-});
-
 // Create HTTP server first (needed for WebSocket)
 const server = app.listen(PORT, () => {
   console.log(`Gellyroller API running on http://localhost:${PORT}`);
   console.log(`Mode: ${DEV_MODE ? 'DEVELOPMENT (Simulated)' : 'PRODUCTION'}`);
   console.log(`WebSocket: ws://localhost:${PORT}/ws`);
-  console.log(`Serial Path: ${SERIAL_PATH}`);
+  for (const machine of registry.listMachines()) {
+    const { duet } = machine;
+    const target = duet.transportType === 'http' ? `HTTP ${duet.host}` : `Serial ${duet.serialPath}`;
+    console.log(`Machine ${machine.id}: ${target}${machine.id === registry.defaultMachineId ? ' (default)' : ''}`);
+  }
 });
 
 // Initialize WebSocket server (attached to HTTP server)
 const wsServer = new WSServer(server, { devMode: DEV_MODE });
 wsServer.startHeartbeat();
 
-// Initialize Job Manager (connects duet, parser, and websocket)
-const jobManager = new JobManager(duet, wsServer, { devMode: DEV_MODE });
-
-// Position polling - broadcast updates to all WebSocket clients
-let lastPosition = { x: null, y: null, z: null };
-const POSITION_POLL_INTERVAL = 500; // ms
-
-async function pollPosition() {
-  if (!duet.ready) return;
-
-  try {
-    const position = await duet.getPosition();
-
-    // Only broadcast if position changed
-    if (position.x !== lastPosition.x ||
-        position.y !== lastPosition.y ||
-        position.z !== lastPosition.z) {
-      lastPosition = { ...position };
-      wsServer.emitPosition(position);
-    }
-  } catch (err) {
-    // Silently ignore polling errors
-  }
+// Initialize every machine: its Duet connection, Job Manager, WebSocket channel and polling
+const registry = new MachineRegistry(wsServer, { devMode: DEV_MODE });
+for (const definition of MachineRegistry.loadConfig()) {
+  registry.addMachine(definition);
 }
 
-// Start polling when Duet is ready
-duet.on('ready', () => {
-  setInterval(pollPosition, POSITION_POLL_INTERVAL);
-});
-
-// If already ready (dev mode), start immediately
-if (duet.ready) {
-  setInterval(pollPosition, POSITION_POLL_INTERVAL);
-}
+// Default machine, served by the un-prefixed routes
+const { duet, jobManager } = registry.getDefault();
 
 // Initialize and mount routes (with all dependencies)
-const routes = initializeRoutes(duet, system, webcam, jobManager);
+const routes = initializeRoutes(registry, system, webcam);
 app.use('/', routes);
 
 // Mount API routes for new UI
-const apiRoutes = createApiRoutes(jobManager);
+const apiRoutes = createApiRoutes(registry, webcam);
 app.use('/api', apiRoutes);
 
 // 404 handler (must be after routes)
@@ -144,6 +87,7 @@ app.use((err, req, res, next) => {
 
 // Log available endpoints
 console.log('Endpoints:');
+console.log('  Machines: /machines, /machines/:machineId/... (un-prefixed routes use the default machine)');
 console.log('  Machine: /position, /state, /status, /home, /goto/*, /pause, /cancel');
 console.log('  G-code:  /gcode, /execute, /sd/*');
 console.log('  Jobs:    /job/upload, /job/list, /job/:id, /job/:id/start|pause|resume|cancel');
@@ -169,9 +113,9 @@ process.on('SIGINT', async () => {
     wsServer.close();
     console.log('WebSocket server closed');
 
-    // Close Duet connection
-    duet.close();
-    console.log('Duet connection closed');
+    // Close Duet connections
+    registry.close();
+    console.log('Duet connections closed');
 
     // Close HTTP server
     server.close(() => {
@@ -184,4 +128,4 @@ process.on('SIGINT', async () => {
   }
 });
 
-export { app, server, duet, system, webcam, wsServer, jobManager };
+export { app, server, registry, duet, system, webcam, wsServer, jobManager };
@@ -1,8 +1,19 @@
 // G-code Parser
 // Parses G-code files to extract metadata for job progress tracking
 
+import { DEFAULT_PROFILE, penPatterns } from './machine-profiles.js';
+import estimateTime, { motionOptions } from './motion-planner.js';
+
+// Soft limits: moves may overshoot the bed by rounding error; reports list at most this many lines
+const BOUNDS_TOLERANCE = 0.001;  // mm
+const MAX_BOUNDS_LINES = 50;
+
 class GCodeParser {
-  constructor() {
+  constructor(profile = DEFAULT_PROFILE) {
+    // Time estimates use the profile's motion limits, then the firmware's (setMotionLimits)
+    this.profile = profile;
+    this.motionLimits = null;
+
     // Patterns for detecting various G-code elements
     this.patterns = {
       // Movement commands
@@ -28,15 +39,25 @@ class GCodeParser {
       yCoord: /Y([-\d.]+)/i,
       zCoord: /Z([-\d.]+)/i,
 
-      // Pen up/down (common in plotters)
-      penUp: /^(?:G0.*Z|M3\s*S0|;.*pen\s*up)/i,
-      penDown: /^(?:G1.*Z|M3\s*S|;.*pen\s*down)/i,
+      // Pen up/down - the machine profile's commands
+      ...penPatterns(profile),
 
       // Comment extraction
       comment: /;(.*)$/
     };
   }
 
+  // Recognise another machine profile's pen commands
+  setProfile(profile) {
+    this.profile = profile;
+    Object.assign(this.patterns, penPatterns(profile));
+  }
+
+  // Acceleration, max speed and jerk reported by the firmware
+  setMotionLimits(limits) {
+    this.motionLimits = limits;
+  }
+
   parse(content, filename = 'unknown') {
     const lines = content.split('\n');
     const parsedLines = [];
@@ -46,12 +67,14 @@ class GCodeParser {
       movementCommands: 0,
       rapidMoves: 0,
       linearMoves: 0,
+      drawDistanceMm: 0,
       estimatedTimeMs: 0
     };
 
     const layers = [];
     const toolChanges = [];
     const checkpoints = [];
+    const strokes = [];  // Pen-down to pen-up spans, with the tool and distance drawn (ink used)
 
     let currentLayer = null;
     let currentTool = 0;
@@ -60,6 +83,7 @@ class GCodeParser {
     let penIsUp = true;
     let shapeCount = 0;
     let inShape = false;
+    let currentStroke = null;
 
     for (let i = 0; i < lines.length; i++) {
       const lineNum = i + 1;
@@ -73,6 +97,7 @@ class GCodeParser {
       }
 
       stats.totalLines++;
+      const wasPenUp = penIsUp;
 
       const parsed = {
         lineNum,
@@ -111,6 +136,7 @@ class GCodeParser {
         checkpoints.push({
           line: lineNum,
           position: { ...currentPosition },
+          penUp: penIsUp,
           type: 'layer',
           layer: layerIndex
         });
@@ -160,6 +186,7 @@ class GCodeParser {
           checkpoints.push({
             line: lineNum,
             position: { ...currentPosition },
+            penUp: penIsUp,
             type: 'tool-change',
             tool: newTool
           });
@@ -188,6 +215,7 @@ class GCodeParser {
         checkpoints.push({
           line: lineNum,
           position: { ...currentPosition },
+          penUp: penIsUp,
           type: 'pause'
         });
       }
@@ -213,8 +241,14 @@ class GCodeParser {
         parsed.command = 'G1';
         stats.movementCommands++;
         stats.linearMoves++;
+        const from = { ...currentPosition };
         this._extractCoords(line, parsed, currentPosition);
 
+        // Drawn while the pen is down (measured as SvgProcessor.calculateStats does)
+        if (currentStroke) {
+          currentStroke.drawDistanceMm += Math.hypot(currentPosition.x - from.x, currentPosition.y - from.y);
+        }
+
         // Linear moves with Z down indicate pen down
         if (parsed.params.z !== undefined && parsed.params.z < currentPosition.z) {
           penIsUp = false;
@@ -228,6 +262,15 @@ class GCodeParser {
 
       // Check for pen up/down
       if (this.patterns.penUp.test(line)) {
+        // End of a stroke - a safe place to resume from
+        if (!penIsUp || inShape) {
+          checkpoints.push({
+            line: lineNum,
+            position: { ...currentPosition },
+            penUp: true,
+            type: 'pen-up'
+          });
+        }
         penIsUp = true;
         if (inShape) {
           shapeCount++;
@@ -248,6 +291,7 @@ class GCodeParser {
           checkpoints.push({
             line: lineNum,
             position: { ...currentPosition },
+            penUp: penIsUp,
             type: 'z-change',
             zDelta
           });
@@ -258,9 +302,31 @@ class GCodeParser {
         lastZ = parsed.params.z;
       }
 
+      // Stroke boundaries
+      if (wasPenUp && !penIsUp) {
+        currentStroke = {
+          index: strokes.length,
+          startLine: lineNum,
+          endLine: null,
+          startPosition: { ...currentPosition },
+          tool: currentTool,
+          drawDistanceMm: 0
+        };
+      } else if (!wasPenUp && penIsUp && currentStroke) {
+        currentStroke.endLine = lineNum;
+        strokes.push(currentStroke);
+        currentStroke = null;
+      }
+
       parsedLines.push(parsed);
     }
 
+    // Close a stroke left open at the end of the file
+    if (currentStroke) {
+      currentStroke.endLine = lines.length;
+      strokes.push(currentStroke);
+    }
+
     // Close final layer
     if (currentLayer) {
       currentLayer.endLine = stats.totalLines;
@@ -284,8 +350,15 @@ class GCodeParser {
       shapeCount++;
     }
 
-    // Estimate time (rough: 100ms per movement command)
-    stats.estimatedTimeMs = stats.movementCommands * 100;
+    stats.drawDistanceMm = Math.round(strokes.reduce((sum, stroke) => sum + stroke.drawDistanceMm, 0));
+
+    // Time through the motion planner; timeline[n] is the time at the end of line n
+    const { totalMs, timeline } = estimateTime(content, {
+      ...motionOptions(this.profile, this.motionLimits),
+      penUp: this.patterns.penUp,
+      penDown: this.patterns.penDown
+    });
+    stats.estimatedTimeMs = Math.round(totalMs);
     stats.shapes = shapeCount;
 
     return {
@@ -295,6 +368,8 @@ class GCodeParser {
       layers,
       toolChanges,
       checkpoints,
+      strokes,
+      timeline,
       content  // Store original for execution
     };
   }
@@ -318,6 +393,118 @@ class GCodeParser {
     }
   }
 
+  // Modal state in effect just before a line runs (1-based), for starting a job part-way through.
+  // Positions follow G90/G91; G92 offsets are not tracked.
+  modalStateAt(content, lineNum) {
+    const lines = content.split('\n');
+    const state = {
+      units: 'G21',
+      distanceMode: 'G90',
+      feedRate: null,
+      position: { x: 0, y: 0, z: 0 },
+      penDown: false,
+      tool: null
+    };
+
+    for (let i = 0; i < Math.min(lineNum - 1, lines.length); i++) {
+      const line = lines[i].trim();
+      const code = line.split(';')[0].trim();
+
+      if (/^G2[01]\b/i.test(code)) {
+        state.units = code.slice(0, 3).toUpperCase();
+      } else if (/^G9[01]\b/i.test(code)) {
+        state.distanceMode = code.slice(0, 3).toUpperCase();
+      } else if (this.patterns.rapidMove.test(code) || this.patterns.linearMove.test(code)) {
+        const relative = state.distanceMode === 'G91';
+        for (const axis of ['x', 'y', 'z']) {
+          const match = code.match(this.patterns[`${axis}Coord`]);
+          if (match) {
+            const value = parseFloat(match[1]);
+            state.position[axis] = relative ? state.position[axis] + value : value;
+          }
+        }
+        const feedMatch = code.match(/F([\d.]+)/i);
+        if (feedMatch) {
+          state.feedRate = parseFloat(feedMatch[1]);
+        }
+      }
+
+      const toolMatch = code.match(this.patterns.toolSelect);
+      if (toolMatch) {
+        state.tool = parseInt(toolMatch[1], 10);
+      }
+
+      if (this.patterns.penUp.test(line)) {
+        state.penDown = false;
+      } else if (this.patterns.penDown.test(line)) {
+        state.penDown = true;
+      }
+    }
+
+    return state;
+  }
+
+  // Bounding box of every X/Y move and the moves that leave a bed of xDimension x yDimension mm
+  // (origin at 0,0). Positions follow G90/G91 and G20/G21; G92 offsets are not tracked. Moves are
+  // matched like Duet.checkCommand (G0-G3, G00 too) and arcs are checked at their end point only.
+  checkBounds(content, limits = {}) {
+    const lines = content.split('\n');
+    const xMax = Number.isFinite(limits.xDimension) ? limits.xDimension : Infinity;
+    const yMax = Number.isFinite(limits.yDimension) ? limits.yDimension : Infinity;
+    const position = { x: 0, y: 0 };
+    let relative = false;
+    let unitScale = 1;
+    let bounds = null;
+    const outOfBounds = [];
+    let outOfBoundsCount = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const code = lines[i].split(';')[0].trim();
+
+      if (/^G2[01]\b/i.test(code)) {
+        unitScale = /^G20/i.test(code) ? 25.4 : 1;
+      } else if (/^G9[01]\b/i.test(code)) {
+        relative = /^G91/i.test(code);
+      } else if (/^G0?[0-3]\b/i.test(code)) {
+        let moved = false;
+        for (const axis of ['x', 'y']) {
+          const match = code.match(this.patterns[`${axis}Coord`]);
+          if (match) {
+            const value = parseFloat(match[1]) * unitScale;
+            position[axis] = relative ? position[axis] + value : value;
+            moved = true;
+          }
+        }
+        if (!moved) continue;
+
+        bounds = bounds
+          ? {
+            minX: Math.min(bounds.minX, position.x),
+            minY: Math.min(bounds.minY, position.y),
+            maxX: Math.max(bounds.maxX, position.x),
+            maxY: Math.max(bounds.maxY, position.y)
+          }
+          : { minX: position.x, minY: position.y, maxX: position.x, maxY: position.y };
+
+        if (position.x < -BOUNDS_TOLERANCE || position.x > xMax + BOUNDS_TOLERANCE ||
+            position.y < -BOUNDS_TOLERANCE || position.y > yMax + BOUNDS_TOLERANCE) {
+          outOfBoundsCount++;
+          if (outOfBounds.length < MAX_BOUNDS_LINES) {
+            outOfBounds.push({ line: i + 1, x: position.x, y: position.y, command: code });
+          }
+        }
+      }
+    }
+
+    return {
+      bounds: bounds && { ...bounds, width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY },
+      limits: { xDimension: limits.xDimension ?? null, yDimension: limits.yDimension ?? null },
+      withinLimits: outOfBoundsCount === 0,
+      outOfBoundsCount,
+      outOfBounds  // The first MAX_BOUNDS_LINES
+    };
+  }
+
   // Get summary stats without full parsing
   quickStats(content) {
     const lines = content.split('\n');
@@ -0,0 +1,97 @@
+// Hatch Fill
+// Parallel (or crossed) hatch lines clipped to filled regions, for SvgProcessor's fill stage.
+// Lines sit on a grid shared by every region, so neighbouring shapes hatch in step.
+
+/**
+ * Hatch lines covering the inside of a region
+ * @param {Array} polygons - point arrays in mm, each implicitly closed; holes are further polygons
+ * @param {Object} options - { spacing (mm), angle (degrees), crossHatch, penWidth (mm), fillRule ('nonzero' | 'evenodd') }
+ * @returns {Array} lines as [start, end] point pairs, alternating direction
+ */
+function hatchRegion(polygons, options = {}) {
+  const spacing = options.spacing ?? 0.5;
+  const angle = options.angle ?? 45;
+  if (!(spacing > 0)) return [];
+
+  const angles = options.crossHatch ? [angle, angle + 90] : [angle];
+  return angles.flatMap(lineAngle => hatchAtAngle(
+    polygons,
+    lineAngle,
+    spacing,
+    (options.penWidth ?? 0) / 2,
+    options.fillRule === 'evenodd'
+  ));
+}
+
+/**
+ * One set of parallel lines: rotate the region so the lines run along x, scan it and rotate back.
+ * Each span is shortened by inset at both ends so the ink stays inside the outline.
+ */
+function hatchAtAngle(polygons, angle, spacing, inset, evenOdd) {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const toHatch = (pt) => ({ x: pt.x * cos + pt.y * sin, y: -pt.x * sin + pt.y * cos });
+  const fromHatch = (x, y) => ({ x: x * cos - y * sin, y: x * sin + y * cos });
+
+  // Edges of every polygon, closing each one
+  const edges = [];
+  let minY = Infinity, maxY = -Infinity;
+  for (const polygon of polygons) {
+    const points = polygon.map(toHatch);
+    if (points.length < 3) continue;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      minY = Math.min(minY, a.y);
+      maxY = Math.max(maxY, a.y);
+      if (a.y !== b.y) edges.push({ a, b, direction: b.y > a.y ? 1 : -1 });
+    }
+  }
+
+  const lines = [];
+  let reverse = false;
+
+  // Lines at half-spacing offsets, so none runs exactly along an axis-aligned edge
+  for (let k = Math.ceil(minY / spacing - 0.5); (k + 0.5) * spacing <= maxY; k++) {
+    const y = (k + 0.5) * spacing;
+
+    // Where the scanline crosses the outline, left to right
+    const crossings = [];
+    for (const { a, b, direction } of edges) {
+      if ((a.y <= y) !== (b.y <= y)) {
+        crossings.push({ x: a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y), direction });
+      }
+    }
+    crossings.sort((c1, c2) => c1.x - c2.x);
+
+    // Spans inside the region by the fill rule
+    const spans = [];
+    let winding = 0;
+    let spanStart = null;
+    for (const crossing of crossings) {
+      const wasInside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+      winding += evenOdd ? 1 : crossing.direction;
+      const isInside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+
+      if (!wasInside && isInside) {
+        spanStart = crossing.x;
+      } else if (wasInside && !isInside && crossing.x - spanStart > inset * 2) {
+        spans.push([spanStart + inset, crossing.x - inset]);
+      }
+    }
+
+    // Alternate direction line to line, so consecutive lines join up with short moves
+    if (reverse) spans.reverse();
+    for (const [x1, x2] of spans) {
+      lines.push(reverse
+        ? [fromHatch(x2, y), fromHatch(x1, y)]
+        : [fromHatch(x1, y), fromHatch(x2, y)]);
+    }
+    if (spans.length > 0) reverse = !reverse;
+  }
+
+  return lines;
+}
+
+export default hatchRegion;
@@ -3,7 +3,9 @@
 
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
 import GCodeParser from './gcode-parser.js';
+import { DEFAULT_PROFILE } from './machine-profiles.js';
 
 class JobManager extends EventEmitter {
   constructor(duet, wsServer, options = {}) {
@@ -11,13 +13,56 @@ class JobManager extends EventEmitter {
 
     this.duet = duet;
     this.wsServer = wsServer;
-    this.parser = new GCodeParser();
+    this.profile = options.profile ?? DEFAULT_PROFILE;
+    this.parser = new GCodeParser(this.profile);
     this.devMode = options.devMode ?? (process.env.DEV_MODE === 'true');
 
+    // Stream job lines with N line numbers and checksums (resent on firmware request)
+    this.reliableTransport = options.reliableTransport ?? true;
+
+    // Lines handed to the Duet ahead of acknowledgement (it limits what reaches the firmware)
+    this.streamLookahead = options.streamLookahead ?? 32;
+
     // Job storage
     this.jobs = new Map(); // jobId -> job
     this.activeJobId = null;
 
+    // Job queue and job history - persisted per machine when a database is given
+    this.machineId = options.machineId ?? 'default';
+    this.db = options.db ?? null;
+    this.autoRun = options.autoRun ?? true;  // Start the next queued job when one completes
+    this.queue = [];         // jobIds in run order
+    this.queueHeld = false;  // Held after an error, a cancel or a restart until the operator resumes it
+
+    // Work sent outside a job (e.g. a pen calibration grid) owns the machine until released
+    this.reservation = null;
+
+    // Crash recovery: the running job's line, pen state and position are checkpointed to the database
+    this.checkpointIntervalMs = options.checkpointIntervalMs ?? 2000;
+    this.penUpCommand = options.penUpCommand ?? this.profile.penUp;
+    this.penDownCommand = options.penDownCommand ?? this.profile.penDown;
+    this.travelFeedRate = options.travelFeedRate ?? 6000;
+    this.homingTimeout = options.homingTimeout ?? 60000;
+    this.interruptedJobId = null;  // Job that was running or paused when the server stopped
+
+    // Guided pen changes: T/M6 tool changes and ;COLOR/;PEN markers park the carriage and wait for
+    // the operator instead of reaching the Duet. The button is a Duet GPIO input (M950 J<n>).
+    // On by default (PEN_CHANGE_GUIDED=false turns it off); machines with a real tool changer set
+    // guidedPenChange: false in their definition so T commands reach the firmware.
+    this.guidedPenChange = options.guidedPenChange ?? (process.env.PEN_CHANGE_GUIDED !== 'false');
+    this.penChangePosition = options.penChangePosition ?? (process.env.PEN_CHANGE_X && process.env.PEN_CHANGE_Y
+      ? { x: parseFloat(process.env.PEN_CHANGE_X), y: parseFloat(process.env.PEN_CHANGE_Y) }
+      : null);
+    this.penChangeButton = options.penChangeButton ?? (process.env.PEN_CHANGE_BUTTON
+      ? parseInt(process.env.PEN_CHANGE_BUTTON, 10)
+      : null);
+    this.penChangeButtonPollMs = options.penChangeButtonPollMs ?? 250;
+    this._penChangeButtonTimer = null;
+
+    // Ink: strokes drawn are taken off the pen fitted for their tool; an alert goes out when a
+    // pen's remaining ink falls to this fraction of its capacity
+    this.lowInkThreshold = options.lowInkThreshold ?? (parseFloat(process.env.LOW_INK_THRESHOLD) || 0.1);
+
     // Progress update throttling
     this.progressUpdateIntervalMs = options.progressUpdateIntervalMs ?? 500;
     this._lastProgressUpdate = 0;
@@ -29,16 +74,36 @@ class JobManager extends EventEmitter {
       });
     }
 
+    this._restoreQueue();
+    this._restoreInterruptedJob();
+
     console.log('JobManager initialized');
   }
 
   // Create a new job from G-code content
-  createJob(filename, content) {
-    const jobId = uuidv4();
+  createJob(filename, content, options = {}) {
+    const jobId = options.id ?? uuidv4();
 
     // Parse the G-code
     const parsed = this.parser.parse(content, filename);
 
+    // Soft limits: moves off the Duet's bed are refused (or only logged) before the job exists.
+    // Restored jobs and those created with ignoreBounds keep the report without the check.
+    const softLimits = this.duet?.softLimits ?? 'off';
+    const bounds = this.parser.checkBounds(content, this.duet?.getConfig());
+    if (!bounds.withinLimits && softLimits !== 'off' && !options.ignoreBounds) {
+      const lines = bounds.outOfBounds.slice(0, 10).map(entry => entry.line).join(', ');
+      const message = `${parsed.filename} leaves the ${bounds.limits.xDimension}x${bounds.limits.yDimension}mm bed ` +
+        `on ${bounds.outOfBoundsCount} move(s) (lines ${lines}${bounds.outOfBoundsCount > 10 ? ', ...' : ''})`;
+      if (softLimits === 'reject') {
+        const error = new Error(`${message}; create it with ignoreBounds to run anyway`);
+        error.code = 'OUT_OF_BOUNDS';
+        error.bounds = bounds;
+        throw error;
+      }
+      console.warn(`Soft limits: ${message}`);
+    }
+
     const job = {
       id: jobId,
       filename: parsed.filename,
@@ -52,6 +117,9 @@ class JobManager extends EventEmitter {
       layers: parsed.layers,
       toolChanges: parsed.toolChanges,
       checkpoints: parsed.checkpoints,
+      strokes: parsed.strokes,
+      timeline: parsed.timeline,
+      bounds,
       lines: parsed.lines,
       content: parsed.content,
 
@@ -62,23 +130,68 @@ class JobManager extends EventEmitter {
         percentage: 0,
         currentLayer: 0,
         totalLayers: parsed.layers.length,
+        strokesCompleted: 0,
+        totalStrokes: parsed.strokes.length,
         elapsedMs: 0,
         estimatedRemainingMs: parsed.stats.estimatedTimeMs,
         currentPosition: { x: 0, y: 0, z: 0 }
       },
 
-      // For rollback (future)
+      // Pause/resume/rewind events
       history: [],
 
+      // Set by rewindJob - the next resume restarts from this line
+      rewindLine: null,
+
+      // Pen in the holder as far as the job knows, and the change waiting for the operator (if any)
+      pen: { tool: null, color: null },
+      penChange: null,
+      _penDrawn: false,  // The current pen has touched the paper
+      _inkPending: {},   // mm drawn per tool, not yet taken off the pens
+
+      // Audit: where the job came from and every status it passed through
+      fileId: options.fileId ?? null,
+      settings: options.settings ?? null,
+      gcodeHash: createHash('sha256').update(content).digest('hex'),
+      transitions: [{ status: 'pending', at: Date.now() }],
+
+      // Last acknowledged line, pen state and commanded position (checkpointed while running)
+      machineState: {
+        line: 0,
+        penDown: false,
+        position: { x: 0, y: 0, z: 0 },
+        savedAt: null
+      },
+
+      // Queue: wait for the operator (e.g. to change paper) before starting
+      waitForConfirm: false,
+      confirmed: false,
+
       // Error info
       error: null,
 
       // Execution control
-      _abortController: null
+      _abortController: null,
+      _streamController: null
     };
 
     this.jobs.set(jobId, job);
 
+    if (this.db) {
+      this.db.createJobRecord({
+        id: job.id,
+        machineId: this.machineId,
+        fileId: job.fileId,
+        filename: job.filename,
+        settings: job.settings,
+        gcodeHash: job.gcodeHash,
+        totalLines: job.progress.totalLines,
+        status: job.status,
+        transitions: job.transitions,
+        createdAt: new Date(job.createdAt).toISOString()
+      });
+    }
+
     // Emit event
     this.emit('job:created', job);
     if (this.wsServer) {
@@ -114,17 +227,35 @@ class JobManager extends EventEmitter {
       throw new Error(`Job not found: ${jobId}`);
     }
 
-    if (job.status === 'running') {
+    if (job.status === 'running' || job.status === 'recovering') {
       throw new Error('Cannot delete a running job');
     }
 
+    if (this.queue.includes(jobId)) {
+      this._removeFromQueue(jobId);
+      this._emitQueueUpdate();
+    }
+
+    if (job.penChange) {
+      this._stopPenChangeButton();
+    }
+
+    // Deleting an interrupted job discards its checkpoint
+    if (job.status === 'interrupted') {
+      this.interruptedJobId = null;
+      if (this.db) {
+        this.db.clearJobCheckpoint(this.machineId, jobId);
+      }
+    }
+
     this.jobs.delete(jobId);
     console.log(`Job deleted: ${jobId}`);
     return true;
   }
 
   // Start executing a job
-  async startJob(jobId) {
+  // options.fromLine / fromLayer / fromCheckpoint start part-way through (also re-runs finished jobs)
+  async startJob(jobId, options = {}) {
     const job = this.jobs.get(jobId);
     if (!job) {
       throw new Error(`Job not found: ${jobId}`);
@@ -134,13 +265,44 @@ class JobManager extends EventEmitter {
       throw new Error(`Another job is already running: ${this.activeJobId}`);
     }
 
-    if (job.status !== 'pending' && job.status !== 'paused') {
+    if (this.reservation) {
+      throw new Error(`Machine is busy: ${this.reservation}`);
+    }
+
+    const startLine = this.resolveStartLine(job, options);
+    const startable = ['pending', 'paused', 'queued', 'awaiting-confirmation', 'recovering'];
+    if (startLine !== null) {
+      startable.push('completed', 'cancelled', 'error');
+    }
+
+    if (!startable.includes(job.status)) {
       throw new Error(`Job cannot be started from status: ${job.status}`);
     }
 
+    // An interrupted job keeps the machine until it is resumed or cancelled
+    if (this.interruptedJobId && this.interruptedJobId !== jobId) {
+      throw new Error(`Interrupted job must be resumed or cancelled first: ${this.interruptedJobId}`);
+    }
+
+    // So does a paused one: another job would leave the carriage where its next stroke doesn't start
+    const owningJob = this._owningJob();
+    if (owningJob && owningJob.id !== jobId) {
+      throw new Error(`Job ${owningJob.id} is ${owningJob.status}; resume or cancel it first`);
+    }
+
+    // Starting a queued job by hand takes it out of the queue
+    if (this.queue.includes(jobId)) {
+      this._removeFromQueue(jobId);
+      this._emitQueueUpdate();
+    }
+
+    if (startLine !== null) {
+      this._prepareStartFrom(job, startLine);
+    }
+
     // Update state
-    job.status = 'running';
     job.startedAt = job.startedAt || Date.now();
+    this._setStatus(job, 'running');
     this.activeJobId = jobId;
 
     // Create abort controller for cancellation
@@ -156,12 +318,24 @@ class JobManager extends EventEmitter {
 
     // Execute the job
     try {
+      // Starting part-way through: put the machine in the state the skipped lines would have left
+      if (startLine !== null) {
+        await this._restoreModalState(job, startLine);
+      }
+
       await this._executeJob(job);
 
+      // Paused mid-stream - resumeJob will pick up from the last acknowledged line
+      if (job.status === 'paused') {
+        this.activeJobId = null;
+        this._saveCheckpoint(job);
+        return job;
+      }
+
       // Mark complete
-      job.status = 'completed';
       job.completedAt = Date.now();
       job.progress.percentage = 100;
+      this._setStatus(job, 'completed');
       this.activeJobId = null;
 
       this.emit('job:completed', job);
@@ -170,17 +344,19 @@ class JobManager extends EventEmitter {
       }
 
       console.log(`Job completed: ${jobId}`);
+
+      this._scheduleNext();
     } catch (err) {
       if (err.name === 'AbortError' || err.message === 'Job cancelled') {
-        job.status = 'cancelled';
+        this._setStatus(job, 'cancelled');
         console.log(`Job cancelled: ${jobId}`);
       } else if (job.status !== 'paused') {
-        job.status = 'error';
         job.error = {
           message: err.message,
           line: err.line || job.progress.currentLine,
           command: err.command || null
         };
+        this._setStatus(job, 'error');
         console.error(`Job error: ${jobId}`, err.message);
 
         this.emit('job:error', job, job.error);
@@ -189,6 +365,11 @@ class JobManager extends EventEmitter {
         }
       }
       this.activeJobId = null;
+
+      // Don't run the next job on a machine that just failed or was stopped
+      if (this.queue.length > 0) {
+        this.holdQueue();
+      }
     }
 
     return job;
@@ -205,12 +386,17 @@ class JobManager extends EventEmitter {
       throw new Error(`Job is not running: ${job.status}`);
     }
 
+    // Stop streaming first so no further lines reach the firmware
+    this._setStatus(job, 'paused');
+    if (job._streamController) {
+      job._streamController.abort();
+    }
+
     // Tell duet to pause
     if (this.duet) {
       await this.duet.pause();
     }
 
-    job.status = 'paused';
     job.history.push({
       timestamp: Date.now(),
       line: job.progress.currentLine,
@@ -234,10 +420,20 @@ class JobManager extends EventEmitter {
       throw new Error(`Job not found: ${jobId}`);
     }
 
+    // Server stopped mid-job - re-home and continue from the last safe point
+    if (job.status === 'interrupted') {
+      return this.recoverJob(jobId);
+    }
+
     if (job.status !== 'paused') {
       throw new Error(`Job is not paused: ${job.status}`);
     }
 
+    // Resuming a pen-change pause means the new pen is in
+    if (job.penChange) {
+      return this.confirmPenChange(jobId, { source: 'resume' });
+    }
+
     job.history.push({
       timestamp: Date.now(),
       line: job.progress.currentLine,
@@ -251,6 +447,13 @@ class JobManager extends EventEmitter {
 
     console.log(`Job resuming: ${jobId} from line ${job.progress.currentLine}`);
 
+    // Rewound - replay from the rewind point with the machine state put back
+    if (job.rewindLine !== null) {
+      const fromLine = job.rewindLine;
+      job.rewindLine = null;
+      return this.startJob(jobId, { fromLine });
+    }
+
     // Restart execution from current line
     return this.startJob(jobId);
   }
@@ -262,9 +465,19 @@ class JobManager extends EventEmitter {
       throw new Error(`Job not found: ${jobId}`);
     }
 
-    if (job.status !== 'running' && job.status !== 'paused') {
+    if (!['running', 'paused', 'interrupted'].includes(job.status)) {
       throw new Error(`Job cannot be cancelled from status: ${job.status}`);
     }
+    const wasRunning = job.status === 'running';
+
+    if (this.interruptedJobId === jobId) {
+      this.interruptedJobId = null;
+    }
+
+    if (job.penChange) {
+      job.penChange = null;
+      this._stopPenChangeButton();
+    }
 
     // Abort execution
     if (job._abortController) {
@@ -276,9 +489,15 @@ class JobManager extends EventEmitter {
       await this.duet.stop();
     }
 
-    job.status = 'cancelled';
+    this._setStatus(job, 'cancelled');
     this.activeJobId = null;
 
+    // A running job's startJob holds the queue as it unwinds; a paused or interrupted one has
+    // nothing left to run, so move on to the next queued job
+    if (!wasRunning) {
+      this._scheduleNext();
+    }
+
     this.emit('job:cancelled', job);
 
     console.log(`Job cancelled: ${jobId}`);
@@ -286,67 +505,929 @@ class JobManager extends EventEmitter {
     return job;
   }
 
-  // Internal: Execute job line by line
+  // ============================================
+  // Job Queue
+  // ============================================
+
+  // Add a pending job to the end of the queue
+  enqueueJob(jobId, options = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (job.status !== 'pending') {
+      throw new Error(`Job cannot be queued from status: ${job.status}`);
+    }
+
+    this._setStatus(job, 'queued');
+    job.waitForConfirm = options.waitForConfirm ?? false;
+    job.confirmed = false;
+    this.queue.push(jobId);
+
+    if (this.db) {
+      this.db.addQueuedJob(this.machineId, job);
+    }
+
+    console.log(`Job queued: ${jobId} (position ${this.queue.length})`);
+
+    this._emitQueueUpdate();
+    this._scheduleNext();
+    return job;
+  }
+
+  // Take a job out of the queue (it goes back to pending)
+  dequeueJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !this.queue.includes(jobId)) {
+      throw new Error(`Queued job not found: ${jobId}`);
+    }
+
+    this._removeFromQueue(jobId);
+    this._setStatus(job, 'pending');
+    job.confirmed = false;
+
+    console.log(`Job dequeued: ${jobId}`);
+
+    this._emitQueueUpdate();
+    return job;
+  }
+
+  // Set the queue order; jobIds must list every queued job exactly once
+  reorderQueue(jobIds) {
+    const current = [...this.queue].sort();
+    const requested = [...jobIds].sort();
+    if (current.length !== requested.length || current.some((id, i) => id !== requested[i])) {
+      throw new Error('Queue order must list every queued job exactly once');
+    }
+
+    this.queue = [...jobIds];
+    if (this.db) {
+      this.db.reorderQueuedJobs(this.machineId, this.queue);
+    }
+
+    // A different job may now be at the head of the queue
+    for (const jobId of this.queue.slice(1)) {
+      const job = this.jobs.get(jobId);
+      if (job.status === 'awaiting-confirmation') this._setStatus(job, 'queued');
+    }
+
+    this._emitQueueUpdate();
+    this._scheduleNext();
+    return this.getQueue();
+  }
+
+  // Change whether a queued job waits for the operator before starting
+  updateQueuedJob(jobId, { waitForConfirm }) {
+    const job = this.jobs.get(jobId);
+    if (!job || !this.queue.includes(jobId)) {
+      throw new Error(`Queued job not found: ${jobId}`);
+    }
+
+    if (waitForConfirm !== undefined) {
+      job.waitForConfirm = Boolean(waitForConfirm);
+      if (!job.waitForConfirm && job.status === 'awaiting-confirmation') {
+        this._setStatus(job, 'queued');
+      }
+      if (this.db) {
+        this.db.updateQueuedJob(jobId, { waitForConfirm: job.waitForConfirm });
+      }
+    }
+
+    this._emitQueueUpdate();
+    this._scheduleNext();
+    return job;
+  }
+
+  // Operator confirmation (paper changed) - lets a waiting job start
+  confirmJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !this.queue.includes(jobId)) {
+      throw new Error(`Queued job not found: ${jobId}`);
+    }
+
+    job.confirmed = true;
+    if (this.db) {
+      this.db.updateQueuedJob(jobId, { confirmed: true });
+    }
+
+    console.log(`Job confirmed: ${jobId}`);
+
+    // Confirming is the operator saying "go" - release a held queue
+    this.queueHeld = false;
+    this._emitQueueUpdate();
+    this._scheduleNext();
+    return job;
+  }
+
+  // Stop starting queued jobs (the running job is not affected)
+  holdQueue() {
+    this.queueHeld = true;
+    console.log(`Job queue held (${this.queue.length} waiting)`);
+    this._emitQueueUpdate();
+  }
+
+  // Start running queued jobs again
+  resumeQueue() {
+    this.queueHeld = false;
+    console.log('Job queue resumed');
+    this._emitQueueUpdate();
+    this._scheduleNext();
+  }
+
+  getQueue() {
+    return {
+      held: this.queueHeld,
+      autoRun: this.autoRun,
+      jobs: this.queue.map((jobId, index) => {
+        const job = this.jobs.get(jobId);
+        return {
+          position: index,
+          jobId: job.id,
+          filename: job.filename,
+          status: job.status,
+          waitForConfirm: job.waitForConfirm,
+          confirmed: job.confirmed,
+          stats: job.stats
+        };
+      })
+    };
+  }
+
+  // Keep jobs off the machine while something else sends it G-code
+  reserve(owner) {
+    if (this.reservation) {
+      throw new Error(`Machine is busy: ${this.reservation}`);
+    }
+    const owningJob = this._owningJob();
+    if (owningJob) {
+      throw new Error(`Cannot start ${owner} while job ${owningJob.id} is ${owningJob.status}`);
+    }
+    this.reservation = owner;
+  }
+
+  // The job that owns the machine - the running one, or one that is paused, interrupted or recovering
+  _owningJob() {
+    return this.getActiveJob() ??
+      Array.from(this.jobs.values()).find(job => ['paused', 'interrupted', 'recovering'].includes(job.status)) ??
+      null;
+  }
+
+  // Hand the machine back to jobs, starting the next queued one
+  release(owner) {
+    if (this.reservation !== owner) return;
+    this.reservation = null;
+    this._scheduleNext();
+  }
+
+  // Run the head of the queue once the current call stack has finished
+  _scheduleNext() {
+    if (!this.autoRun) return;
+    setImmediate(() => this._runNext());
+  }
+
+  async _runNext() {
+    if (this.queueHeld || this.queue.length === 0) return;
+
+    // One job per machine - a paused or interrupted job still owns the machine
+    if (this.reservation || this._owningJob()) return;
+
+    const job = this.jobs.get(this.queue[0]);
+
+    // A job the fitted pens can't finish waits for the operator too (refill, or confirm to run anyway)
+    const shortInk = job.confirmed ? [] : this.checkInk(job).filter(check => !check.sufficient);
+
+    if ((job.waitForConfirm || shortInk.length > 0) && !job.confirmed) {
+      if (job.status !== 'awaiting-confirmation') {
+        this._setStatus(job, 'awaiting-confirmation');
+        const reason = shortInk.length > 0
+          ? ` (not enough ink: ${shortInk.map(check => `T${check.tool} ${check.pen.name}`).join(', ')})`
+          : '';
+        console.log(`Job waiting for operator confirmation: ${job.id}${reason}`);
+
+        this.emit('job:confirmation-required', job, shortInk);
+        if (this.wsServer) {
+          this.wsServer.emitConfirmationRequired(job, shortInk);
+        }
+        this._emitQueueUpdate();
+      }
+      return;
+    }
+
+    try {
+      await this.startJob(job.id);
+    } catch (err) {
+      console.error(`Queued job failed to start: ${job.id}`, err.message);
+    }
+  }
+
+  _removeFromQueue(jobId) {
+    this.queue = this.queue.filter(id => id !== jobId);
+    if (this.db) {
+      this.db.removeQueuedJob(jobId);
+    }
+  }
+
+  // Reload queued jobs saved before a restart; the queue stays held until resumed
+  _restoreQueue() {
+    if (!this.db) return;
+
+    const saved = this.db.getQueuedJobs(this.machineId);
+    for (const entry of saved) {
+      try {
+        const job = this.createJob(entry.filename, entry.content, { id: entry.jobId, ignoreBounds: true });
+        const record = this.db.getJobRecord(job.id);
+        job.fileId = record?.fileId ?? null;
+        job.settings = record?.settings ?? null;
+        job.transitions = record?.transitions ?? job.transitions;
+        job.status = 'queued';
+        job.waitForConfirm = entry.waitForConfirm;
+        job.confirmed = entry.confirmed;
+        this.queue.push(job.id);
+      } catch (err) {
+        console.error(`Could not restore queued job ${entry.jobId}:`, err.message);
+        this.db.removeQueuedJob(entry.jobId);
+      }
+    }
+
+    if (this.queue.length > 0) {
+      this.queueHeld = true;
+      console.log(`Restored ${this.queue.length} queued job(s) - queue held until resumed`);
+    }
+  }
+
+  _emitQueueUpdate() {
+    const queue = this.getQueue();
+    this.emit('queue:updated', queue);
+    if (this.wsServer) {
+      this.wsServer.emitQueueUpdated(queue);
+    }
+  }
+
+  // Change a job's status, keeping its transition log and history record up to date
+  _setStatus(job, status) {
+    if (job.status === status) return;
+
+    job.status = status;
+    job.transitions.push({ status, at: Date.now() });
+
+    if (!this.db) return;
+
+    // Time spent paused, from the pause/resume history
+    let pausedMs = 0;
+    let pausedAt = null;
+    for (const event of job.history) {
+      if (event.action === 'pause') pausedAt = event.timestamp;
+      if (event.action === 'resume' && pausedAt !== null) {
+        pausedMs += event.timestamp - pausedAt;
+        pausedAt = null;
+      }
+    }
+
+    try {
+      // Keep the crash-recovery checkpoint in step with the job
+      if (status === 'running') {
+        this.db.createJobCheckpoint(this.machineId, job);
+        this._saveCheckpoint(job);
+      } else if (status === 'paused') {
+        this._saveCheckpoint(job);
+      } else if (['completed', 'cancelled', 'error'].includes(status)) {
+        this.db.clearJobCheckpoint(this.machineId, job.id);
+      }
+
+      this.db.updateJobRecord(job.id, {
+        status,
+        transitions: job.transitions,
+        currentLine: job.progress.currentLine,
+        error: job.error,
+        elapsedMs: job.progress.elapsedMs,
+        pausedMs,
+        startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+        completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null
+      });
+    } catch (err) {
+      console.error(`Could not record job status ${job.id}:`, err.message);
+    }
+  }
+
+  // ============================================
+  // Crash Recovery
+  // ============================================
+
+  // Job that was interrupted by a server restart, if any
+  getInterruptedJob() {
+    if (!this.interruptedJobId) return null;
+    return this.jobs.get(this.interruptedJobId) || null;
+  }
+
+  // Last pen-up checkpoint from GCodeParser at or before a line - the pen is off the paper there
+  getResumePoint(job, line = job.progress.currentLine) {
+    const safe = job.checkpoints.filter(checkpoint => checkpoint.penUp && checkpoint.line <= line);
+    if (safe.length > 0) {
+      return safe[safe.length - 1];
+    }
+    return { line: 0, position: { x: 0, y: 0, z: 0 }, penUp: true, type: 'start' };
+  }
+
+  // Resume an interrupted job: re-home, lift the pen, travel to the resume point and continue
+  async recoverJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (job.status !== 'interrupted') {
+      throw new Error(`Job is not interrupted: ${job.status}`);
+    }
+
+    if (this.activeJobId) {
+      throw new Error(`Another job is already running: ${this.activeJobId}`);
+    }
+
+    if (this.reservation) {
+      throw new Error(`Machine is busy: ${this.reservation}`);
+    }
+
+    const resumePoint = this.getResumePoint(job);
+    this._setStatus(job, 'recovering');
+
+    console.log(`Job recovering: ${jobId} from line ${resumePoint.line} (interrupted at line ${job.progress.currentLine})`);
+
+    // Positions are lost with power - re-home before anything else, with the pen lifted first: after a
+    // server-only restart the pen may still be down on the half-drawn sheet
+    try {
+      if (this.duet) {
+        await this.duet.sendGCode(this.penUpCommand);
+        await this.duet.sendGCode('G28', this.homingTimeout);
+      }
+    } catch (err) {
+      this._setStatus(job, 'interrupted');
+      throw err;
+    }
+
+    job.history.push({
+      timestamp: Date.now(),
+      line: resumePoint.line,
+      action: 'recover'
+    });
+    this.interruptedJobId = null;
+
+    this.emit('job:resumed', job);
+    if (this.wsServer) {
+      this.wsServer.emitJobResumed(job);
+    }
+
+    // Continue with the line after the pen-up (startJob lifts the pen and travels there first)
+    const totalLines = job.content.split('\n').length;
+    return this.startJob(jobId, { fromLine: Math.min(resumePoint.line + 1, totalLines) });
+  }
+
+  // ============================================
+  // Start Part-Way Through
+  // ============================================
+
+  // 1-based line to start from for fromLine, fromLayer (layer index) or fromCheckpoint
+  // (index into job.checkpoints); null when none is given
+  resolveStartLine(job, options = {}) {
+    const { fromLine, fromLayer, fromCheckpoint } = options;
+    const totalLines = job.content.split('\n').length;
+
+    if (fromLine !== undefined && fromLine !== null) {
+      const line = parseInt(fromLine, 10);
+      if (!Number.isInteger(line) || line < 1 || line > totalLines) {
+        throw new Error(`Start line out of range: ${fromLine} (1-${totalLines})`);
+      }
+      return line;
+    }
+
+    if (fromLayer !== undefined && fromLayer !== null) {
+      const layer = job.layers.find(candidate => candidate.index === parseInt(fromLayer, 10));
+      if (!layer) {
+        throw new Error(`Layer not found: ${fromLayer}`);
+      }
+      return layer.startLine;
+    }
+
+    if (fromCheckpoint !== undefined && fromCheckpoint !== null) {
+      const checkpoint = job.checkpoints[parseInt(fromCheckpoint, 10)];
+      if (!checkpoint) {
+        throw new Error(`Checkpoint not found: ${fromCheckpoint}`);
+      }
+      return checkpoint.line;
+    }
+
+    return null;
+  }
+
+  // Reset progress so execution begins at startLine
+  _prepareStartFrom(job, startLine, action = 'start-from') {
+    // Re-running a finished job starts a fresh run
+    if (['completed', 'cancelled', 'error'].includes(job.status)) {
+      job.completedAt = null;
+      job.error = null;
+      job.progress.elapsedMs = 0;
+    }
+
+    job.progress.currentLine = startLine - 1;
+    job.progress.percentage = Math.round((job.progress.currentLine / job.progress.totalLines) * 100);
+
+    const layer = job.layers.filter(candidate => candidate.startLine <= startLine).pop();
+    job.progress.currentLayer = layer ? layer.index : 0;
+    job.progress.strokesCompleted = job.strokes.filter(stroke => stroke.endLine < startLine).length;
+
+    job.history.push({
+      timestamp: Date.now(),
+      line: startLine,
+      action
+    });
+
+    console.log(`Job ${job.id} starting from line ${startLine}`);
+  }
+
+  // ============================================
+  // Rewind
+  // ============================================
+
+  // Back a paused job up by a number of strokes, or to the stroke containing a line.
+  // The pen is lifted and the carriage moved to the first replayed stroke now; resume redraws from there.
+  async rewindJob(jobId, { strokes, line } = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (job.status !== 'paused') {
+      throw new Error(`Job is not paused: ${job.status}`);
+    }
+
+    const currentLine = job.progress.currentLine;
+    let startLine;
+
+    if (line !== undefined && line !== null) {
+      const target = parseInt(line, 10);
+      if (!Number.isInteger(target) || target < 1 || target > currentLine + 1) {
+        throw new Error(`Rewind line out of range: ${line} (1-${currentLine + 1})`);
+      }
+      const stroke = job.strokes.find(candidate => candidate.startLine <= target && target <= candidate.endLine);
+      startLine = stroke ? stroke.startLine : target;
+    } else {
+      const count = parseInt(strokes ?? 1, 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Rewind stroke count out of range: ${strokes}`);
+      }
+
+      // Strokes already started, including one interrupted part-way by the pause
+      const started = job.strokes.filter(stroke => stroke.startLine <= currentLine);
+      if (started.length === 0) {
+        throw new Error('No strokes to rewind');
+      }
+      startLine = started[Math.max(0, started.length - count)].startLine;
+    }
+
+    const replayed = job.strokes.filter(stroke => stroke.startLine >= startLine && stroke.startLine <= currentLine).length;
+
+    // The machine state is put back when the job resumes from rewindLine
+    this._prepareStartFrom(job, startLine, 'rewind');
+    job.rewindLine = startLine;
+
+    this._saveCheckpoint(job);
+    this._emitProgressUpdate(job, true);
+
+    console.log(`Job rewound: ${jobId} to line ${startLine} (${replayed} stroke(s) to replay)`);
+
+    return { job, fromLine: startLine, strokesReplayed: replayed };
+  }
+
+  // Lift the pen, set units/positioning/tool/feed rate and travel to where startLine expects to be
+  async _restoreModalState(job, startLine) {
+    const state = this.parser.modalStateAt(job.content, startLine);
+    const { x, y } = state.position;
+
+    const commands = [this.penUpCommand, state.units, 'G90'];
+    // With guided pen changes the tool is whatever pen the operator fitted
+    if (state.tool !== null && !this.guidedPenChange) {
+      commands.push(`T${state.tool}`);
+    }
+    commands.push(`G0 X${x} Y${y} F${this.travelFeedRate}`);
+    if (state.feedRate) {
+      commands.push(`G1 F${state.feedRate}`);
+    }
+    if (state.distanceMode === 'G91') {
+      commands.push('G91');
+    }
+    if (state.penDown) {
+      commands.push(this.penDownCommand);
+    }
+
+    if (this.duet) {
+      for (const command of commands) {
+        await this.duet.sendGCode(command);
+      }
+    }
+
+    job.machineState = {
+      line: startLine - 1,
+      penDown: state.penDown,
+      position: { ...state.position },
+      savedAt: null
+    };
+  }
+
+  // Follow pen state and commanded position through acknowledged lines
+  _trackMachineState(job, lineNum) {
+    const state = job.machineState;
+    const parsed = job.lines[lineNum - 1];
+    state.line = lineNum;
+
+    if (parsed && parsed.type !== 'empty') {
+      const { x, y, z } = parsed.params;
+      if (x !== undefined) state.position.x = x;
+      if (y !== undefined) state.position.y = y;
+      if (z !== undefined) state.position.z = z;
+
+      const text = parsed.raw.trim();
+      if (this.parser.patterns.penUp.test(text)) {
+        state.penDown = false;
+      } else if (this.parser.patterns.penDown.test(text)) {
+        state.penDown = true;
+      }
+    }
+
+    if (Date.now() - (state.savedAt ?? 0) >= this.checkpointIntervalMs) {
+      this._saveCheckpoint(job);
+      this._flushInk(job);
+    }
+  }
+
+  _saveCheckpoint(job) {
+    if (!this.db) return;
+
+    job.machineState.savedAt = Date.now();
+    try {
+      this.db.updateJobCheckpoint(this.machineId, {
+        line: job.progress.currentLine,
+        penDown: job.machineState.penDown,
+        position: job.machineState.position,
+        elapsedMs: job.progress.elapsedMs
+      });
+    } catch (err) {
+      console.error(`Could not save checkpoint for job ${job.id}:`, err.message);
+    }
+  }
+
+  // Reload the job that was running (or paused) when the server stopped
+  _restoreInterruptedJob() {
+    if (!this.db) return;
+
+    const saved = this.db.getJobCheckpoint(this.machineId);
+    if (!saved) return;
+
+    try {
+      const job = this.createJob(saved.filename, saved.content, { id: saved.jobId, ignoreBounds: true });
+      const record = this.db.getJobRecord(job.id);
+      job.fileId = record?.fileId ?? null;
+      job.settings = record?.settings ?? null;
+      job.transitions = record?.transitions ?? job.transitions;
+      job.startedAt = record?.startedAt ? Date.parse(record.startedAt) : null;
+      job.progress.currentLine = saved.line;
+      job.progress.elapsedMs = saved.elapsedMs;
+      job.machineState = {
+        line: saved.line,
+        penDown: saved.penDown,
+        position: saved.position ?? { x: 0, y: 0, z: 0 },
+        savedAt: null
+      };
+      this._setStatus(job, 'interrupted');
+      this.interruptedJobId = job.id;
+
+      console.log(`Interrupted job found: ${job.id} (${job.filename}) at line ${saved.line} - resume or cancel it`);
+    } catch (err) {
+      console.error(`Could not restore interrupted job ${saved.jobId}:`, err.message);
+      this.db.clearJobCheckpoint(this.machineId, saved.jobId);
+    }
+  }
+
+  // ============================================
+  // Pen Changes
+  // ============================================
+
+  // Operator has fitted the requested pen - continue from the marker (REST, WebSocket or button)
+  async confirmPenChange(jobId, { source = 'api', tool, color } = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (!job.penChange || job.status !== 'paused') {
+      throw new Error(`No pen change pending for job: ${jobId}`);
+    }
+
+    const change = job.penChange;
+    this._stopPenChangeButton();
+
+    job.pen = {
+      tool: tool ?? change.tool ?? job.pen.tool,
+      color: color ?? change.color ?? job.pen.color
+    };
+    job._penDrawn = false;
+    job.penChange = null;
+
+    job.history.push({
+      timestamp: Date.now(),
+      line: change.line,
+      action: 'pen-change',
+      source,
+      tool: job.pen.tool,
+      color: job.pen.color
+    });
+
+    console.log(`Pen change confirmed (${source}): ${jobId} now ${this._describePen(job.pen)}`);
+
+    // Travel back from the park position with the modal state put back (a rewind takes precedence)
+    if (job.rewindLine === null) {
+      job.rewindLine = change.line;
+    }
+    return this.resumeJob(jobId);
+  }
+
+  // Classify a line that names a pen: null if it doesn't, otherwise the pen it asks for and
+  // whether the operator has to change pens. A pen named before the current one has drawn
+  // anything is simply taken as the one fitted.
+  _checkPenChange(job, line, lineNum) {
+    const { colorComment, toolSelect, toolChange, penUp, penDown } = this.parser.patterns;
+    let tool = null;
+    let color = null;
+
+    // ";pen up" / ";pen down" comments are pen moves, not pen names
+    const colorMatch = !penUp.test(line) && !penDown.test(line) && line.match(colorComment);
+    if (colorMatch) {
+      color = colorMatch[1].trim();
+    } else {
+      const toolMatch = line.match(toolSelect) || line.match(toolChange);
+      if (!toolMatch) return null;
+      tool = parseInt(toolMatch[1] || '0', 10);
+    }
+
+    const same = color !== null ? color === job.pen.color : tool === job.pen.tool;
+    const required = !same && job._penDrawn;
+
+    if (!same && !required) {
+      job.pen = {
+        tool: tool ?? job.pen.tool,
+        color: color ?? job.pen.color
+      };
+    }
+
+    return { line: lineNum, tool, color, required };
+  }
+
+  // Pause at a pen change: lift the pen, park the carriage and ask the operator for the new pen
+  async _requestPenChange(job, change) {
+    job.penChange = {
+      line: change.line,
+      tool: change.tool,
+      color: change.color,
+      previous: { ...job.pen },
+      parkPosition: this.penChangePosition,
+      requestedAt: Date.now()
+    };
+
+    this._setStatus(job, 'paused');
+    job.history.push({
+      timestamp: Date.now(),
+      line: job.progress.currentLine,
+      action: 'pause',
+      reason: 'pen-change'
+    });
+
+    try {
+      if (this.duet) {
+        await this.duet.sendGCode(this.penUpCommand);
+        if (this.penChangePosition) {
+          const { x, y } = this.penChangePosition;
+          await this.duet.sendGCode('G90');
+          await this.duet.sendGCode(`G0 X${x} Y${y} F${this.travelFeedRate}`);
+        }
+      }
+    } catch (err) {
+      console.error(`Could not park for pen change on job ${job.id}:`, err.message);
+    }
+
+    this.emit('job:pen-change-required', job, job.penChange);
+    this.emit('job:paused', job);
+    if (this.wsServer) {
+      this.wsServer.emitPenChangeRequired(job, job.penChange);
+      this.wsServer.emitJobPaused(job);
+    }
+
+    console.log(`Pen change required: ${job.id} at line ${change.line} - fit ${this._describePen(change)}`);
+
+    this._watchPenChangeButton(job);
+  }
+
+  // Poll the pen-change button while the operator is changing pens; a press confirms
+  _watchPenChangeButton(job) {
+    if (this.penChangeButton === null || !this.duet) return;
+
+    let wasPressed = null;
+    let polling = false;
+
+    this._stopPenChangeButton();
+    this._penChangeButtonTimer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+
+      try {
+        const inputs = await this.duet.readInputs();
+        const pressed = Boolean(inputs[this.penChangeButton]);
+
+        // Act on the press itself, not on a button that was already held down
+        if (pressed && wasPressed === false && job.penChange) {
+          this.confirmPenChange(job.id, { source: 'button' }).catch(err => {
+            console.error(`Pen change confirm failed for job ${job.id}:`, err.message);
+          });
+        }
+        wasPressed = pressed;
+      } catch (err) {
+        // Ignore polling errors; the next poll tries again
+      } finally {
+        polling = false;
+      }
+    }, this.penChangeButtonPollMs);
+  }
+
+  _stopPenChangeButton() {
+    if (this._penChangeButtonTimer) {
+      clearInterval(this._penChangeButtonTimer);
+      this._penChangeButtonTimer = null;
+    }
+  }
+
+  _describePen({ tool, color }) {
+    const parts = [];
+    if (color) parts.push(color);
+    if (tool !== null && tool !== undefined) parts.push(`T${tool}`);
+    return parts.length > 0 ? parts.join(' ') : 'pen';
+  }
+
+  // Internal: Stream job lines to the duet
+  // Up to streamLookahead lines are handed to the Duet at once; the Duet keeps the firmware
+  // receive buffer full from them so the planner never runs dry between short segments.
   async _executeJob(job) {
     const startLine = job.progress.currentLine;
     const lines = job.content.split('\n');
     const startTime = Date.now();
     const previousElapsed = job.progress.elapsedMs;
 
-    for (let i = startLine; i < lines.length; i++) {
-      // Check for abort
-      if (job._abortController?.signal.aborted) {
-        throw new Error('Job cancelled');
+    // Aborted on pause or cancel - drops lines the Duet has not written yet
+    const stream = new AbortController();
+    const onCancel = () => stream.abort();
+    job._streamController = stream;
+    job._abortController?.signal.addEventListener('abort', onCancel, { once: true });
+
+    const pending = [];  // { lineNum, settled, skipped } in file order
+    let failure = null;
+    let wake = null;
+
+    // Mark a line done and advance progress over every leading acknowledged line
+    const settle = (entry, err = null) => {
+      entry.settled = true;
+      if (err) {
+        entry.skipped = true;
+        if (err.name !== 'AbortError' && !failure) {
+          failure = err;
+          stream.abort();
+        }
       }
-
-      // Check for pause
-      if (job.status === 'paused') {
-        return; // Exit, will resume later
+      while (pending.length > 0 && pending[0].settled && !pending[0].skipped) {
+        this._updateProgress(job, pending.shift().lineNum, startTime, previousElapsed);
       }
+      if (wake) wake();
+    };
 
-      const line = lines[i].trim();
+    const waitForSettle = () => new Promise(resolve => { wake = resolve; });
 
-      // Skip empty lines and comments
-      if (!line || line.startsWith(';')) {
-        job.progress.currentLine = i + 1;
-        continue;
+    try {
+      // Start line numbering fresh for this run
+      if (this.duet && this.reliableTransport) {
+        await this.duet.resetLineNumbers();
       }
 
-      // Send command to duet
-      if (this.duet) {
-        try {
-          await this.duet.sendGCode(line);
-        } catch (err) {
-          err.line = i + 1;
-          err.command = line;
-          throw err;
+      for (let i = startLine; i < lines.length && !failure; i++) {
+        // Check for abort
+        if (job._abortController?.signal.aborted) {
+          throw new Error('Job cancelled');
+        }
+
+        // Check for pause
+        if (job.status === 'paused' || stream.signal.aborted) {
+          break; // Exit once sent lines are acknowledged, will resume later
+        }
+
+        const line = lines[i].trim();
+
+        // Tool change or colour marker asking for a different pen: stop here for the operator
+        const penChange = this.guidedPenChange ? this._checkPenChange(job, line, i + 1) : null;
+        if (penChange?.required) {
+          while (pending.some(entry => !entry.settled)) {
+            await waitForSettle();
+          }
+          if (!failure && !stream.signal.aborted) {
+            await this._requestPenChange(job, penChange);
+          }
+          break;
+        }
+
+        const entry = { lineNum: i + 1, settled: false, skipped: false };
+        pending.push(entry);
+
+        // The pen is already fitted - the Duet never sees the tool change
+        if (penChange) {
+          settle(entry);
+          continue;
+        }
+
+        // Skip empty lines and comments
+        if (!line || line.startsWith(';')) {
+          settle(entry);
+          continue;
+        }
+
+        if (this.parser.patterns.penDown.test(line)) {
+          job._penDrawn = true;
+        }
+
+        // Hand command to duet without waiting for its ok
+        if (this.duet) {
+          this.duet.sendGCode(line, null, {
+            reliable: this.reliableTransport,
+            stream: true,
+            signal: stream.signal
+          }).then(
+            () => settle(entry),
+            (err) => {
+              err.line = i + 1;
+              err.command = line;
+              settle(entry, err);
+            }
+          );
+        } else {
+          settle(entry);
+        }
+
+        // Back-pressure: wait for acknowledgements before handing over more lines
+        while (pending.length >= this.streamLookahead && !failure) {
+          await waitForSettle();
         }
-      } else if (this.devMode) {
-        // Simulate execution time in dev mode
-        await this._sleep(10);
       }
 
-      // Update progress
-      job.progress.currentLine = i + 1;
-      job.progress.elapsedMs = previousElapsed + (Date.now() - startTime);
+      // Wait for every line already handed over to be acknowledged
+      while (pending.some(entry => !entry.settled)) {
+        await waitForSettle();
+      }
 
-      // Update percentage
-      job.progress.percentage = Math.round((job.progress.currentLine / job.progress.totalLines) * 100);
+      if (failure) {
+        throw failure;
+      }
 
-      // Estimate remaining time
-      if (job.progress.currentLine > startLine) {
-        const linesProcessed = job.progress.currentLine - startLine;
-        const msPerLine = (Date.now() - startTime) / linesProcessed;
-        const linesRemaining = job.progress.totalLines - job.progress.currentLine;
-        job.progress.estimatedRemainingMs = Math.round(linesRemaining * msPerLine);
+      if (job._abortController?.signal.aborted) {
+        throw new Error('Job cancelled');
       }
+    } finally {
+      job._abortController?.signal.removeEventListener('abort', onCancel);
+      job._streamController = null;
+      this._flushInk(job);
+    }
+  }
+
+  // Update progress after a line has been acknowledged
+  _updateProgress(job, lineNum, startTime, previousElapsed) {
+    job.progress.currentLine = lineNum;
+    job.progress.elapsedMs = previousElapsed + (Date.now() - startTime);
+
+    // Update percentage
+    job.progress.percentage = Math.round((job.progress.currentLine / job.progress.totalLines) * 100);
 
-      // Check for layer change
-      this._checkLayerChange(job, i + 1);
+    // Planned time for the lines still to run
+    const timeline = job.timeline;
+    job.progress.estimatedRemainingMs = Math.round(timeline[timeline.length - 1] - (timeline[lineNum] ?? 0));
 
-      // Throttled progress update
-      this._emitProgressUpdate(job);
+    // Track pen and position for crash recovery
+    this._trackMachineState(job, lineNum);
+
+    // Count strokes finished (the pen has lifted at their end line)
+    while (job.progress.strokesCompleted < job.strokes.length &&
+           job.strokes[job.progress.strokesCompleted].endLine <= lineNum) {
+      const stroke = job.strokes[job.progress.strokesCompleted];
+      job._inkPending[stroke.tool] = (job._inkPending[stroke.tool] ?? 0) + stroke.drawDistanceMm;
+      job.progress.strokesCompleted++;
     }
+
+    // Check for layer change
+    this._checkLayerChange(job, lineNum);
+
+    // Throttled progress update
+    this._emitProgressUpdate(job);
   }
 
   // Check if we've entered a new layer
@@ -395,9 +1476,76 @@ class JobManager extends EventEmitter {
     }
   }
 
-  // Utility sleep
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // ============================================
+  // Ink
+  // ============================================
+
+  // Ink needed for the strokes a job has still to draw, per tool, against the pens fitted:
+  // [{ tool, pen, requiredM, remainingM, sufficient }] (tools without a pen are not tracked)
+  checkInk(job) {
+    const required = new Map();
+    for (const stroke of job.strokes.slice(job.progress.strokesCompleted)) {
+      required.set(stroke.tool, (required.get(stroke.tool) ?? 0) + stroke.drawDistanceMm / 1000);
+    }
+
+    const pens = this._fittedPens();
+    return Array.from(required, ([tool, requiredM]) => {
+      const pen = pens.get(tool) ?? null;
+      return {
+        tool,
+        pen,
+        requiredM: Math.round(requiredM * 1000) / 1000,
+        remainingM: pen ? pen.inkRemainingM : null,
+        sufficient: !pen || pen.inkRemainingM >= requiredM
+      };
+    });
+  }
+
+  // Pens fitted to this machine by tool number
+  _fittedPens() {
+    if (!this.db) return new Map();
+    return new Map(this.db.getMachinePens(this.machineId).map(slot => [slot.tool, slot.pen]));
+  }
+
+  // Take the ink drawn since the last flush off the fitted pens, and alert on pens running low
+  _flushInk(job) {
+    const drawn = Object.entries(job._inkPending).filter(([, mm]) => mm > 0);
+    job._inkPending = {};
+    if (drawn.length === 0 || !this.db) return;
+
+    try {
+      const pens = this._fittedPens();
+      for (const [toolKey, mm] of drawn) {
+        const tool = parseInt(toolKey, 10);
+        const pen = pens.get(tool);
+        if (!pen) continue;
+
+        const updated = this.db.useInk(pen.id, mm / 1000);
+        const lowAt = updated.inkCapacityM * this.lowInkThreshold;
+        if (pen.inkRemainingM > lowAt && updated.inkRemainingM <= lowAt) {
+          console.warn(`Pen low on ink: ${updated.name} (T${tool}) has ${updated.inkRemainingM.toFixed(2)}m left`);
+          this.emit('pen:low-ink', updated, tool, job);
+          if (this.wsServer) {
+            this.wsServer.emitPenLowInk(updated, tool, job);
+          }
+        }
+      }
+    } catch (err) {
+      console.error(`Could not record ink used by job ${job.id}:`, err.message);
+    }
+  }
+
+  // Use another machine profile: its pen commands park and resume jobs, and are recognised in new jobs
+  setProfile(profile) {
+    this.profile = profile;
+    this.penUpCommand = profile.penUp;
+    this.penDownCommand = profile.penDown;
+    this.parser.setProfile(profile);
+  }
+
+  // Firmware acceleration, max speed and jerk, for the time estimates of new jobs
+  setMotionLimits(limits) {
+    this.parser.setMotionLimits(limits);
   }
 
   // Get current active job
@@ -0,0 +1,54 @@
+// Machine Profiles
+// How a plotter lifts its pen and frames a job: pen up/down commands (an M42 solenoid pin,
+// M280 servo angles or Z moves) and dwells, header and footer lines, park position and bed size.
+// G-code generation, stats, previews and job tracking all read pen moves from the active profile.
+
+// Gellyroller's own pen lift, and the profile used when none is selected
+const DEFAULT_PROFILE = {
+  name: 'Solenoid (M42)',
+  penUp: 'M42 P0 S0',
+  penDown: 'M42 P0 S1',
+  penDownDelay: null,      // ms; when set, replaces the file's pen delays (see pen calibration)
+  penUpDelay: null,
+  header: ['G21', 'G90'],  // Before the first pen up
+  footer: [],              // After the last pen up, before parking
+  park: { x: 0, y: 0 },    // Where the carriage ends a job
+  bedWidth: 480,           // mm, the canvas files are scaled and aligned to (up to the machine's size)
+  bedHeight: 480,
+  motion: null             // { acceleration, maxSpeed, junctionDeviation, jerk } for time estimates;
+                           // settings left out are read from the Duet (M201/M203/M566)
+};
+
+// Created in the database the first time it starts
+const BUILT_IN_PROFILES = [
+  DEFAULT_PROFILE,
+  { ...DEFAULT_PROFILE, name: 'Servo (M280)', penUp: 'M280 P0 S90', penDown: 'M280 P0 S30' },
+  { ...DEFAULT_PROFILE, name: 'Z axis', penUp: 'G0 Z5', penDown: 'G1 Z0 F1000' }
+];
+
+// Matches a command at the start of a line, with any spacing or case ("m280  p0 s90 ; lift")
+function commandPattern(command) {
+  const words = command.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return `${words.join('\\s*')}(?=\\s|;|$)`;
+}
+
+// { penUp, penDown } patterns for a profile's commands; "; pen up"/"; pen down" comments also count
+function penPatterns(profile = DEFAULT_PROFILE) {
+  return {
+    penUp: new RegExp(`^(?:${commandPattern(profile.penUp)}|;.*pen\\s*up)`, 'i'),
+    penDown: new RegExp(`^(?:${commandPattern(profile.penDown)}|;.*pen\\s*down)`, 'i')
+  };
+}
+
+// The profile with its bed cut down to the machine's xDimension x yDimension, so files are scaled
+// and grids placed only where the machine can reach
+function fitToMachine(profile, config = {}) {
+  const fit = (bed, dimension) => (Number.isFinite(dimension) ? Math.min(bed, dimension) : bed);
+  return {
+    ...profile,
+    bedWidth: fit(profile.bedWidth, config.xDimension),
+    bedHeight: fit(profile.bedHeight, config.yDimension)
+  };
+}
+
+export { DEFAULT_PROFILE, BUILT_IN_PROFILES, penPatterns, fitToMachine };
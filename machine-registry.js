@@ -0,0 +1,297 @@
+// Machine Registry
+// Owns every plotter attached to this server: each machine gets its own Duet connection,
+// JobManager and WebSocket channel. The first machine (or the one marked "default") also
+// answers the un-prefixed legacy routes.
+//
+// Machines are read from the JSON file named by MACHINES_CONFIG, e.g.
+//   [
+//     { "id": "a3", "name": "A3 Plotter", "serialPath": "/dev/ttyACM0", "xDimension": 420, "yDimension": 297,
+//       "softLimits": "warn" },
+//     { "id": "wifi", "transport": "http", "host": "192.168.4.40", "default": true,
+//       "penChangePosition": { "x": 0, "y": 0 }, "penChangeButton": 1, "profile": "Servo (M280)" },
+//     { "id": "changer", "serialPath": "/dev/ttyACM1", "guidedPenChange": false }
+//   ]
+// Without it a single machine called "default" is built from the usual environment variables.
+//
+// Each machine runs with a machine profile (pen lift commands, header/footer, park position, bed
+// size): the one selected through the API, else the one named by "profile", else the default.
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import Duet from './duet.js';
+import JobManager from './job-manager.js';
+import db from './database.js';
+import { DEFAULT_PROFILE } from './machine-profiles.js';
+
+const MACHINE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class MachineRegistry extends EventEmitter {
+  constructor(wsServer, options = {}) {
+    super();
+
+    this.wsServer = wsServer;
+    this.devMode = options.devMode ?? (process.env.DEV_MODE === 'true');
+    this.positionPollInterval = options.positionPollInterval ?? 500;
+    this.modelPollInterval = options.modelPollInterval ?? (parseInt(process.env.MODEL_POLL_INTERVAL) || 2000);
+
+    // Job queues are persisted here (pass null to keep them in memory)
+    this.db = options.db === undefined ? db : options.db;
+
+    this.machines = new Map(); // machineId -> machine
+    this.defaultMachineId = null;
+
+    // Pen changes can be confirmed from any WebSocket client
+    if (this.wsServer) {
+      this.wsServer.on('pen-change-confirm', (request) => this._onPenChangeConfirm(request));
+    }
+
+    console.log('MachineRegistry initialized');
+  }
+
+  // Read machine definitions from MACHINES_CONFIG, or describe the single env-configured machine
+  static loadConfig(configPath = process.env.MACHINES_CONFIG) {
+    if (configPath) {
+      const machines = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (!Array.isArray(machines) || machines.length === 0) {
+        throw new Error(`${configPath} must contain a non-empty array of machines`);
+      }
+      return machines;
+    }
+
+    return [{
+      id: 'default',
+      name: 'Default',
+      transport: process.env.DUET_TRANSPORT || 'serial',
+      serialPath: process.env.SERIAL_PATH || '/dev/ttyUSB0',
+      host: process.env.DUET_HOST || null,
+      xDimension: parseFloat(process.env.X_DIMENSION) || DEFAULT_PROFILE.bedWidth,
+      yDimension: parseFloat(process.env.Y_DIMENSION) || DEFAULT_PROFILE.bedHeight
+    }];
+  }
+
+  // Create and connect a machine
+  addMachine(definition) {
+    const id = definition.id;
+
+    if (!id || !MACHINE_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid machine id: ${id}`);
+    }
+    if (this.machines.has(id)) {
+      throw new Error(`Machine ${id} already registered`);
+    }
+
+    const duet = new Duet({
+      devMode: definition.devMode ?? this.devMode,
+      transport: definition.transport,
+      serialPath: definition.serialPath,
+      baudRate: definition.baudRate,
+      host: definition.host,
+      password: definition.password,
+      xDimension: definition.xDimension,
+      yDimension: definition.yDimension,
+      softLimits: definition.softLimits
+    });
+
+    const profile = this._loadProfile(id, definition.profile);
+    const channel = this.wsServer ? this.wsServer.channel(id) : null;
+    const jobManager = new JobManager(duet, channel, {
+      devMode: definition.devMode ?? this.devMode,
+      machineId: id,
+      db: this.db,
+      profile,
+      guidedPenChange: definition.guidedPenChange,
+      penChangePosition: definition.penChangePosition,
+      penChangeButton: definition.penChangeButton
+    });
+
+    const machine = {
+      id,
+      name: definition.name ?? id,
+      profileName: definition.profile ?? null,
+      profile,
+      duet,
+      jobManager,
+      channel,
+      lastPosition: { x: null, y: null, z: null },
+      positionPollPending: false,
+      positionTimer: null
+    };
+
+    this.machines.set(id, machine);
+    if (definition.default || this.defaultMachineId === null) {
+      this.defaultMachineId = id;
+      if (this.wsServer) this.wsServer.defaultMachineId = id;
+    }
+
+    this._wireEvents(machine);
+
+    // Start polling and read the motion limits when Duet is ready (dev mode is ready immediately)
+    duet.on('ready', () => {
+      this._startPolling(machine);
+      this._readMotionLimits(machine);
+    });
+    if (duet.ready) {
+      this._startPolling(machine);
+      this._readMotionLimits(machine);
+    }
+
+    console.log(`MachineRegistry: added ${id} (${duet.transportType === 'http' ? duet.host : duet.serialPath})`);
+    this.emit('machine:added', machine);
+    return machine;
+  }
+
+  getMachine(machineId) {
+    return this.machines.get(machineId) ?? null;
+  }
+
+  getDefault() {
+    return this.machines.get(this.defaultMachineId) ?? null;
+  }
+
+  listMachines() {
+    return Array.from(this.machines.values());
+  }
+
+  // Public description of a machine for the API
+  describe(machine) {
+    const state = machine.duet.getState();
+    const activeJob = machine.jobManager.getActiveJob();
+
+    return {
+      id: machine.id,
+      name: machine.name,
+      default: machine.id === this.defaultMachineId,
+      ready: machine.duet.isReady(),
+      status: state.status,
+      position: state.position,
+      config: machine.duet.getConfig(),
+      connection: state.connection,
+      activeJobId: activeJob ? activeJob.id : null,
+      queueLength: machine.jobManager.queue.length,
+      profile: machine.profile
+    };
+  }
+
+  // Select a machine profile for a machine (saved, so it survives restarts)
+  setProfile(machine, profile) {
+    const activeJob = machine.jobManager.getActiveJob();
+    if (activeJob) {
+      throw new Error(`Cannot change the profile of ${machine.id} while job ${activeJob.id} is ${activeJob.status}`);
+    }
+
+    if (this.db && profile.id !== undefined) {
+      this.db.setMachineProfile(machine.id, profile.id);
+    }
+    this._applyProfile(machine, profile);
+  }
+
+  // Re-read every machine's profile after profiles are edited or deleted
+  reloadProfiles() {
+    for (const machine of this.machines.values()) {
+      this._applyProfile(machine, this._loadProfile(machine.id, machine.profileName));
+    }
+  }
+
+  // The saved selection, else the profile named in the machine definition, else the default
+  _loadProfile(machineId, profileName) {
+    if (!this.db) return DEFAULT_PROFILE;
+
+    const selectedId = this.db.getMachineProfileId(machineId);
+    return (selectedId !== null ? this.db.getProfile(selectedId) : null) ??
+      (profileName ? this.db.getProfileByName(profileName) : null) ??
+      this.db.getProfileByName(DEFAULT_PROFILE.name) ??
+      DEFAULT_PROFILE;
+  }
+
+  _applyProfile(machine, profile) {
+    machine.profile = profile;
+    machine.jobManager.setProfile(profile);
+    console.log(`MachineRegistry: ${machine.id} uses profile "${profile.name}"`);
+  }
+
+  // Stop polling and close every connection
+  close() {
+    for (const machine of this.machines.values()) {
+      if (machine.positionTimer) {
+        clearInterval(machine.positionTimer);
+        machine.positionTimer = null;
+      }
+      machine.duet.stopModelPolling();
+      machine.duet.close();
+    }
+  }
+
+  _wireEvents(machine) {
+    const { id, duet } = machine;
+
+    duet.on('ready', () => {
+      console.log(`Duet controller ready [${id}]`);
+    });
+
+    duet.on('error', (error) => {
+      console.error(`Duet error [${id}]:`, error.message);
+    });
+
+    duet.on('close', () => {
+      console.warn(`Duet connection closed [${id}] - will attempt to reconnect`);
+    });
+
+    duet.on('position', (position) => {
+      console.log(`Position updated [${id}]:`, position);
+    });
+  }
+
+  // { machineId, jobId } from a WebSocket client; without a machineId the default machine is meant
+  _onPenChangeConfirm({ clientId, machineId, jobId }) {
+    const machine = machineId ? this.getMachine(machineId) : this.getDefault();
+    if (!machine) {
+      this.wsServer.sendError(clientId, `Machine not found: ${machineId}`);
+      return;
+    }
+
+    machine.jobManager.confirmPenChange(jobId, { source: 'websocket' }).catch((error) => {
+      this.wsServer.sendError(clientId, error.message);
+    });
+  }
+
+  _startPolling(machine) {
+    if (machine.positionTimer) return;
+
+    machine.positionTimer = setInterval(() => this._pollPosition(machine), this.positionPollInterval);
+    machine.duet.startModelPolling(this.modelPollInterval);
+  }
+
+  // Acceleration, max speed and jerk from the firmware, for job time estimates
+  async _readMotionLimits(machine) {
+    try {
+      const limits = await machine.duet.readMotionLimits();
+      machine.jobManager.setMotionLimits(limits);
+    } catch (err) {
+      console.warn(`Could not read motion limits [${machine.id}]:`, err.message);
+    }
+  }
+
+  // Broadcast position changes on the machine's channel
+  async _pollPosition(machine) {
+    // Skip if the previous poll is still waiting in the Duet command queue
+    if (!machine.duet.ready || machine.positionPollPending) return;
+    machine.positionPollPending = true;
+
+    try {
+      const position = await machine.duet.getPosition();
+      const last = machine.lastPosition;
+
+      // Only broadcast if position changed
+      if (position.x !== last.x || position.y !== last.y || position.z !== last.z) {
+        machine.lastPosition = { ...position };
+        if (machine.channel) machine.channel.emitPosition(position);
+      }
+    } catch (err) {
+      // Silently ignore polling errors
+    } finally {
+      machine.positionPollPending = false;
+    }
+  }
+}
+
+export default MachineRegistry;
@@ -0,0 +1,180 @@
+// Motion Planner
+// Time estimates that follow the firmware's planner rather than distance/feed: every move
+// accelerates and decelerates on a trapezoidal profile, corners are taken at the speed the
+// junction deviation (or jerk limit) allows, and the carriage stops for dwells and pen moves.
+// Used for job progress (GCodeParser) and file preview stats (SvgProcessor.calculateStats).
+
+// Motion limits used when neither the machine profile nor the firmware sets them
+const DEFAULT_MOTION = {
+  acceleration: 1000,       // mm/s²
+  maxSpeed: 200,            // mm/s, cap on any feed rate
+  junctionDeviation: 0.02,  // mm a corner may be rounded by; used unless jerk is set
+  jerk: null                // mm/s speed change allowed at a corner (RepRapFirmware M566)
+};
+
+const MOTION_KEYS = Object.keys(DEFAULT_MOTION);
+
+/**
+ * Motion limits for a machine: the profile's own, else those read from the firmware, else defaults
+ */
+function motionOptions(profile = null, firmwareLimits = null) {
+  const motion = { ...DEFAULT_MOTION };
+  for (const source of [firmwareLimits, profile?.motion]) {
+    for (const key of MOTION_KEYS) {
+      if (source?.[key] != null) motion[key] = source[key];
+    }
+  }
+  return motion;
+}
+
+/**
+ * Highest speed (mm/s) at the corner between two moves
+ */
+function junctionSpeed(previous, next, motion) {
+  const cap = Math.min(previous.speed, next.speed);
+
+  // Jerk: each axis may change speed by this much instantly
+  if (motion.jerk) {
+    const change = Math.max(...next.unit.map((component, axis) => Math.abs(component - previous.unit[axis])));
+    return change < 1e-9 ? cap : Math.min(cap, motion.jerk / change);
+  }
+
+  // Junction deviation: the speed round an arc that stays within the deviation of the corner
+  const cosTheta = -previous.unit.reduce((sum, component, axis) => sum + component * next.unit[axis], 0);
+  if (cosTheta < -0.999999) return cap;  // Straight on
+  if (cosTheta > 0.999999) return 0;     // Reversal
+  const sinHalfTheta = Math.sqrt((1 - cosTheta) / 2);
+  return Math.min(cap, Math.sqrt(motion.acceleration * motion.junctionDeviation * sinHalfTheta / (1 - sinHalfTheta)));
+}
+
+/**
+ * Time (ms) for one move from entry to exit speed, cruising at speed if there is room to reach it
+ */
+function moveTime(length, entry, exit, speed, acceleration) {
+  const accelDistance = (speed * speed - entry * entry) / (2 * acceleration);
+  const decelDistance = (speed * speed - exit * exit) / (2 * acceleration);
+  if (accelDistance + decelDistance <= length) {
+    const cruise = (length - accelDistance - decelDistance) / speed;
+    return ((speed - entry) / acceleration + (speed - exit) / acceleration + cruise) * 1000;
+  }
+
+  // Triangle: decelerates before reaching speed
+  const peak = Math.sqrt((2 * acceleration * length + entry * entry + exit * exit) / 2);
+  return ((peak - entry) / acceleration + (peak - exit) / acceleration) * 1000;
+}
+
+/**
+ * Plan moves that run without stopping, from rest to rest, adding each move's time to its line
+ */
+function planMoves(moves, motion, lineMs) {
+  const { acceleration } = motion;
+  const speeds = new Array(moves.length + 1).fill(0);  // speeds[i]: entering move i; the last is the final stop
+
+  // Backward pass: slow enough to stop (or take the next corner) in time
+  for (let i = moves.length - 1; i >= 0; i--) {
+    const corner = i === 0 ? 0 : junctionSpeed(moves[i - 1], moves[i], motion);
+    speeds[i] = Math.min(corner, Math.sqrt(speeds[i + 1] ** 2 + 2 * acceleration * moves[i].length));
+  }
+
+  // Forward pass: no faster than acceleration allows from the previous speed
+  for (let i = 0; i < moves.length; i++) {
+    speeds[i + 1] = Math.min(speeds[i + 1], Math.sqrt(speeds[i] ** 2 + 2 * acceleration * moves[i].length));
+    lineMs[moves[i].line] += moveTime(moves[i].length, speeds[i], speeds[i + 1], moves[i].speed, acceleration);
+  }
+}
+
+/**
+ * Estimate how long G-code takes to run.
+ * options: motion limits (see DEFAULT_MOTION), feedRate (mm/min before the first F) and the
+ * penUp/penDown patterns of the machine profile - the carriage stops for pen moves.
+ * @returns {Object} { totalMs, timeline } - timeline[n] is the time (ms) at the end of line n (1-based)
+ */
+function estimateTime(gcode, options = {}) {
+  const motion = { ...DEFAULT_MOTION, ...options };
+  const lines = gcode.split('\n');
+  const lineMs = new Array(lines.length + 1).fill(0);
+
+  const position = [0, 0, 0];
+  let relative = false;
+  let unitScale = 1;
+  let feed = (options.feedRate ?? 6000) / 60;  // mm/s
+  let moves = [];  // Moves since the carriage last stopped
+
+  const stop = () => {
+    if (moves.length > 0) planMoves(moves, motion, lineMs);
+    moves = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    const code = trimmed.split(';')[0].trim().toUpperCase();
+    if (!code) continue;
+
+    const penMove = Boolean(options.penUp?.test(trimmed) || options.penDown?.test(trimmed));
+    if (penMove) stop();
+
+    const word = code.match(/^([GMT])0*(\d+)/);
+    const command = word ? `${word[1]}${word[2]}` : '';
+
+    if (command === 'G0' || command === 'G1') {
+      const feedMatch = code.match(/F([\d.]+)/);
+      if (feedMatch) feed = parseFloat(feedMatch[1]) * unitScale / 60;
+
+      const target = ['X', 'Y', 'Z'].map((axis, index) => {
+        const match = code.match(new RegExp(`${axis}(-?[\\d.]+)`));
+        if (!match) return position[index];
+        const value = parseFloat(match[1]) * unitScale;
+        return relative ? position[index] + value : value;
+      });
+      const delta = target.map((value, index) => value - position[index]);
+      const length = Math.hypot(...delta);
+      position.splice(0, 3, ...target);
+
+      if (length > 1e-6 && feed > 0) {
+        moves.push({
+          line: i + 1,
+          length,
+          speed: Math.min(feed, motion.maxSpeed ?? Infinity),
+          unit: delta.map(component => component / length)
+        });
+      }
+    } else if (command === 'G4') {
+      stop();
+      const pMatch = code.match(/P([\d.]+)/);
+      const sMatch = code.match(/S([\d.]+)/);
+      lineMs[i + 1] += pMatch ? parseFloat(pMatch[1]) : sMatch ? parseFloat(sMatch[1]) * 1000 : 0;
+    } else if (command === 'G20' || command === 'G21') {
+      unitScale = command === 'G20' ? 25.4 : 1;
+    } else if (command === 'G90' || command === 'G91') {
+      relative = command === 'G91';
+    } else if (/^(T\d+|M[016]|M400)$/.test(command)) {
+      // Tool changes, pauses and waits drain the planner
+      stop();
+    }
+
+    if (penMove) stop();
+  }
+  stop();
+
+  const timeline = new Array(lines.length + 1).fill(0);
+  for (let line = 1; line <= lines.length; line++) {
+    timeline[line] = timeline[line - 1] + lineMs[line];
+  }
+
+  return { totalMs: timeline[lines.length], timeline };
+}
+
+/**
+ * Lower of the X and Y values in a firmware report such as M201's
+ * "Accelerations (mm/sec^2): X: 1000.0, Y: 1000.0, Z: 100.0, E: 250.0"
+ */
+function parseAxisLimit(response) {
+  const values = ['X', 'Y']
+    .map(axis => response.match(new RegExp(`\\b${axis}:?\\s*([\\d.]+)`)))
+    .filter(Boolean)
+    .map(match => parseFloat(match[1]));
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+export { DEFAULT_MOTION, motionOptions, parseAxisLimit };
+export default estimateTime;
@@ -0,0 +1,197 @@
+// Path Optimizer
+// Native pen-up travel reduction for SvgProcessor when vpype is unavailable (or not wanted):
+// merges touching paths, then orders and reverses them with nearest neighbour plus 2-opt.
+
+// 2-opt stops after checking this many reversals, so very large drawings still process promptly;
+// a count rather than a time limit keeps the order the same for the same input on any CPU load
+const TWO_OPT_MAX_CHECKS = 1000000;
+
+/**
+ * Distance between two points
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Pen-up travel to draw paths in order: from start to the first path, between paths
+ * and, when given, from the last path back to end
+ */
+function travelDistance(paths, start = { x: 0, y: 0 }, end = null) {
+  let total = 0;
+  let position = start;
+
+  for (const pathObj of paths) {
+    if (pathObj.points.length < 2) continue;
+    total += distance(position, pathObj.points[0]);
+    position = pathObj.points[pathObj.points.length - 1];
+  }
+
+  if (end) total += distance(position, end);
+  return total;
+}
+
+/**
+ * Join paths whose endpoints lie within tolerance (mm) of each other, reversing as needed.
+ * Endpoints are bucketed in a grid so each join only looks at nearby candidates.
+ */
+function mergePaths(paths, tolerance = 0.5) {
+  const candidates = paths.filter(pathObj => pathObj.points.length >= 2);
+  const cellSize = tolerance > 0 ? tolerance : 1;
+  const grid = new Map();
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+
+  candidates.forEach((pathObj, index) => {
+    for (const atStart of [true, false]) {
+      const pt = atStart ? pathObj.points[0] : pathObj.points[pathObj.points.length - 1];
+      const key = cellKey(Math.floor(pt.x / cellSize), Math.floor(pt.y / cellSize));
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push({ index, atStart, pt });
+    }
+  });
+
+  const used = new Array(candidates.length).fill(false);
+
+  // Closest unused endpoint within tolerance of pt
+  const findJoin = (pt) => {
+    const cx = Math.floor(pt.x / cellSize);
+    const cy = Math.floor(pt.y / cellSize);
+    let best = null;
+    let bestDistance = tolerance;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const endpoint of grid.get(cellKey(cx + dx, cy + dy)) ?? []) {
+          if (used[endpoint.index]) continue;
+          const d = distance(pt, endpoint.pt);
+          if (d <= bestDistance) {
+            best = endpoint;
+            bestDistance = d;
+          }
+        }
+      }
+    }
+    return best;
+  };
+
+  // Append points, dropping a first point that repeats the last one
+  const join = (points, next) => {
+    const skip = distance(points[points.length - 1], next[0]) < 1e-9 ? 1 : 0;
+    for (let i = skip; i < next.length; i++) points.push(next[i]);
+    return points;
+  };
+
+  const merged = [];
+  for (let i = 0; i < candidates.length; i++) {
+    if (used[i]) continue;
+    used[i] = true;
+    let points = [...candidates[i].points];
+
+    // Extend forward from the end, then backward from the start
+    for (let next = findJoin(points[points.length - 1]); next; next = findJoin(points[points.length - 1])) {
+      used[next.index] = true;
+      const nextPoints = candidates[next.index].points;
+      join(points, next.atStart ? nextPoints : [...nextPoints].reverse());
+    }
+    for (let next = findJoin(points[0]); next; next = findJoin(points[0])) {
+      used[next.index] = true;
+      const nextPoints = candidates[next.index].points;
+      points = join(next.atStart ? [...nextPoints].reverse() : [...nextPoints], points);
+    }
+
+    merged.push({ ...candidates[i], points });
+  }
+
+  return merged;
+}
+
+/**
+ * Order paths to minimise pen-up travel from start: greedy nearest neighbour (taking each
+ * path from whichever end is closer), then 2-opt segment reversals until no move helps.
+ */
+function orderPaths(paths, start = { x: 0, y: 0 }, maxChecks = TWO_OPT_MAX_CHECKS) {
+  const remaining = paths.filter(pathObj => pathObj.points.length >= 2).map(pathObj => ({
+    pathObj,
+    start: pathObj.points[0],
+    end: pathObj.points[pathObj.points.length - 1],
+    reversed: false
+  }));
+
+  // Nearest neighbour
+  const tour = [];
+  let position = start;
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestReversed = false;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const toStart = distance(position, remaining[i].start);
+      const toEnd = distance(position, remaining[i].end);
+      if (toStart < bestDistance) {
+        bestIndex = i;
+        bestReversed = false;
+        bestDistance = toStart;
+      }
+      if (toEnd < bestDistance) {
+        bestIndex = i;
+        bestReversed = true;
+        bestDistance = toEnd;
+      }
+    }
+
+    const item = remaining[bestIndex];
+    remaining[bestIndex] = remaining[remaining.length - 1];
+    remaining.pop();
+    if (bestReversed) flip(item);
+    tour.push(item);
+    position = item.end;
+  }
+
+  // 2-opt: reversing tour[i..j] also reverses each path in it
+  let checks = 0;
+  let improved = true;
+  while (improved && checks < maxChecks) {
+    improved = false;
+    for (let i = 0; i < tour.length && checks < maxChecks; i++) {
+      const before = i === 0 ? start : tour[i - 1].end;
+      for (let j = i; j < tour.length && checks < maxChecks; j++, checks++) {
+        const after = j + 1 < tour.length ? tour[j + 1].start : null;
+        let delta = distance(before, tour[j].end) - distance(before, tour[i].start);
+        if (after) delta += distance(tour[i].start, after) - distance(tour[j].end, after);
+
+        if (delta < -1e-9) {
+          const segment = tour.slice(i, j + 1).reverse();
+          segment.forEach(flip);
+          tour.splice(i, segment.length, ...segment);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return tour.map(item => item.reversed
+    ? { ...item.pathObj, points: [...item.pathObj.points].reverse() }
+    : item.pathObj);
+}
+
+/**
+ * Swap which end of a tour entry is drawn first
+ */
+function flip(item) {
+  [item.start, item.end] = [item.end, item.start];
+  item.reversed = !item.reversed;
+}
+
+/**
+ * Merge touching paths and order them for minimum travel
+ * @param {Array} paths - [{ points, ... }] in mm; other properties are kept
+ * @param {Object} options - { mergeTolerance (mm), start ({ x, y }), maxChecks (2-opt reversals to try) }
+ */
+function optimizePaths(paths, options = {}) {
+  const merged = mergePaths(paths, options.mergeTolerance ?? 0.5);
+  return orderPaths(merged, options.start ?? { x: 0, y: 0 }, options.maxChecks ?? TWO_OPT_MAX_CHECKS);
+}
+
+export { mergePaths, orderPaths, travelDistance };
+export default optimizePaths;
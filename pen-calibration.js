@@ -0,0 +1,237 @@
+// Pen Calibration
+// Finds the pen-down position and dwell that let a pen touch the paper without dragging: plots a
+// grid of short strokes with one row per servo angle (or Z height) and one column per delay,
+// photographs the result with the webcam, and the operator picks the cell to keep in the profile.
+
+import svgProcessor from './svg-processor.js';
+import textRenderer from './text-renderer.js';
+import { fitToMachine } from './machine-profiles.js';
+
+// Default grid options
+const DEFAULT_OPTIONS = {
+  values: null,                 // pen-down positions, one row each (null: one row with the profile's pen down)
+  delays: [50, 100, 200, 400],  // ms dwell after pen down and after pen up, one column each
+  command: null,                // pen-down template with {value}; null derives it from the profile's pen down
+  origin: { x: 10, y: 10 },     // mm, top-left corner of the grid and its labels
+  spacing: 15,                  // mm between cells
+  strokeLength: 10,             // mm
+  strokes: 3,                   // strokes per cell, 2mm apart
+  labels: true                  // write each row's value and each column's delay beside the grid
+};
+
+const MAX_CELLS = 100;
+const STROKE_GAP = 2;   // mm between the strokes of a cell
+const LABEL_SIZE = 3;   // mm capital height
+const LABEL_GAP = 3;    // mm between the labels and the grid
+
+class PenCalibration {
+  constructor(options = {}) {
+    this.webcam = options.webcam ?? null;
+    this.calibrations = new Map(); // calibrationId -> calibration
+    this.nextId = 1;
+  }
+
+  // Pen-down template for a profile's command: the S angle of an M280, or the Z of a Z move
+  static commandTemplate(penDown) {
+    if (/^M280\b/i.test(penDown.trim()) && /\bS-?[\d.]+/i.test(penDown)) {
+      return penDown.replace(/\bS-?[\d.]+/i, 'S{value}');
+    }
+    if (/\bZ-?[\d.]+/i.test(penDown)) {
+      return penDown.replace(/\bZ-?[\d.]+/i, 'Z{value}');
+    }
+    return null;
+  }
+
+  // Cells and G-code for a grid: { cells: [{ row, column, value, delay, penDown }], gcode, width, height }
+  plan(profile, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const values = opts.values ?? [null];
+    const template = opts.command ?? (opts.values ? PenCalibration.commandTemplate(profile.penDown) : null);
+    if (opts.values && !template) {
+      throw new Error(`Pen down "${profile.penDown}" has no servo angle or Z height to vary; pass a command with {value}`);
+    }
+    if (values.length * opts.delays.length > MAX_CELLS) {
+      throw new Error(`A calibration grid has at most ${MAX_CELLS} cells`);
+    }
+
+    // Labels take the top rows and left columns; the grid starts after them
+    const rowLabels = opts.labels && opts.values ? values.map(value => this._label(String(value))) : [];
+    const columnLabels = opts.labels ? opts.delays.map(delay => this._label(`${delay}ms`)) : [];
+    const labelWidth = rowLabels.length > 0 ? Math.max(...rowLabels.map(label => label.width)) + LABEL_GAP : 0;
+    const labelHeight = columnLabels.length > 0 ? LABEL_SIZE + LABEL_GAP : 0;
+    const left = opts.origin.x + labelWidth;
+    const top = opts.origin.y + labelHeight;
+    const width = labelWidth + (opts.delays.length - 1) * opts.spacing + opts.strokeLength;
+    const height = labelHeight + (values.length - 1) * opts.spacing + (opts.strokes - 1) * STROKE_GAP;
+    if (opts.origin.x + width > profile.bedWidth || opts.origin.y + height > profile.bedHeight) {
+      throw new Error(`A ${Math.ceil(width)}x${Math.ceil(height)}mm grid at ${opts.origin.x},${opts.origin.y} ` +
+        `does not fit the ${profile.bedWidth}x${profile.bedHeight}mm bed`);
+    }
+
+    const cells = [];
+    values.forEach((value, row) => {
+      opts.delays.forEach((delay, column) => {
+        cells.push({
+          row,
+          column,
+          value,
+          delay,
+          penDown: value === null ? profile.penDown : template.replaceAll('{value}', String(value)),
+          x: left + column * opts.spacing,
+          y: top + row * opts.spacing
+        });
+      });
+    });
+
+    const travel = `F${svgProcessor.options.travelSpeed}`;
+    const draw = `F${svgProcessor.options.drawSpeed}`;
+    const move = (command, x, y, feed) => `${command} X${x.toFixed(3)} Y${y.toFixed(3)} ${feed}`;
+    const gcode = [
+      '; Pen calibration',
+      `; Rows: ${values.map(value => value ?? profile.penDown).join(', ')}`,
+      `; Columns (ms): ${opts.delays.join(', ')}`,
+      `; Profile: ${profile.name}`,
+      ...profile.header,
+      profile.penUp
+    ];
+
+    // Labels are drawn with the profile's pen down and the default delays, centred on their row or column
+    const rowMiddle = (opts.strokes - 1) * STROKE_GAP / 2;
+    const labelPaths = [
+      ...rowLabels.flatMap((label, row) => label.paths.map(path =>
+        path.map(pt => ({ x: opts.origin.x + pt.x, y: top + row * opts.spacing + rowMiddle + pt.y })))),
+      ...columnLabels.flatMap((label, column) => label.paths.map(path =>
+        path.map(pt => ({ x: left + column * opts.spacing + pt.x, y: opts.origin.y + LABEL_SIZE / 2 + pt.y }))))
+    ];
+    for (const path of labelPaths) {
+      gcode.push(move('G0', path[0].x, path[0].y, travel));
+      gcode.push(profile.penDown, `G4 P${svgProcessor.options.penDownDelay}`);
+      for (const pt of path.slice(1)) gcode.push(move('G1', pt.x, pt.y, draw));
+      gcode.push(profile.penUp, `G4 P${svgProcessor.options.penUpDelay}`);
+    }
+
+    for (const cell of cells) {
+      gcode.push(`; Cell ${cell.row},${cell.column}: ${cell.penDown}, ${cell.delay}ms`);
+      for (let stroke = 0; stroke < opts.strokes; stroke++) {
+        const y = cell.y + stroke * STROKE_GAP;
+        gcode.push(move('G0', cell.x, y, travel));
+        gcode.push(cell.penDown);
+        if (cell.delay > 0) gcode.push(`G4 P${cell.delay}`);
+        gcode.push(move('G1', cell.x + opts.strokeLength, y, draw));
+        gcode.push(profile.penUp);
+        if (cell.delay > 0) gcode.push(`G4 P${cell.delay}`);
+      }
+    }
+
+    // Park so the carriage is clear of the photo
+    gcode.push('; End', ...profile.footer);
+    if (profile.park) gcode.push(`G0 X${profile.park.x} Y${profile.park.y}`);
+
+    return { cells, gcode: gcode.join('\n'), width, height };
+  }
+
+  // Plot a grid on a machine and photograph it; returns the calibration while it is still plotting.
+  // The machine's JobManager is reserved meanwhile, so no job (queued or started) can interleave.
+  start(machine, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const profile = fitToMachine(machine.profile, machine.duet.getConfig());
+    const { cells, gcode } = this.plan(profile, opts);
+
+    const id = String(this.nextId);
+    machine.jobManager.reserve(`pen calibration ${id}`);
+    this.nextId++;
+
+    const calibration = {
+      id,
+      machineId: machine.id,
+      profileId: profile.id ?? null,
+      profileName: profile.name,
+      status: 'plotting', // plotting -> photographing -> ready, or failed
+      options: opts,
+      cells,
+      gcode,
+      linesSent: 0,
+      photo: null,
+      photoError: null,
+      error: null,
+      applied: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.calibrations.set(calibration.id, calibration);
+
+    console.log(`PenCalibration: plotting ${cells.length} cells on ${machine.id}`);
+    this._run(machine, calibration);
+    return calibration;
+  }
+
+  getCalibration(calibrationId) {
+    return this.calibrations.get(calibrationId) ?? null;
+  }
+
+  // Calibrations for a machine, newest first
+  listCalibrations(machineId) {
+    return Array.from(this.calibrations.values())
+      .filter(calibration => calibration.machineId === machineId)
+      .reverse();
+  }
+
+  // The cell at row/column of a finished calibration
+  getCell(calibration, row, column) {
+    if (calibration.status !== 'ready') {
+      throw new Error(`Calibration ${calibration.id} is ${calibration.status}`);
+    }
+    const cell = calibration.cells.find(cell => cell.row === row && cell.column === column);
+    if (!cell) {
+      throw new Error(`Calibration ${calibration.id} has no cell ${row},${column}`);
+    }
+    return cell;
+  }
+
+  async _run(machine, calibration) {
+    try {
+      for (const line of calibration.gcode.split('\n')) {
+        const command = line.replace(/;.*$/, '').trim();
+        if (!command) continue;
+        await machine.duet.sendGCode(command);
+        calibration.linesSent++;
+      }
+      // Wait for the last move before taking the photo
+      await machine.duet.sendGCode('M400');
+
+      calibration.status = 'photographing';
+      if (this.webcam) {
+        try {
+          calibration.photo = await this.webcam.capturePhoto({
+            filename: this.webcam.generateFilename(`calibration_${machine.id}`)
+          });
+        } catch (error) {
+          // The grid is still on the paper to judge by eye
+          calibration.photoError = error.message;
+        }
+      } else {
+        calibration.photoError = 'No webcam configured';
+      }
+      calibration.status = 'ready';
+    } catch (error) {
+      console.error(`PenCalibration: ${machine.id} failed:`, error.message);
+      calibration.status = 'failed';
+      calibration.error = error.message;
+    } finally {
+      calibration.completedAt = new Date().toISOString();
+      machine.jobManager.release(`pen calibration ${calibration.id}`);
+    }
+  }
+
+  // A label's paths, with its left end at x = 0 and its centre line at y = 0
+  _label(text) {
+    const { paths, bounds } = textRenderer.layout(text, { size: LABEL_SIZE });
+    return {
+      paths: paths.map(path => path.map(pt => ({ x: pt.x - bounds.minX, y: pt.y + LABEL_SIZE / 2 }))),
+      width: bounds.maxX - bounds.minX
+    };
+  }
+}
+
+export { DEFAULT_OPTIONS, MAX_CELLS };
+export default PenCalibration;
@@ -0,0 +1,387 @@
+// Raster Processor
+// Turns PNG/JPEG images into plotter paths - brightness hatching, stippling, TSP art,
+// spiral and squiggle - and hands them to SvgProcessor's scale, optimize and G-code pipeline.
+
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import svgProcessor from './svg-processor.js';
+import { orderPaths } from './path-optimizer.js';
+
+// Default tracing options (saved per file as settings.raster)
+const DEFAULT_OPTIONS = {
+  algorithm: 'hatch',  // 'hatch', 'stipple', 'tsp', 'spiral', 'squiggle'
+  size: 200,           // mm, long side of the traced image (the file's scaleMode then applies)
+  spacing: 1,          // mm between hatch/squiggle lines and spiral turns
+  levels: 4,           // hatch: darkness levels, each adding lines at another angle
+  dots: 3000,          // stipple/tsp: number of dots
+  gamma: 1,            // darkness is raised to this power; > 1 lightens mid-tones
+  invert: false,
+  seed: 1              // stipple/tsp: same seed, same dots
+};
+
+const ALGORITHMS = ['hatch', 'stipple', 'tsp', 'spiral', 'squiggle'];
+
+// Hatch angle for each darkness level
+const HATCH_ANGLES = [0, 90, 45, 135, 22.5, 112.5, 67.5, 157.5];
+
+// Darkness below this is left blank by the spiral and squiggle
+const BLANK_DARKNESS = 0.05;
+
+// Largest image decoded: a few kilobytes of PNG can expand to hundreds of MB of pixels
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 16000000;
+
+// JPEG start-of-frame markers, which carry the image size (not DHT, JPG or DAC)
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+class RasterProcessor {
+  constructor(options = {}) {
+    const { maxPixels, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...rest };
+    this.maxPixels = maxPixels ?? MAX_IMAGE_PIXELS;
+  }
+
+  /**
+   * Process a PNG/JPEG (base64, data URL or Buffer) and convert to G-code
+   * Returns the same shape as SvgProcessor.processToGcode.
+   */
+  async processToGcode(content, options = {}) {
+    try {
+      const opts = svgProcessor.resolveOptions(options);
+      const raster = { ...this.options, ...opts.raster };
+
+      const image = this.decodeImage(content);
+      const paths = this.trace(image, raster);
+      const scaledPaths = svgProcessor.scalePaths(paths, opts);
+
+      // vpype only reads SVG, so images use the native optimizer. Stipple dots are never merged into lines.
+      const optimizer = !opts.optimize || opts.optimizer === 'none' ? 'none' : 'native';
+      const renderOpts = raster.algorithm === 'stipple' ? { ...opts, mergeTolerance: 0 } : opts;
+
+      return {
+        success: true,
+        ...svgProcessor.renderPaths(scaledPaths, renderOpts, { optimizer }),
+        image: { width: image.width, height: image.height },
+        algorithm: raster.algorithm
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message,
+        gcode: null,
+        stats: null
+      };
+    }
+  }
+
+  /**
+   * Decode a PNG or JPEG into { width, height, data } (RGBA bytes), refusing images over
+   * maxPixels before any pixels are decoded
+   */
+  decodeImage(content) {
+    const buffer = Buffer.isBuffer(content)
+      ? content
+      : Buffer.from(String(content).replace(/^data:[^,]*,/, ''), 'base64');
+
+    const size = this.imageSize(buffer);
+    if (!size) {
+      throw new Error('Unsupported image format - PNG or JPEG expected');
+    }
+    if (size.width * size.height > this.maxPixels) {
+      throw new Error(`Image is ${size.width}x${size.height} pixels; at most ${(this.maxPixels / 1e6).toFixed(1)} megapixels can be traced`);
+    }
+
+    if (size.format === 'png') {
+      return PNG.sync.read(buffer);
+    }
+    // The decoder's own limits back up the header check
+    return jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: this.maxPixels / 1e6,
+      maxMemoryUsageInMB: Math.ceil(this.maxPixels * 4 / 1e6) + 64
+    });
+  }
+
+  /**
+   * Format and pixel size from a PNG's IHDR or a JPEG's start-of-frame, or null if it is neither
+   */
+  imageSize(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      // Walk the segments up to the frame header
+      let offset = 2;
+      while (offset + 9 <= buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+          offset++;  // Fill byte
+          continue;
+        }
+        if (JPEG_SOF_MARKERS.includes(marker)) {
+          return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return null;
+    }
+    return null;
+  }
+
+  /**
+   * Trace an image into paths in mm (origin top-left), using raster.algorithm
+   */
+  trace(image, raster = this.options) {
+    const grid = this.toDarknessGrid(image, raster);
+
+    switch (raster.algorithm) {
+      case 'hatch':
+        return this.hatchPaths(grid, raster);
+      case 'stipple':
+        return this.stipplePoints(grid, raster).map(pt => ({ points: [pt, { ...pt }] }));
+      case 'tsp':
+        return this.tspPaths(grid, raster);
+      case 'spiral':
+        return this.spiralPaths(grid, raster);
+      case 'squiggle':
+        return this.squigglePaths(grid, raster);
+      default:
+        throw new Error(`Unknown raster algorithm: ${raster.algorithm}`);
+    }
+  }
+
+  /**
+   * Average the image into cells of darkness (0 white .. 1 black), sized in mm.
+   * Transparent pixels count as white paper.
+   */
+  toDarknessGrid(image, raster) {
+    const { width, height, data } = image;
+    const mmPerPixel = raster.size / Math.max(width, height);
+    // Half the line spacing, but no more than 1000 cells along the long side
+    const cell = Math.max(raster.spacing / 2, raster.size / 1000);
+    const cols = Math.max(1, Math.ceil(width * mmPerPixel / cell));
+    const rows = Math.max(1, Math.ceil(height * mmPerPixel / cell));
+
+    const sums = new Float64Array(cols * rows);
+    const counts = new Uint32Array(cols * rows);
+
+    // Rec. 601 luma, composited over white
+    const pixelDarkness = (px, py) => {
+      const i = (py * width + px) * 4;
+      const alpha = data[i + 3] / 255;
+      const luma = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+      return 1 - (luma * alpha + (1 - alpha));
+    };
+
+    for (let py = 0; py < height; py++) {
+      const row = Math.min(rows - 1, Math.floor(py * mmPerPixel / cell));
+      for (let px = 0; px < width; px++) {
+        const col = Math.min(cols - 1, Math.floor(px * mmPerPixel / cell));
+        sums[row * cols + col] += pixelDarkness(px, py);
+        counts[row * cols + col]++;
+      }
+    }
+
+    const values = new Float32Array(cols * rows);
+    for (let i = 0; i < values.length; i++) {
+      // Cells smaller than a pixel take the pixel under their centre
+      let darkness = counts[i] > 0
+        ? sums[i] / counts[i]
+        : pixelDarkness(
+          Math.min(width - 1, Math.floor(((i % cols) + 0.5) * cell / mmPerPixel)),
+          Math.min(height - 1, Math.floor((Math.floor(i / cols) + 0.5) * cell / mmPerPixel))
+        );
+      if (raster.invert) darkness = 1 - darkness;
+      values[i] = Math.pow(Math.min(1, Math.max(0, darkness)), raster.gamma);
+    }
+
+    return { cols, rows, cell, width: width * mmPerPixel, height: height * mmPerPixel, values };
+  }
+
+  /**
+   * Darkness at a point in mm (0 outside the image)
+   */
+  darknessAt(grid, x, y) {
+    const col = Math.floor(x / grid.cell);
+    const row = Math.floor(y / grid.cell);
+    if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) return 0;
+    return grid.values[row * grid.cols + col];
+  }
+
+  /**
+   * Brightness hatching: each darkness level adds a set of parallel lines at its own angle,
+   * drawn only where the image is darker than that level
+   */
+  hatchPaths(grid, raster) {
+    const paths = [];
+    const levels = Math.max(1, Math.min(HATCH_ANGLES.length, Math.round(raster.levels)));
+
+    for (let level = 0; level < levels; level++) {
+      const threshold = (level + 1) / (levels + 1);
+      const rad = HATCH_ANGLES[level] * Math.PI / 180;
+      const ux = Math.cos(rad), uy = Math.sin(rad);   // along the lines
+      const nx = -uy, ny = ux;                        // across them
+
+      // Extent of the image along and across the lines
+      const corners = [[0, 0], [grid.width, 0], [0, grid.height], [grid.width, grid.height]];
+      const across = corners.map(([x, y]) => x * nx + y * ny);
+      const along = corners.map(([x, y]) => x * ux + y * uy);
+      const tMin = Math.min(...along), tMax = Math.max(...along);
+
+      let reverse = false;
+      for (let offset = Math.min(...across) + raster.spacing / 2; offset < Math.max(...across); offset += raster.spacing) {
+        const lineStart = paths.length;
+        let segment = null;
+
+        for (let t = tMin; t <= tMax + grid.cell; t += grid.cell) {
+          const x = offset * nx + t * ux;
+          const y = offset * ny + t * uy;
+          if (this.darknessAt(grid, x, y) > threshold) {
+            if (!segment) segment = { points: [{ x, y }, { x, y }] };
+            segment.points[1] = { x, y };
+          } else if (segment) {
+            paths.push(segment);
+            segment = null;
+          }
+        }
+        if (segment) paths.push(segment);
+
+        // Alternate direction line to line
+        if (reverse) {
+          const line = paths.splice(lineStart).reverse();
+          paths.push(...line.map(pathObj => ({ points: pathObj.points.reverse() })));
+        }
+        if (paths.length > lineStart) reverse = !reverse;
+      }
+    }
+
+    return paths.filter(pathObj => pathObj.points[0].x !== pathObj.points[1].x || pathObj.points[0].y !== pathObj.points[1].y);
+  }
+
+  /**
+   * Stippling: raster.dots points placed with probability proportional to darkness
+   */
+  stipplePoints(grid, raster) {
+    const random = seededRandom(raster.seed);
+    const points = [];
+    const maxAttempts = raster.dots * 200;
+
+    for (let attempt = 0; attempt < maxAttempts && points.length < raster.dots; attempt++) {
+      const x = random() * grid.width;
+      const y = random() * grid.height;
+      if (random() < this.darknessAt(grid, x, y)) points.push({ x, y });
+    }
+
+    return points;
+  }
+
+  /**
+   * TSP art: one continuous line through the stipple dots, ordered nearest neighbour plus 2-opt
+   */
+  tspPaths(grid, raster) {
+    const dots = this.stipplePoints(grid, raster).map(pt => ({ points: [pt, { ...pt }] }));
+    if (dots.length < 2) return [];
+    const tour = orderPaths(dots, { x: 0, y: 0 });
+    return [{ points: tour.map(pathObj => pathObj.points[0]) }];
+  }
+
+  /**
+   * Spiral: an Archimedean spiral from the centre, raster.spacing between turns, wobbling
+   * radially with an amplitude that follows darkness. Light areas are left blank.
+   */
+  spiralPaths(grid, raster) {
+    const paths = [];
+    const cx = grid.width / 2;
+    const cy = grid.height / 2;
+    const maxRadius = Math.hypot(cx, cy);
+    const wavelength = grid.cell * 2;
+    let current = null;
+    let phase = 0;
+
+    for (let theta = 0, r = 0; r <= maxRadius; ) {
+      const baseX = cx + r * Math.cos(theta);
+      const baseY = cy + r * Math.sin(theta);
+      const darkness = this.darknessAt(grid, baseX, baseY);
+
+      if (darkness >= BLANK_DARKNESS) {
+        const wobble = darkness * raster.spacing * 0.45 * Math.sin(phase);
+        const point = { x: cx + (r + wobble) * Math.cos(theta), y: cy + (r + wobble) * Math.sin(theta) };
+        if (!current) {
+          current = { points: [] };
+          paths.push(current);
+        }
+        current.points.push(point);
+      } else {
+        current = null;
+      }
+
+      // Advance about a quarter wavelength along the spiral
+      const step = wavelength / 4;
+      phase += Math.PI / 2;
+      theta += r > step ? step / r : Math.PI / 8;
+      r = raster.spacing * theta / (Math.PI * 2);
+    }
+
+    return paths.filter(pathObj => pathObj.points.length >= 2);
+  }
+
+  /**
+   * Squiggle: rows of waves whose amplitude and frequency follow darkness. Light areas are left blank.
+   */
+  squigglePaths(grid, raster) {
+    const paths = [];
+    const step = grid.cell;
+    let reverse = false;
+
+    for (let y = raster.spacing / 2; y < grid.height; y += raster.spacing) {
+      const row = [];
+      let current = null;
+      let phase = 0;
+
+      for (let x = 0; x <= grid.width; x += step) {
+        const darkness = this.darknessAt(grid, x, y);
+        if (darkness >= BLANK_DARKNESS) {
+          phase += darkness * Math.PI / 2;
+          const point = { x, y: y + darkness * raster.spacing * 0.45 * Math.sin(phase) };
+          if (!current) {
+            current = { points: [] };
+            row.push(current);
+          }
+          current.points.push(point);
+        } else {
+          current = null;
+        }
+      }
+
+      // Alternate direction row to row
+      if (reverse) {
+        row.reverse().forEach(pathObj => pathObj.points.reverse());
+      }
+      if (row.length > 0) reverse = !reverse;
+      paths.push(...row.filter(pathObj => pathObj.points.length >= 2));
+    }
+
+    return paths;
+  }
+}
+
+/**
+ * Deterministic PRNG (mulberry32), so a file's settings always give the same plot
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Export singleton instance and class
+const processor = new RasterProcessor();
+
+export { RasterProcessor, DEFAULT_OPTIONS, ALGORITHMS };
+export default processor;
@@ -7,26 +7,51 @@ import path from 'path';
 // Local G-code storage directory
 const GCODE_DIR = process.env.GCODE_DIR || '/var/lib/gellyroller/gcode';
 
+// What happens to jogs and jobs that leave the bed
+const SOFT_LIMIT_MODES = ['reject', 'warn', 'off'];
+
 const router = express.Router();
 
-// Routes will be initialized with duet, system, webcam, and jobManager instances
-let duet;
+// Per-machine routes, mounted under /machines/:machineId and (for the default machine) at /
+const machineRouter = express.Router({ mergeParams: true });
+
+// Routes will be initialized with the machine registry, system, and webcam instances
+let registry;
 let system;
 let webcam;
-let jobManager;
 
-export function initializeRoutes(duetInstance, systemInstance, webcamInstance, jobManagerInstance) {
-  duet = duetInstance;
+export function initializeRoutes(registryInstance, systemInstance, webcamInstance) {
+  registry = registryInstance;
   system = systemInstance;
   webcam = webcamInstance;
-  jobManager = jobManagerInstance;
   return router;
 }
 
+// Attach the machine named in the URL to the request
+function resolveMachine(req, res, next) {
+  const machine = registry.getMachine(req.params.machineId);
+  if (!machine) {
+    return res.status(404).json({ success: false, error: `Machine ${req.params.machineId} not found` });
+  }
+  req.machine = machine;
+  req.duet = machine.duet;
+  req.jobManager = machine.jobManager;
+  next();
+}
+
+// Un-prefixed routes act on the default machine
+function useDefaultMachine(req, res, next) {
+  const machine = registry.getDefault();
+  req.machine = machine;
+  req.duet = machine.duet;
+  req.jobManager = machine.jobManager;
+  next();
+}
+
 // Get current position
-router.get('/position', async (req, res) => {
+machineRouter.get('/position', async (req, res) => {
   try {
-    const position = await duet.getPosition();
+    const position = await req.duet.getPosition();
     res.json({ success: true, data: position });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -34,9 +59,9 @@ router.get('/position', async (req, res) => {
 });
 
 // Get list of SD files
-router.get('/sd/files', async (req, res) => {
+machineRouter.get('/sd/files', async (req, res) => {
   try {
-    const files = await duet.listSDFiles();
+    const files = await req.duet.listSDFiles();
     res.json({ success: true, data: files.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -44,9 +69,9 @@ router.get('/sd/files', async (req, res) => {
 });
 
 // Report SD card info
-router.get('/sd/info', async (req, res) => {
+machineRouter.get('/sd/info', async (req, res) => {
   try {
-    const info = await duet.getSDInfo();
+    const info = await req.duet.getSDInfo();
     res.json({ success: true, data: info.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -54,13 +79,13 @@ router.get('/sd/info', async (req, res) => {
 });
 
 // Execute G-code file from SD card
-router.post('/execute', async (req, res) => {
+machineRouter.post('/execute', async (req, res) => {
   try {
     const { filename } = req.body;
     if (!filename) {
       return res.status(400).json({ success: false, error: 'Filename required' });
     }
-    const response = await duet.executeFile(filename);
+    const response = await req.duet.executeFile(filename);
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -68,13 +93,13 @@ router.post('/execute', async (req, res) => {
 });
 
 // Upload file to SD card
-router.post('/sd/upload', async (req, res) => {
+machineRouter.post('/sd/upload', async (req, res) => {
   try {
     const { filename, content } = req.body;
     if (!filename || !content) {
       return res.status(400).json({ success: false, error: 'Filename and content required' });
     }
-    const response = await duet.uploadFile(filename, content);
+    const response = await req.duet.uploadFile(filename, content);
     res.json({ success: true, data: response });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -82,9 +107,9 @@ router.post('/sd/upload', async (req, res) => {
 });
 
 // Pause current operation
-router.post('/pause', async (req, res) => {
+machineRouter.post('/pause', async (req, res) => {
   try {
-    const response = await duet.pause();
+    const response = await req.duet.pause();
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -92,9 +117,9 @@ router.post('/pause', async (req, res) => {
 });
 
 // Cancel/end current operation
-router.post('/cancel', async (req, res) => {
+machineRouter.post('/cancel', async (req, res) => {
   try {
-    const response = await duet.stop();
+    const response = await req.duet.stop();
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -102,9 +127,9 @@ router.post('/cancel', async (req, res) => {
 });
 
 // Emergency stop
-router.post('/emergency-stop', async (req, res) => {
+machineRouter.post('/emergency-stop', async (req, res) => {
   try {
-    const response = await duet.emergencyStop();
+    const response = await req.duet.emergencyStop();
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -112,10 +137,10 @@ router.post('/emergency-stop', async (req, res) => {
 });
 
 // Home all axes (or specific axes)
-router.post('/home', async (req, res) => {
+machineRouter.post('/home', async (req, res) => {
   try {
     const { axes } = req.body;
-    const response = await duet.home(axes || '');
+    const response = await req.duet.home(axes || '');
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -123,35 +148,41 @@ router.post('/home', async (req, res) => {
 });
 
 // Go to location fast (G0)
-router.post('/goto/fast', async (req, res) => {
+machineRouter.post('/goto/fast', async (req, res) => {
   try {
     const { x, y, z } = req.body;
-    const response = await duet.moveRapid({ x, y, z });
+    const response = await req.duet.moveRapid({ x, y, z });
     res.json({ success: true, data: response.trim() });
   } catch (error) {
+    if (error.code === 'OUT_OF_BOUNDS' || error.code === 'INVALID_MOVE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Go to location slow (G1)
-router.post('/goto/slow', async (req, res) => {
+machineRouter.post('/goto/slow', async (req, res) => {
   try {
     const { x, y, z, f } = req.body;
-    const response = await duet.moveLinear({ x, y, z }, f);
+    const response = await req.duet.moveLinear({ x, y, z }, f);
     res.json({ success: true, data: response.trim() });
   } catch (error) {
+    if (error.code === 'OUT_OF_BOUNDS' || error.code === 'INVALID_MOVE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Send GPIO command
-router.post('/gpio/send', async (req, res) => {
+machineRouter.post('/gpio/send', async (req, res) => {
   try {
     const { pin, value } = req.body;
     if (pin === undefined || value === undefined) {
       return res.status(400).json({ success: false, error: 'Pin and value required' });
     }
-    const response = await duet.setGPIO(pin, value);
+    const response = await req.duet.setGPIO(pin, value);
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -159,13 +190,13 @@ router.post('/gpio/send', async (req, res) => {
 });
 
 // Read GPIO
-router.get('/gpio/read', async (req, res) => {
+machineRouter.get('/gpio/read', async (req, res) => {
   try {
     const { pin } = req.query;
     if (pin === undefined) {
       return res.status(400).json({ success: false, error: 'Pin parameter required' });
     }
-    const response = await duet.readGPIO(pin);
+    const response = await req.duet.readGPIO(pin);
     res.json({ success: true, data: response.trim() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -173,9 +204,9 @@ router.get('/gpio/read', async (req, res) => {
 });
 
 // Get Duet state
-router.get('/state', (req, res) => {
+machineRouter.get('/state', (req, res) => {
   try {
-    const state = duet.getState();
+    const state = req.duet.getState();
     res.json({ success: true, data: state });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -183,14 +214,14 @@ router.get('/state', (req, res) => {
 });
 
 // Get status
-router.get('/status', (req, res) => {
+machineRouter.get('/status', (req, res) => {
   try {
-    const state = duet.getState();
+    const state = req.duet.getState();
     res.json({
       success: true,
       data: {
         status: state.status,
-        ready: duet.isReady(),
+        ready: req.duet.isReady(),
         position: state.position,
         lastUpdate: state.lastUpdate
       }
@@ -201,9 +232,9 @@ router.get('/status', (req, res) => {
 });
 
 // Get machine configuration
-router.get('/config', (req, res) => {
+machineRouter.get('/config', (req, res) => {
   try {
-    const config = duet.getConfig();
+    const config = req.duet.getConfig();
     res.json({ success: true, data: config });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -211,11 +242,14 @@ router.get('/config', (req, res) => {
 });
 
 // Update machine configuration (runtime)
-router.put('/config', (req, res) => {
+machineRouter.put('/config', (req, res) => {
   try {
-    const { xDimension, yDimension } = req.body;
-    duet.updateConfig({ xDimension, yDimension });
-    const config = duet.getConfig();
+    const { xDimension, yDimension, softLimits } = req.body;
+    if (softLimits !== undefined && !SOFT_LIMIT_MODES.includes(softLimits)) {
+      return res.status(400).json({ success: false, error: `softLimits must be one of: ${SOFT_LIMIT_MODES.join(', ')}` });
+    }
+    req.duet.updateConfig({ xDimension, yDimension, softLimits });
+    const config = req.duet.getConfig();
     res.json({ success: true, data: config });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -223,15 +257,19 @@ router.put('/config', (req, res) => {
 });
 
 // Send raw G-code
-router.post('/gcode', async (req, res) => {
+machineRouter.post('/gcode', async (req, res) => {
   try {
     const { command } = req.body;
     if (!command) {
       return res.status(400).json({ success: false, error: 'Command required' });
     }
-    const response = await duet.sendGCode(command);
+    req.duet.checkCommand(command);
+    const response = await req.duet.sendGCode(command);
     res.json({ success: true, data: response.trim() });
   } catch (error) {
+    if (error.code === 'OUT_OF_BOUNDS' || error.code === 'INVALID_MOVE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -240,12 +278,39 @@ router.post('/gcode', async (req, res) => {
 router.get('/health', (req, res) => {
   res.json({
     status: 'ok',
-    duetReady: duet.isReady(),
+    duetReady: registry.getDefault().duet.isReady(),
+    machines: registry.listMachines().map(machine => ({
+      id: machine.id,
+      ready: machine.duet.isReady()
+    })),
     devMode: process.env.DEV_MODE === 'true',
     timestamp: new Date().toISOString()
   });
 });
 
+// ============================================
+// Machine Registry Routes
+// ============================================
+
+// List machines
+router.get('/machines', (req, res) => {
+  try {
+    const machines = registry.listMachines().map(machine => registry.describe(machine));
+    res.json({ success: true, data: machines });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one machine
+router.get('/machines/:machineId', resolveMachine, (req, res) => {
+  try {
+    res.json({ success: true, data: registry.describe(req.machine) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // System Management Routes
 // ============================================
@@ -352,13 +417,13 @@ router.get('/webcam/test', async (req, res) => {
 // ============================================
 
 // Upload G-code and create a job
-router.post('/job/upload', (req, res) => {
+machineRouter.post('/job/upload', (req, res) => {
   try {
-    const { filename, content } = req.body;
+    const { filename, content, ignoreBounds } = req.body;
     if (!filename || !content) {
       return res.status(400).json({ success: false, error: 'Filename and content required' });
     }
-    const job = jobManager.createJob(filename, content);
+    const job = req.jobManager.createJob(filename, content, { ignoreBounds });
     res.json({
       success: true,
       data: {
@@ -366,18 +431,23 @@ router.post('/job/upload', (req, res) => {
         filename: job.filename,
         stats: job.stats,
         layers: job.layers,
-        toolChanges: job.toolChanges
+        toolChanges: job.toolChanges,
+        ink: req.jobManager.checkInk(job),
+        bounds: job.bounds
       }
     });
   } catch (error) {
+    if (error.code === 'OUT_OF_BOUNDS') {
+      return res.status(400).json({ success: false, error: error.message, data: { bounds: error.bounds } });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // List all jobs
-router.get('/job/list', (req, res) => {
+machineRouter.get('/job/list', (req, res) => {
   try {
-    const jobs = jobManager.listJobs();
+    const jobs = req.jobManager.listJobs();
     res.json({ success: true, data: jobs });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -385,9 +455,9 @@ router.get('/job/list', (req, res) => {
 });
 
 // Get active job
-router.get('/job/active', (req, res) => {
+machineRouter.get('/job/active', (req, res) => {
   try {
-    const job = jobManager.getActiveJob();
+    const job = req.jobManager.getActiveJob();
     if (!job) {
       return res.json({ success: true, data: null });
     }
@@ -405,10 +475,37 @@ router.get('/job/active', (req, res) => {
   }
 });
 
+// Get the job interrupted by a server restart (resume it with /job/:id/resume)
+machineRouter.get('/job/interrupted', (req, res) => {
+  try {
+    const job = req.jobManager.getInterruptedJob();
+    if (!job) {
+      return res.json({ success: true, data: null });
+    }
+    const resumePoint = req.jobManager.getResumePoint(job);
+    res.json({
+      success: true,
+      data: {
+        id: job.id,
+        filename: job.filename,
+        status: job.status,
+        interruptedAtLine: job.progress.currentLine,
+        totalLines: job.progress.totalLines,
+        penDown: job.machineState.penDown,
+        position: job.machineState.position,
+        resumeFromLine: resumePoint.line,
+        resumePosition: resumePoint.position
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get job details
-router.get('/job/:id', (req, res) => {
+machineRouter.get('/job/:id', (req, res) => {
   try {
-    const job = jobManager.getJob(req.params.id);
+    const job = req.jobManager.getJob(req.params.id);
     if (!job) {
       return res.status(404).json({ success: false, error: 'Job not found' });
     }
@@ -425,6 +522,8 @@ router.get('/job/:id', (req, res) => {
         layers: job.layers,
         toolChanges: job.toolChanges,
         progress: job.progress,
+        pen: job.pen,
+        penChange: job.penChange,
         error: job.error
       }
     });
@@ -434,9 +533,9 @@ router.get('/job/:id', (req, res) => {
 });
 
 // Delete a job
-router.delete('/job/:id', (req, res) => {
+machineRouter.delete('/job/:id', (req, res) => {
   try {
-    jobManager.deleteJob(req.params.id);
+    req.jobManager.deleteJob(req.params.id);
     res.json({ success: true, data: { deleted: req.params.id } });
   } catch (error) {
     if (error.message.includes('not found')) {
@@ -447,9 +546,24 @@ router.delete('/job/:id', (req, res) => {
 });
 
 // Start a job
-router.post('/job/:id/start', async (req, res) => {
-  try {
-    const job = await jobManager.startJob(req.params.id);
+machineRouter.post('/job/:id/start', async (req, res) => {
+  try {
+    // Optional: fromLine, fromLayer or fromCheckpoint to start part-way through
+    const { fromLine, fromLayer, fromCheckpoint, ignoreInk } = req.body ?? {};
+
+    // Refuse a job the fitted pens don't have the ink to finish, unless told to start anyway
+    const pending = req.jobManager.getJob(req.params.id);
+    const short = pending && !ignoreInk ? req.jobManager.checkInk(pending).filter(check => !check.sufficient) : [];
+    if (short.length > 0) {
+      const pens = short.map(check => `T${check.tool} ${check.pen.name} needs ${check.requiredM}m, has ${check.remainingM}m`);
+      return res.status(400).json({
+        success: false,
+        error: `Not enough ink (start with ignoreInk to run anyway): ${pens.join('; ')}`,
+        data: { ink: short }
+      });
+    }
+
+    const job = await req.jobManager.startJob(req.params.id, { fromLine, fromLayer, fromCheckpoint });
     res.json({
       success: true,
       data: {
@@ -462,14 +576,17 @@ router.post('/job/:id/start', async (req, res) => {
     if (error.message.includes('not found')) {
       return res.status(404).json({ success: false, error: error.message });
     }
+    if (error.message.includes('out of range')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Pause a job
-router.post('/job/:id/pause', async (req, res) => {
+machineRouter.post('/job/:id/pause', async (req, res) => {
   try {
-    const job = await jobManager.pauseJob(req.params.id);
+    const job = await req.jobManager.pauseJob(req.params.id);
     res.json({
       success: true,
       data: {
@@ -487,9 +604,9 @@ router.post('/job/:id/pause', async (req, res) => {
 });
 
 // Resume a job
-router.post('/job/:id/resume', async (req, res) => {
+machineRouter.post('/job/:id/resume', async (req, res) => {
   try {
-    const job = await jobManager.resumeJob(req.params.id);
+    const job = await req.jobManager.resumeJob(req.params.id);
     res.json({
       success: true,
       data: {
@@ -505,10 +622,58 @@ router.post('/job/:id/resume', async (req, res) => {
   }
 });
 
+// Rewind a paused job by a number of strokes, or to a line (redrawn on resume)
+machineRouter.post('/job/:id/rewind', async (req, res) => {
+  try {
+    const { strokes, line } = req.body ?? {};
+    const { job, fromLine, strokesReplayed } = await req.jobManager.rewindJob(req.params.id, { strokes, line });
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        fromLine,
+        strokesReplayed,
+        progress: job.progress
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message.includes('out of range')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Confirm the pen asked for by a pen change is fitted and continue the job
+machineRouter.post('/job/:id/pen-change/confirm', async (req, res) => {
+  try {
+    // Optional: tool and color of the pen actually fitted, if not the one asked for
+    const { tool, color } = req.body ?? {};
+    const job = await req.jobManager.confirmPenChange(req.params.id, { source: 'api', tool, color });
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        pen: job.pen
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Cancel a job
-router.post('/job/:id/cancel', async (req, res) => {
+machineRouter.post('/job/:id/cancel', async (req, res) => {
   try {
-    const job = await jobManager.cancelJob(req.params.id);
+    const job = await req.jobManager.cancelJob(req.params.id);
     res.json({
       success: true,
       data: {
@@ -525,9 +690,9 @@ router.post('/job/:id/cancel', async (req, res) => {
 });
 
 // Get job progress (REST fallback for polling)
-router.get('/job/:id/progress', (req, res) => {
+machineRouter.get('/job/:id/progress', (req, res) => {
   try {
-    const progress = jobManager.getJobProgress(req.params.id);
+    const progress = req.jobManager.getJobProgress(req.params.id);
     if (!progress) {
       return res.status(404).json({ success: false, error: 'Job not found' });
     }
@@ -537,6 +702,143 @@ router.get('/job/:id/progress', (req, res) => {
   }
 });
 
+// ============================================
+// Job Queue Routes
+// ============================================
+
+// Get the queue
+machineRouter.get('/queue', (req, res) => {
+  try {
+    res.json({ success: true, data: req.jobManager.getQueue() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Queue an existing job, or upload G-code straight into the queue
+machineRouter.post('/queue', (req, res) => {
+  try {
+    const { jobId, filename, content, waitForConfirm, ignoreBounds } = req.body;
+    if (!jobId && (!filename || !content)) {
+      return res.status(400).json({ success: false, error: 'jobId, or filename and content, required' });
+    }
+
+    const id = jobId || req.jobManager.createJob(filename, content, { ignoreBounds }).id;
+    const job = req.jobManager.enqueueJob(id, { waitForConfirm });
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        position: req.jobManager.queue.indexOf(job.id),
+        ink: req.jobManager.checkInk(job)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'OUT_OF_BOUNDS') {
+      return res.status(400).json({ success: false, error: error.message, data: { bounds: error.bounds } });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message.includes('cannot be queued')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reorder the queue
+machineRouter.put('/queue', (req, res) => {
+  try {
+    const { order } = req.body;
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ success: false, error: 'order (array of job IDs) required' });
+    }
+    const queue = req.jobManager.reorderQueue(order);
+    res.json({ success: true, data: queue });
+  } catch (error) {
+    if (error.message.includes('must list every queued job')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Hold the queue (no further jobs start automatically)
+machineRouter.post('/queue/hold', (req, res) => {
+  try {
+    req.jobManager.holdQueue();
+    res.json({ success: true, data: req.jobManager.getQueue() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Resume a held queue
+machineRouter.post('/queue/resume', (req, res) => {
+  try {
+    req.jobManager.resumeQueue();
+    res.json({ success: true, data: req.jobManager.getQueue() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a queued job's settings
+machineRouter.put('/queue/:id', (req, res) => {
+  try {
+    const { waitForConfirm } = req.body;
+    const job = req.jobManager.updateQueuedJob(req.params.id, { waitForConfirm });
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        waitForConfirm: job.waitForConfirm
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Confirm a job that is waiting for the operator
+machineRouter.post('/queue/:id/confirm', (req, res) => {
+  try {
+    const job = req.jobManager.confirmJob(req.params.id);
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        confirmed: job.confirmed
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a job from the queue (the job itself is kept)
+machineRouter.delete('/queue/:id', (req, res) => {
+  try {
+    const job = req.jobManager.dequeueJob(req.params.id);
+    res.json({ success: true, data: { jobId: job.id, status: job.status } });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
 // Local G-code File Management
 // ============================================================================
@@ -655,7 +957,7 @@ router.delete('/files/:name', async (req, res) => {
 });
 
 // Load a file and create a job (ready to start)
-router.post('/files/:name/load', async (req, res) => {
+machineRouter.post('/files/:name/load', async (req, res) => {
   try {
     const filename = req.params.name;
     if (filename.includes('..') || filename.includes('/')) {
@@ -666,7 +968,7 @@ router.post('/files/:name/load', async (req, res) => {
     const content = await fs.readFile(filePath, 'utf-8');
 
     // Create a job from the file
-    const job = jobManager.createJob(filename, content);
+    const job = req.jobManager.createJob(filename, content, { ignoreBounds: req.body?.ignoreBounds });
 
     res.json({
       success: true,
@@ -674,15 +976,23 @@ router.post('/files/:name/load', async (req, res) => {
         jobId: job.id,
         filename: job.filename,
         stats: job.stats,
-        layers: job.layers
+        layers: job.layers,
+        bounds: job.bounds
       }
     });
   } catch (error) {
     if (error.code === 'ENOENT') {
       return res.status(404).json({ success: false, error: 'File not found' });
     }
+    if (error.code === 'OUT_OF_BOUNDS') {
+      return res.status(400).json({ success: false, error: error.message, data: { bounds: error.bounds } });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Machine routes: /machines/:machineId/... and the default machine's legacy aliases
+router.use('/machines/:machineId', resolveMachine, machineRouter);
+router.use(useDefaultMachine, machineRouter);
+
 export default router;
@@ -0,0 +1,414 @@
+// SVG Document
+// Minimal XML parser and SVG tree walk for SvgProcessor: composes transform matrices,
+// resolves <use>/<symbol> references and maps the document to physical millimetres.
+
+// Millimetres per unit for SVG lengths (unitless lengths are CSS pixels)
+const UNIT_MM = {
+  '': 25.4 / 96,
+  px: 25.4 / 96,
+  pt: 25.4 / 72,
+  pc: 25.4 / 6,
+  in: 25.4,
+  cm: 10,
+  mm: 1,
+  q: 0.25
+};
+
+// Elements that are never drawn directly
+const NON_RENDERED = new Set([
+  'defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient', 'radialGradient',
+  'title', 'desc', 'metadata', 'style', 'script', 'text', 'foreignObject', 'sodipodi:namedview'
+]);
+
+// Elements whose children are drawn in their coordinate system
+const CONTAINERS = new Set(['g', 'a', 'switch']);
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parse XML into { name, attrs, children, parent, index } nodes under a '#document' root.
+ * Text content is dropped; entities declared in a DOCTYPE internal subset are expanded in attributes.
+ */
+function parseXml(text) {
+  const root = { name: '#document', attrs: {}, children: [], parent: null, index: 0 };
+  const stack = [root];
+  const entities = { ...XML_ENTITIES };
+  let index = 0;
+
+  const decode = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[\w.-]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return entities[entity] ?? match;
+  });
+
+  const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^[>]*(?:\[([\s\S]*?)\])?\s*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/gi;
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const [, doctypeSubset, closeName, openName, attrText, selfClosing] = match;
+
+    if (doctypeSubset) {
+      const entityRegex = /<!ENTITY\s+([\w.-]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+      let entity;
+      while ((entity = entityRegex.exec(doctypeSubset)) !== null) {
+        entities[entity[1]] = entity[2] ?? entity[3];
+      }
+    } else if (closeName) {
+      // Pop back to the matching element, tolerating unclosed children
+      const openIndex = stack.map(node => node.name).lastIndexOf(closeName);
+      if (openIndex > 0) stack.length = openIndex;
+    } else if (openName) {
+      const attrs = {};
+      const attrRegex = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attrRegex.exec(attrText)) !== null) {
+        attrs[attr[1]] = decode(attr[2] ?? attr[3]);
+      }
+
+      const parent = stack[stack.length - 1];
+      const node = { name: openName, attrs, children: [], parent, index: ++index };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Multiply affine matrices [a, b, c, d, e, f]: the result applies m2 first, then m1
+ */
+function multiplyMatrix(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+/**
+ * Transform a point by an affine matrix
+ */
+function applyMatrix(m, pt) {
+  return {
+    x: m[0] * pt.x + m[2] * pt.y + m[4],
+    y: m[1] * pt.x + m[3] * pt.y + m[5]
+  };
+}
+
+/**
+ * Largest factor by which a matrix stretches any direction (its largest singular value)
+ */
+function matrixScale(m) {
+  const [a, b, c, d] = m;
+  const mean = (a * a + b * b + c * c + d * d) / 2;
+  const spread = Math.hypot((a * a + b * b - c * c - d * d) / 2, a * c + b * d);
+  return Math.sqrt(mean + spread);
+}
+
+/**
+ * Parse a transform attribute (translate, scale, rotate, skewX, skewY, matrix) into one matrix
+ */
+function parseTransform(transform) {
+  let matrix = IDENTITY;
+  if (!transform) return matrix;
+
+  const fnRegex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = fnRegex.exec(transform)) !== null) {
+    const args = (match[2].match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || []).map(Number);
+    let step;
+
+    switch (match[1]) {
+      case 'matrix':
+        step = args.length === 6 ? args : IDENTITY;
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0] ?? 0, args[1] ?? 0];
+        break;
+      case 'scale':
+        step = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case 'rotate': {
+        const angle = (args[0] ?? 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [cx = 0, cy = 0] = args.slice(1);
+        // Rotate about (cx, cy): translate(cx, cy) rotate(a) translate(-cx, -cy)
+        step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case 'skewX':
+        step = [1, 0, Math.tan((args[0] ?? 0) * Math.PI / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        step = [1, Math.tan((args[0] ?? 0) * Math.PI / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = multiplyMatrix(matrix, step);
+  }
+
+  return matrix;
+}
+
+/**
+ * Length in millimetres ('210mm', '8.5in', '600' px); null for missing, percentage or font-relative lengths
+ */
+function parseLength(value) {
+  const match = String(value ?? '').trim().match(/^([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)\s*([a-z]*)$/i);
+  if (!match) return null;
+
+  const perUnit = UNIT_MM[match[2].toLowerCase()];
+  return perUnit === undefined ? null : parseFloat(match[1]) * perUnit;
+}
+
+/**
+ * Plain number attribute (user units), with a default
+ */
+function parseNumber(value, fallback = 0) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Matrix mapping a viewBox onto a viewport of width x height, honouring preserveAspectRatio
+ */
+function viewBoxMatrix(viewBox, width, height, preserveAspectRatio = 'xMidYMid meet') {
+  const [minX, minY, vbWidth, vbHeight] = viewBox;
+  let scaleX = width / vbWidth;
+  let scaleY = height / vbHeight;
+
+  const [align = 'xMidYMid', meetOrSlice = 'meet'] = preserveAspectRatio.trim().split(/\s+/);
+  let offsetX = 0;
+  let offsetY = 0;
+
+  if (align !== 'none') {
+    const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    scaleX = scale;
+    scaleY = scale;
+
+    const extraX = width - vbWidth * scale;
+    const extraY = height - vbHeight * scale;
+    if (align.includes('xMid')) offsetX = extraX / 2;
+    if (align.includes('xMax')) offsetX = extraX;
+    if (align.includes('YMid')) offsetY = extraY / 2;
+    if (align.includes('YMax')) offsetY = extraY;
+  }
+
+  return [scaleX, 0, 0, scaleY, offsetX - minX * scaleX, offsetY - minY * scaleY];
+}
+
+function parseViewBox(value) {
+  const parts = String(value ?? '').trim().split(/[\s,]+/).map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part)) || parts[2] <= 0 || parts[3] <= 0) {
+    return null;
+  }
+  return parts;
+}
+
+class SvgDocument {
+  constructor(svgContent) {
+    const xml = parseXml(svgContent);
+    this.root = this._findFirst(xml, 'svg') ?? { name: 'svg', attrs: {}, children: xml.children, parent: null, index: 0 };
+
+    // id -> element, for <use> references
+    this.ids = new Map();
+    this._indexIds(this.root);
+
+    this.size = this._physicalSize();
+  }
+
+  /**
+   * Document width/height in mm and the matrix from root user units to mm.
+   * Without width/height, user units are taken to be millimetres.
+   */
+  _physicalSize() {
+    const viewBox = parseViewBox(this.root.attrs.viewBox);
+    let width = parseLength(this.root.attrs.width);
+    let height = parseLength(this.root.attrs.height);
+
+    if (viewBox) {
+      // One dimension given: keep the viewBox aspect ratio
+      if (width === null && height !== null) width = height * viewBox[2] / viewBox[3];
+      if (height === null && width !== null) height = width * viewBox[3] / viewBox[2];
+
+      if (width === null) {
+        return { width: viewBox[2], height: viewBox[3], matrix: [1, 0, 0, 1, -viewBox[0], -viewBox[1]] };
+      }
+      return {
+        width,
+        height,
+        matrix: viewBoxMatrix(viewBox, width, height, this.root.attrs.preserveAspectRatio)
+      };
+    }
+
+    if (width !== null || height !== null) {
+      // No viewBox: user units are CSS pixels
+      return { width, height, matrix: [UNIT_MM.px, 0, 0, UNIT_MM.px, 0, 0] };
+    }
+
+    return { width: null, height: null, matrix: IDENTITY };
+  }
+
+  /**
+   * Visit every drawable element with the matrix to mm and what it inherits:
+   * visitor(element, { matrix, stroke, fill, fillRule, groups }) where groups are the enclosing <g> elements,
+   * outermost first. fill is null for fill="none"; unset fills are black, as in SVG.
+   */
+  walk(visitor) {
+    const context = {
+      matrix: this.size.matrix,
+      stroke: this.getStroke(this.root),
+      fill: this.getFill(this.root) ?? 'black',
+      fillRule: this.getFillRule(this.root) ?? 'nonzero',
+      groups: []
+    };
+    for (const child of this.root.children) {
+      this._walkNode(child, context, visitor, new Set());
+    }
+  }
+
+  _walkNode(node, parentContext, visitor, using) {
+    if (NON_RENDERED.has(node.name) || this._isHidden(node)) return;
+
+    const context = {
+      ...this._inheritPaint(node, parentContext),
+      matrix: multiplyMatrix(parentContext.matrix, parseTransform(node.attrs.transform)),
+      groups: parentContext.groups
+    };
+
+    if (CONTAINERS.has(node.name)) {
+      if (node.name === 'g') context.groups = [...parentContext.groups, node];
+      for (const child of node.children) {
+        this._walkNode(child, context, visitor, using);
+      }
+    } else if (node.name === 'svg') {
+      // Nested viewport
+      context.matrix = multiplyMatrix(context.matrix, this._viewportMatrix(node, node));
+      for (const child of node.children) {
+        this._walkNode(child, context, visitor, using);
+      }
+    } else if (node.name === 'use') {
+      this._walkUse(node, context, visitor, using);
+    } else {
+      visitor(node, context);
+    }
+  }
+
+  // <use>: draw the referenced element at (x, y); symbols and svgs get their own viewport
+  _walkUse(node, context, visitor, using) {
+    const href = node.attrs.href ?? node.attrs['xlink:href'] ?? '';
+    const target = href.startsWith('#') ? this.ids.get(href.slice(1)) : null;
+
+    // Missing targets and reference cycles are skipped
+    if (!target || using.has(target)) return;
+    const nextUsing = new Set(using).add(target);
+
+    const matrix = multiplyMatrix(context.matrix, [1, 0, 0, 1, parseNumber(node.attrs.x), parseNumber(node.attrs.y)]);
+    const useContext = { ...context, matrix };
+
+    if (target.name === 'symbol' || target.name === 'svg') {
+      const symbolContext = {
+        ...this._inheritPaint(target, context),
+        matrix: multiplyMatrix(matrix, this._viewportMatrix(target, node)),
+        groups: context.groups
+      };
+      for (const child of target.children) {
+        this._walkNode(child, symbolContext, visitor, nextUsing);
+      }
+    } else {
+      this._walkNode(target, useContext, visitor, nextUsing);
+    }
+  }
+
+  // Map an element's viewBox onto its viewport; sized by the referencing <use> when it gives width/height
+  _viewportMatrix(element, sizing) {
+    const viewBox = parseViewBox(element.attrs.viewBox);
+    const x = element.name === 'svg' ? parseNumber(element.attrs.x) : 0;
+    const y = element.name === 'svg' ? parseNumber(element.attrs.y) : 0;
+    const translate = [1, 0, 0, 1, x, y];
+    if (!viewBox) return translate;
+
+    const width = parseNumber(sizing.attrs.width, parseNumber(element.attrs.width, viewBox[2]));
+    const height = parseNumber(sizing.attrs.height, parseNumber(element.attrs.height, viewBox[3]));
+    return multiplyMatrix(translate, viewBoxMatrix(viewBox, width, height, element.attrs.preserveAspectRatio));
+  }
+
+  /**
+   * Stroke color from a stroke attribute or style declaration (lowercased, null if unset or none)
+   */
+  getStroke(node) {
+    const value = this._presentation(node, 'stroke')?.toLowerCase();
+    return value && value !== 'none' ? value : null;
+  }
+
+  /**
+   * Fill color (lowercased): undefined if unset, null for none
+   */
+  getFill(node) {
+    const value = this._presentation(node, 'fill')?.toLowerCase();
+    if (value === undefined || value === 'inherit') return undefined;
+    return value === 'none' ? null : value;
+  }
+
+  /**
+   * Fill rule ('nonzero' or 'evenodd'), undefined if unset
+   */
+  getFillRule(node) {
+    const value = this._presentation(node, 'fill-rule')?.toLowerCase();
+    return value === 'nonzero' || value === 'evenodd' ? value : undefined;
+  }
+
+  // Stroke, fill and fill rule of an element, falling back to its parent's
+  _inheritPaint(node, parentContext) {
+    const fill = this.getFill(node);
+    return {
+      stroke: this.getStroke(node) ?? parentContext.stroke,
+      fill: fill === undefined ? parentContext.fill : fill,
+      fillRule: this.getFillRule(node) ?? parentContext.fillRule
+    };
+  }
+
+  // Presentation attribute value; a style declaration takes precedence
+  _presentation(node, property) {
+    const styleMatch = (node.attrs.style ?? '').match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i'));
+    return (styleMatch ? styleMatch[1] : node.attrs[property])?.trim();
+  }
+
+  // display="none" (Inkscape hides layers this way) is not drawn
+  _isHidden(node) {
+    return this._presentation(node, 'display') === 'none';
+  }
+
+  _findFirst(node, name) {
+    for (const child of node.children) {
+      if (child.name === name) return child;
+      const found = this._findFirst(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  _indexIds(node) {
+    if (node.attrs.id && !this.ids.has(node.attrs.id)) {
+      this.ids.set(node.attrs.id, node);
+    }
+    for (const child of node.children) {
+      this._indexIds(child);
+    }
+  }
+}
+
+export { parseXml, parseTransform, multiplyMatrix, applyMatrix, matrixScale, parseLength, parseNumber };
+export default SvgDocument;
@@ -5,6 +5,11 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import SvgDocument, { applyMatrix, matrixScale, parseNumber } from './svg-document.js';
+import optimizePaths, { travelDistance } from './path-optimizer.js';
+import hatchRegion from './hatch-fill.js';
+import { DEFAULT_PROFILE, penPatterns } from './machine-profiles.js';
+import estimateTime, { motionOptions } from './motion-planner.js';
 
 // Default processing options
 const DEFAULT_OPTIONS = {
@@ -25,9 +30,14 @@ const DEFAULT_OPTIONS = {
 
   // Optimization flags
   optimize: true,       // Run linesort/linemerge
+  optimizer: 'auto',    // 'auto' (vpype if installed, else native), 'vpype', 'native', 'none'
+  mergeTolerance: 0.5,  // mm gap closed when merging touching paths
   simplify: false,      // Run linesimplify (reduces points)
   simplifyTolerance: 0.1, // mm tolerance for simplification
 
+  // Curve flattening: max distance (mm, as plotted) between a curve and its line segments
+  curveTolerance: 0.1,
+
   // Scaling mode: 'fit' (scale to fill), 'contain' (scale down only), 'none' (original size in mm)
   scaleMode: 'contain',
 
@@ -36,17 +46,38 @@ const DEFAULT_OPTIONS = {
   alignY: 'center',    // 'front', 'center', 'back'
 
   // Legacy option (deprecated, use alignX/alignY)
-  center: true
-};
+  center: true,
+
+  // Per-layer overrides keyed by layer id: { drawSpeed, tool, color }
+  layers: {},
+
+  // Machine profile (pen commands, header/footer, park position, bed size); null uses DEFAULT_PROFILE
+  profile: null,
 
-// Machine-specific G-code settings
-const GCODE_CONFIG = {
-  penUp: 'M42 P0 S0',
-  penDown: 'M42 P0 S1',
-  header: ['G21', 'G90', 'M42 P0 S0'],
-  footer: ['M42 P0 S0', 'G0 X0 Y0']
+  // Pens fitted by tool number: { tool: { penDownDelay, penUpDelay } }
+  pens: null,
+
+  // Motion limits for time estimates ({ acceleration, maxSpeed, junctionDeviation, jerk });
+  // null uses the profile's, then the motion planner's defaults
+  motion: null,
+
+  // Fill stage: hatch filled shapes (SVG shapes are black-filled unless fill="none", so off by default)
+  hatch: {
+    enabled: false,
+    spacing: 0.5,      // mm between hatch lines
+    angle: 45,         // degrees from the X axis
+    crossHatch: false, // second set of lines at angle + 90
+    penWidth: 0.5      // mm; lines stop half a pen width inside the outline
+  }
 };
 
+// Arguments per path command; numbers may run together ("1.5.5", "1e-3-2")
+const PATH_ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const PATH_NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+// Upper bound on segments per curve, whatever the tolerance
+const MAX_CURVE_SEGMENTS = 1000;
+
 class SvgProcessor {
   constructor(options = {}) {
     this.options = { ...DEFAULT_OPTIONS, ...options };
@@ -107,10 +138,12 @@ class SvgProcessor {
    * Process an SVG file and convert to G-code
    */
   async processToGcode(svgContent, options = {}) {
-    const opts = { ...this.options, ...options };
+    const opts = this.resolveOptions(options);
 
     // Check vpype availability
     const vpypeAvailable = await this.checkVpype();
+    const optimizer = this.resolveOptimizer(opts, vpypeAvailable);
+    const useVpype = vpypeAvailable && optimizer !== 'native';
 
     // Create temp files
     const tempDir = os.tmpdir();
@@ -124,9 +157,9 @@ class SvgProcessor {
 
       let processedSvg;
 
-      if (vpypeAvailable) {
+      if (useVpype) {
         // Use vpype for optimization
-        const args = this.buildVpypeArgs(inputPath, outputPath, opts);
+        const args = this.buildVpypeArgs(inputPath, outputPath, { ...opts, optimize: optimizer === 'vpype' });
         console.log('vpype args:', args.join(' '));
         await this.runCommand(this.vpypePath, args);
         processedSvg = await fs.readFile(outputPath, 'utf-8');
@@ -135,8 +168,13 @@ class SvgProcessor {
         processedSvg = svgContent;
       }
 
-      // Parse SVG and generate G-code
-      const paths = this.parseSvgPaths(processedSvg);
+      // Parse SVG and generate G-code. Curves are flattened to curveTolerance as plotted,
+      // so once the scale is known they are flattened again in document units.
+      let paths = this.parseSvgPaths(processedSvg, opts.curveTolerance);
+      const scale = this.getScale(this.getBounds(paths), opts);
+      if (scale > 0 && scale !== 1) {
+        paths = this.parseSvgPaths(processedSvg, opts.curveTolerance / scale);
+      }
 
       // Debug: log bounds before scaling
       if (paths.length > 0) {
@@ -169,17 +207,18 @@ class SvgProcessor {
         console.log(`SVG bounds after scaling: ${minX.toFixed(1)},${minY.toFixed(1)} to ${maxX.toFixed(1)},${maxY.toFixed(1)} (${(maxX-minX).toFixed(1)} x ${(maxY-minY).toFixed(1)})`);
       }
 
-      const gcode = this.generateGcode(scaledPaths, opts);
-
-      // Calculate stats
-      const stats = this.calculateStats(gcode);
+      // The SVG's own paths, in its order and with its fills (vpype output has neither)
+      const sourcePaths = useVpype
+        ? this.scalePaths(this.parseSvgPaths(svgContent, opts.curveTolerance / (scale || 1)), opts)
+        : scaledPaths;
+      const hatchPaths = opts.hatch?.enabled ? this.hatchFills(sourcePaths, opts) : [];
 
       return {
         success: true,
-        gcode,
-        stats,
-        optimized: vpypeAvailable,
-        pathCount: scaledPaths.length
+        ...this.renderPaths([...scaledPaths, ...hatchPaths], opts, {
+          optimizer,
+          unoptimizedPaths: [...sourcePaths, ...hatchPaths]
+        })
       };
     } catch (err) {
       return {
@@ -199,6 +238,88 @@ class SvgProcessor {
     }
   }
 
+  /**
+   * Processing options: defaults, then the machine profile's bed size as the canvas, then options
+   */
+  resolveOptions(options = {}) {
+    const profile = options.profile ?? this.options.profile;
+    const bed = profile ? { canvasWidth: profile.bedWidth, canvasHeight: profile.bedHeight } : {};
+    return { ...this.options, ...bed, ...options };
+  }
+
+  /**
+   * Turn scaled paths (mm) into G-code: optimize when the native optimizer is chosen, generate,
+   * and gather stats and layers. Shared by SVG and raster processing.
+   * unoptimizedPaths are the paths in source order, for the travel comparison (default: paths).
+   */
+  renderPaths(paths, opts = this.options, { optimizer = 'none', unoptimizedPaths = paths } = {}) {
+    // Travel in the source's own order, for comparison
+    const origin = { x: 0, y: 0 };
+    const optimization = {
+      method: optimizer,
+      pathsBefore: unoptimizedPaths.length,
+      travelBeforeMm: travelDistance(this.groupPathsByLayer(unoptimizedPaths).flatMap(layer => layer.paths), origin, origin)
+    };
+
+    const plotPaths = optimizer === 'native' ? this.optimizeLayers(paths, opts) : paths;
+    optimization.pathsAfter = plotPaths.length;
+
+    const gcode = this.generateGcode(plotPaths, opts);
+
+    // Calculate stats
+    const stats = this.calculateStats(gcode, { ...opts, optimization });
+
+    const layers = this.groupPathsByLayer(plotPaths).map((layer, index) => ({
+      index,
+      id: layer.id,
+      name: layer.name,
+      color: layer.color,
+      pathCount: layer.paths.length
+    }));
+
+    return {
+      gcode,
+      stats,
+      layers,
+      optimized: optimizer !== 'none',
+      optimizer,
+      pathCount: plotPaths.length,
+      // Plotted paths in mm, in drawing order (for previews)
+      paths: plotPaths.map(({ points, layer, stroke }) => ({ points, layer, stroke }))
+    };
+  }
+
+  /**
+   * Which optimizer runs: 'auto' picks vpype when installed and the native optimizer otherwise
+   */
+  resolveOptimizer(opts, vpypeAvailable) {
+    if (!opts.optimize || opts.optimizer === 'none') return 'none';
+    if (opts.optimizer === 'native') return 'native';
+    if (opts.optimizer === 'vpype' && !vpypeAvailable) {
+      console.warn('vpype requested but not available - using native path optimization');
+    }
+    return vpypeAvailable ? 'vpype' : 'native';
+  }
+
+  /**
+   * Native optimization: merge and order paths within each layer, keeping layer order
+   */
+  optimizeLayers(paths, opts = this.options) {
+    const optimized = [];
+    let position = { x: 0, y: 0 };
+
+    for (const layer of this.groupPathsByLayer(paths)) {
+      const ordered = optimizePaths(layer.paths, { mergeTolerance: opts.mergeTolerance, start: position });
+      if (ordered.length > 0) {
+        const last = ordered[ordered.length - 1].points;
+        position = last[last.length - 1];
+      }
+      optimized.push(...ordered);
+    }
+
+    return optimized;
+  }
+
   /**
    * Build vpype command arguments for optimization
    */
@@ -210,7 +331,7 @@ class SvgProcessor {
 
     // Optimization passes
     if (opts.optimize) {
-      args.push('linemerge', '--tolerance', '0.5mm');
+      args.push('linemerge', '--tolerance', `${opts.mergeTolerance ?? 0.5}mm`);
       args.push('linesort');
     }
 
@@ -235,251 +356,345 @@ class SvgProcessor {
 
   /**
    * Parse SVG paths from SVG content
-   * Extracts polylines and paths, converting to point arrays
+   * Walks the SVG tree, converting drawable elements to point arrays in millimetres
+   * (transforms, <use>/<symbol> and the document's width/height/viewBox applied).
+   * Every subpath becomes its own path, so it is drawn as a separate pen-down stroke.
+   * Curves are flattened so no point strays more than tolerance (mm) from the true curve.
+   * Each path carries its layer ({ id, name, color, order }) and stroke color, and filled
+   * shapes their fill ({ id, color, rule }) - subpaths of one shape share the fill id.
    */
-  parseSvgPaths(svgContent) {
+  parseSvgPaths(svgContent, tolerance = this.options.curveTolerance) {
     const paths = [];
-
-    // Extract viewBox for coordinate system
-    const viewBoxMatch = svgContent.match(/viewBox=["']([^"']+)["']/);
-    let viewBox = { minX: 0, minY: 0, width: 100, height: 100 };
-    if (viewBoxMatch) {
-      const parts = viewBoxMatch[1].split(/[\s,]+/).map(Number);
-      viewBox = { minX: parts[0], minY: parts[1], width: parts[2], height: parts[3] };
-    }
-
-    // Also check width/height attributes
-    const widthMatch = svgContent.match(/\bwidth=["']([0-9.]+)/);
-    const heightMatch = svgContent.match(/\bheight=["']([0-9.]+)/);
-    if (widthMatch && !viewBoxMatch) viewBox.width = parseFloat(widthMatch[1]);
-    if (heightMatch && !viewBoxMatch) viewBox.height = parseFloat(heightMatch[1]);
-
-    // Extract path elements
-    const pathRegex = /<path[^>]*\bd=["']([^"']+)["'][^>]*>/gi;
-    let match;
-    while ((match = pathRegex.exec(svgContent)) !== null) {
-      const d = match[1];
-      const points = this.parsePathD(d);
-      if (points.length > 0) {
-        paths.push({ points, viewBox });
+    const doc = new SvgDocument(svgContent);
+    const layerMode = this.detectLayerMode(doc);
+    const mmTolerance = tolerance > 0 ? tolerance : DEFAULT_OPTIONS.curveTolerance;
+    let shapeCount = 0;
+
+    doc.walk((element, context) => {
+      // Tolerance in the element's own user units
+      const subpaths = this.elementToSubpaths(element, mmTolerance / (matrixScale(context.matrix) || 1));
+      if (subpaths.length === 0) return;
+
+      const layer = this.layerFor(element, context, layerMode, doc);
+      const fill = context.fill && element.name !== 'line'
+        ? { id: shapeCount, color: context.fill, rule: context.fillRule }
+        : null;
+      shapeCount++;
+
+      for (const points of subpaths) {
+        paths.push({
+          points: points.map(pt => applyMatrix(context.matrix, pt)),
+          stroke: context.stroke,
+          fill,
+          layer
+        });
       }
-    }
+    });
 
-    // Extract polyline elements
-    const polylineRegex = /<polyline[^>]*\bpoints=["']([^"']+)["'][^>]*>/gi;
-    while ((match = polylineRegex.exec(svgContent)) !== null) {
-      const pointsStr = match[1];
-      const points = this.parsePolylinePoints(pointsStr);
-      if (points.length > 0) {
-        paths.push({ points, viewBox });
+    return paths;
+  }
+
+  /**
+   * Convert a drawable element to subpaths (point arrays) in its own user units
+   */
+  elementToSubpaths(element, tolerance = this.options.curveTolerance) {
+    const attrs = element.attrs;
+
+    switch (element.name) {
+      case 'path':
+        return attrs.d ? this.parsePathD(attrs.d, tolerance) : [];
+
+      case 'polyline': {
+        const points = attrs.points ? this.parsePolylinePoints(attrs.points) : [];
+        return points.length >= 2 ? [points] : [];
       }
-    }
 
-    // Extract polygon elements
-    const polygonRegex = /<polygon[^>]*\bpoints=["']([^"']+)["'][^>]*>/gi;
-    while ((match = polygonRegex.exec(svgContent)) !== null) {
-      const pointsStr = match[1];
-      const points = this.parsePolylinePoints(pointsStr);
-      if (points.length > 1) {
+      case 'polygon': {
+        const points = attrs.points ? this.parsePolylinePoints(attrs.points) : [];
+        if (points.length < 2) return [];
         // Close the polygon
         points.push({ ...points[0] });
-        paths.push({ points, viewBox });
+        return [points];
       }
-    }
 
-    // Extract line elements
-    const lineRegex = /<line[^>]*\bx1=["']([^"']+)["'][^>]*\by1=["']([^"']+)["'][^>]*\bx2=["']([^"']+)["'][^>]*\by2=["']([^"']+)["'][^>]*>/gi;
-    while ((match = lineRegex.exec(svgContent)) !== null) {
-      paths.push({
-        points: [
-          { x: parseFloat(match[1]), y: parseFloat(match[2]) },
-          { x: parseFloat(match[3]), y: parseFloat(match[4]) }
-        ],
-        viewBox
-      });
-    }
+      case 'line':
+        return [[
+          { x: parseNumber(attrs.x1), y: parseNumber(attrs.y1) },
+          { x: parseNumber(attrs.x2), y: parseNumber(attrs.y2) }
+        ]];
 
-    // Extract circle elements (approximate with segments)
-    const circleRegex = /<circle[^>]*\bcx=["']([^"']+)["'][^>]*\bcy=["']([^"']+)["'][^>]*\br=["']([^"']+)["'][^>]*>/gi;
-    while ((match = circleRegex.exec(svgContent)) !== null) {
-      const cx = parseFloat(match[1]);
-      const cy = parseFloat(match[2]);
-      const r = parseFloat(match[3]);
-      const points = this.circleToPoints(cx, cy, r, 36);
-      paths.push({ points, viewBox });
-    }
-
-    // Extract rect elements
-    const rectRegex = /<rect[^>]*\bx=["']([^"']+)["'][^>]*\by=["']([^"']+)["'][^>]*\bwidth=["']([^"']+)["'][^>]*\bheight=["']([^"']+)["'][^>]*>/gi;
-    while ((match = rectRegex.exec(svgContent)) !== null) {
-      const x = parseFloat(match[1]);
-      const y = parseFloat(match[2]);
-      const w = parseFloat(match[3]);
-      const h = parseFloat(match[4]);
-      paths.push({
-        points: [
+      case 'circle': {
+        const r = parseNumber(attrs.r);
+        if (r <= 0) return [];
+        return [this.circleToPoints(parseNumber(attrs.cx), parseNumber(attrs.cy), r, tolerance)];
+      }
+
+      case 'ellipse': {
+        const rx = parseNumber(attrs.rx);
+        const ry = parseNumber(attrs.ry);
+        if (rx <= 0 || ry <= 0) return [];
+        return [this.ellipseToPoints(parseNumber(attrs.cx), parseNumber(attrs.cy), rx, ry, tolerance)];
+      }
+
+      case 'rect': {
+        const x = parseNumber(attrs.x);
+        const y = parseNumber(attrs.y);
+        const w = parseNumber(attrs.width);
+        const h = parseNumber(attrs.height);
+        if (w <= 0 || h <= 0) return [];
+
+        // A missing rx/ry takes the other's value; both are clamped to half the side
+        let rx = parseNumber(attrs.rx, null);
+        let ry = parseNumber(attrs.ry, null);
+        rx = Math.min(Math.max(rx ?? ry ?? 0, 0), w / 2);
+        ry = Math.min(Math.max(ry ?? rx, 0), h / 2);
+
+        if (rx > 0 && ry > 0) {
+          return this.parsePathD(
+            `M${x + rx},${y} H${x + w - rx} A${rx},${ry} 0 0 1 ${x + w},${y + ry} ` +
+            `V${y + h - ry} A${rx},${ry} 0 0 1 ${x + w - rx},${y + h} ` +
+            `H${x + rx} A${rx},${ry} 0 0 1 ${x},${y + h - ry} ` +
+            `V${y + ry} A${rx},${ry} 0 0 1 ${x + rx},${y} Z`,
+            tolerance
+          );
+        }
+
+        return [[
           { x, y },
           { x: x + w, y },
           { x: x + w, y: y + h },
           { x, y: y + h },
           { x, y }  // Close
-        ],
-        viewBox
-      });
+        ]];
+      }
+
+      default:
+        return [];
     }
+  }
 
-    return paths;
+  /**
+   * How layers are told apart: Inkscape layers, else top-level group ids, else stroke color
+   */
+  detectLayerMode(doc) {
+    const groups = [];
+    const collect = (node) => {
+      for (const child of node.children) {
+        if (child.name === 'g') groups.push(child);
+        collect(child);
+      }
+    };
+    collect(doc.root);
+
+    if (groups.some(group => group.attrs['inkscape:groupmode'] === 'layer')) {
+      return 'inkscape';
+    }
+    if (groups.some(group => group.parent === doc.root && group.attrs.id)) {
+      return 'group';
+    }
+    return 'color';
   }
 
   /**
-   * Parse SVG path d attribute
+   * Layer for a drawn element from its enclosing groups (outermost first) or stroke color
    */
-  parsePathD(d) {
-    const points = [];
-    let x = 0, y = 0;
-    let startX = 0, startY = 0;
+  layerFor(element, context, layerMode, doc) {
+    let layerGroup = null;
+    if (layerMode === 'inkscape') {
+      // Sublayers are drawn with their top-level layer
+      layerGroup = context.groups.find(group => group.attrs['inkscape:groupmode'] === 'layer') ?? null;
+    } else if (layerMode === 'group') {
+      layerGroup = context.groups.find(group => group.parent === doc.root && group.attrs.id) ?? null;
+    }
+
+    if (layerGroup) {
+      const id = layerGroup.attrs.id ?? `layer-${layerGroup.index}`;
+      return {
+        id,
+        name: layerGroup.attrs['inkscape:label'] ?? id,
+        color: doc.getStroke(layerGroup),
+        order: layerGroup.index
+      };
+    }
 
-    // Tokenize the path
-    const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?[0-9]*\.?[0-9]+/g) || [];
+    if (layerMode === 'color' && context.stroke) {
+      return { id: context.stroke, name: context.stroke, color: context.stroke, order: element.index };
+    }
 
-    let i = 0;
-    let currentCommand = 'M';
+    return { id: 'default', name: 'Default', color: null, order: element.index };
+  }
 
-    while (i < tokens.length) {
-      const token = tokens[i];
+  /**
+   * Group paths by layer in document order.
+   * Layers without a color of their own take the first stroke color drawn in them.
+   */
+  groupPathsByLayer(paths) {
+    const layers = new Map();
 
-      if (/[MmLlHhVvCcSsQqTtAaZz]/.test(token)) {
-        currentCommand = token;
-        i++;
+    for (const pathObj of paths) {
+      const layer = pathObj.layer ?? { id: 'default', name: 'Default', color: null, order: 0 };
+      if (!layers.has(layer.id)) {
+        layers.set(layer.id, { ...layer, paths: [] });
       }
+      const entry = layers.get(layer.id);
+      entry.order = Math.min(entry.order, layer.order);
+      if (!entry.color && pathObj.stroke) entry.color = pathObj.stroke;
+      entry.paths.push(pathObj);
+    }
 
-      switch (currentCommand) {
-        case 'M':  // Move to (absolute)
-          x = parseFloat(tokens[i++]);
-          y = parseFloat(tokens[i++]);
-          startX = x;
-          startY = y;
-          if (points.length > 0) {
-            // New subpath - we'd need to handle this as separate path
-          }
-          points.push({ x, y });
-          currentCommand = 'L';  // Subsequent coords are lines
-          break;
+    return Array.from(layers.values()).sort((a, b) => a.order - b.order);
+  }
 
-        case 'm':  // Move to (relative)
-          x += parseFloat(tokens[i++]);
-          y += parseFloat(tokens[i++]);
-          startX = x;
-          startY = y;
-          points.push({ x, y });
-          currentCommand = 'l';
-          break;
+  /**
+   * Parse SVG path d attribute into subpaths
+   * Each moveto (and each drawing command after a closepath) starts a new subpath.
+   * Numbers may run together ("M1.5.5", "1e-3-2", arc flags "a1 1 0 011 1"); parsing stops
+   * at the first error and keeps what was drawn up to it, as SVG renderers do.
+   */
+  parsePathD(d, tolerance = this.options.curveTolerance) {
+    const subpaths = [];
+    let points = [];
+    let x = 0, y = 0;
+    let startX = 0, startY = 0;
+    let lastControl = null;  // Second control point of the previous curve, for S/T reflection
+    let pos = 0;
 
-        case 'L':  // Line to (absolute)
-          x = parseFloat(tokens[i++]);
-          y = parseFloat(tokens[i++]);
-          points.push({ x, y });
-          break;
+    const skipSeparators = () => {
+      while (pos < d.length && /[\s,]/.test(d[pos])) pos++;
+    };
+    const readNumber = () => {
+      skipSeparators();
+      PATH_NUMBER.lastIndex = pos;
+      const match = PATH_NUMBER.exec(d);
+      if (!match) return null;
+      pos = PATH_NUMBER.lastIndex;
+      return parseFloat(match[0]);
+    };
+    const readFlag = () => {
+      skipSeparators();
+      if (d[pos] !== '0' && d[pos] !== '1') return null;
+      return d[pos++] === '1';
+    };
+    const readArgs = (command) => {
+      const args = [];
+      for (let n = 0; n < PATH_ARG_COUNTS[command.toUpperCase()]; n++) {
+        // Arc flags (large-arc, sweep) are single digits that need no separator
+        const value = (command === 'A' || command === 'a') && (n === 3 || n === 4) ? readFlag() : readNumber();
+        if (value === null) return null;
+        args.push(value);
+      }
+      return args;
+    };
 
-        case 'l':  // Line to (relative)
-          x += parseFloat(tokens[i++]);
-          y += parseFloat(tokens[i++]);
-          points.push({ x, y });
-          break;
+    const endSubpath = () => {
+      if (points.length > 1) subpaths.push(points);
+      points = [];
+    };
+    const drawTo = (newPoints) => {
+      if (points.length === 0) points.push({ x, y });
+      points.push(...newPoints);
+    };
 
-        case 'H':  // Horizontal line (absolute)
-          x = parseFloat(tokens[i++]);
-          points.push({ x, y });
-          break;
+    let command = null;
+
+    while (true) {
+      skipSeparators();
+      if (pos >= d.length) break;
+
+      if (/[MmLlHhVvCcSsQqTtAaZz]/.test(d[pos])) {
+        command = d[pos++];
+      } else if (!command || command === 'Z' || command === 'z') {
+        break;  // Coordinates without a command
+      }
+
+      const args = readArgs(command);
+      if (!args) break;
 
-        case 'h':  // Horizontal line (relative)
-          x += parseFloat(tokens[i++]);
+      const relative = command === command.toLowerCase();
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      let control = null;
+
+      switch (command.toUpperCase()) {
+        case 'M':  // Move to - starts a new subpath, further pairs are lines
+          endSubpath();
+          x = ox + args[0];
+          y = oy + args[1];
+          startX = x;
+          startY = y;
           points.push({ x, y });
+          command = relative ? 'l' : 'L';
           break;
 
-        case 'V':  // Vertical line (absolute)
-          y = parseFloat(tokens[i++]);
-          points.push({ x, y });
+        case 'L':  // Line to
+          drawTo([{ x: ox + args[0], y: oy + args[1] }]);
+          x = ox + args[0];
+          y = oy + args[1];
           break;
 
-        case 'v':  // Vertical line (relative)
-          y += parseFloat(tokens[i++]);
-          points.push({ x, y });
+        case 'H':  // Horizontal line
+          drawTo([{ x: ox + args[0], y }]);
+          x = ox + args[0];
           break;
 
-        case 'C':  // Cubic bezier (absolute) - approximate with lines
-          {
-            const x1 = parseFloat(tokens[i++]);
-            const y1 = parseFloat(tokens[i++]);
-            const x2 = parseFloat(tokens[i++]);
-            const y2 = parseFloat(tokens[i++]);
-            const endX = parseFloat(tokens[i++]);
-            const endY = parseFloat(tokens[i++]);
-            const bezierPoints = this.cubicBezierToPoints(x, y, x1, y1, x2, y2, endX, endY, 10);
-            points.push(...bezierPoints.slice(1));  // Skip first point (current position)
-            x = endX;
-            y = endY;
-          }
+        case 'V':  // Vertical line
+          drawTo([{ x, y: oy + args[0] }]);
+          y = oy + args[0];
           break;
 
-        case 'c':  // Cubic bezier (relative)
-          {
-            const x1 = x + parseFloat(tokens[i++]);
-            const y1 = y + parseFloat(tokens[i++]);
-            const x2 = x + parseFloat(tokens[i++]);
-            const y2 = y + parseFloat(tokens[i++]);
-            const endX = x + parseFloat(tokens[i++]);
-            const endY = y + parseFloat(tokens[i++]);
-            const bezierPoints = this.cubicBezierToPoints(x, y, x1, y1, x2, y2, endX, endY, 10);
-            points.push(...bezierPoints.slice(1));
-            x = endX;
-            y = endY;
-          }
+        case 'C':  // Cubic bezier - approximate with lines
+        case 'S': {  // Smooth cubic - first control point reflects the previous curve's
+          const [x1, y1] = command.toUpperCase() === 'C'
+            ? [ox + args[0], oy + args[1]]
+            : (lastControl?.cubic ? [2 * x - lastControl.x, 2 * y - lastControl.y] : [x, y]);
+          const rest = command.toUpperCase() === 'C' ? args.slice(2) : args;
+          const x2 = ox + rest[0], y2 = oy + rest[1];
+          const endX = ox + rest[2], endY = oy + rest[3];
+          drawTo(this.cubicBezierToPoints(x, y, x1, y1, x2, y2, endX, endY, tolerance).slice(1));
+          control = { x: x2, y: y2, cubic: true };
+          x = endX;
+          y = endY;
           break;
+        }
 
-        case 'Q':  // Quadratic bezier (absolute)
-          {
-            const cx = parseFloat(tokens[i++]);
-            const cy = parseFloat(tokens[i++]);
-            const endX = parseFloat(tokens[i++]);
-            const endY = parseFloat(tokens[i++]);
-            const bezierPoints = this.quadBezierToPoints(x, y, cx, cy, endX, endY, 10);
-            points.push(...bezierPoints.slice(1));
-            x = endX;
-            y = endY;
-          }
+        case 'Q':  // Quadratic bezier
+        case 'T': {  // Smooth quadratic - control point reflects the previous curve's
+          const [cx, cy] = command.toUpperCase() === 'Q'
+            ? [ox + args[0], oy + args[1]]
+            : (lastControl?.quad ? [2 * x - lastControl.x, 2 * y - lastControl.y] : [x, y]);
+          const rest = command.toUpperCase() === 'Q' ? args.slice(2) : args;
+          const endX = ox + rest[0], endY = oy + rest[1];
+          drawTo(this.quadBezierToPoints(x, y, cx, cy, endX, endY, tolerance).slice(1));
+          control = { x: cx, y: cy, quad: true };
+          x = endX;
+          y = endY;
           break;
+        }
 
-        case 'q':  // Quadratic bezier (relative)
-          {
-            const cx = x + parseFloat(tokens[i++]);
-            const cy = y + parseFloat(tokens[i++]);
-            const endX = x + parseFloat(tokens[i++]);
-            const endY = y + parseFloat(tokens[i++]);
-            const bezierPoints = this.quadBezierToPoints(x, y, cx, cy, endX, endY, 10);
-            points.push(...bezierPoints.slice(1));
-            x = endX;
-            y = endY;
-          }
+        case 'A': {  // Elliptical arc
+          const endX = ox + args[5], endY = oy + args[6];
+          const arcPoints = this.arcToPoints(x, y, args[0], args[1], args[2], args[3], args[4], endX, endY, tolerance);
+          if (arcPoints.length > 0) drawTo(arcPoints);
+          x = endX;
+          y = endY;
           break;
+        }
 
-        case 'Z':
-        case 'z':  // Close path
+        case 'Z':  // Close path - the next drawing command starts a new subpath here
           if (points.length > 0 && (x !== startX || y !== startY)) {
             points.push({ x: startX, y: startY });
           }
+          endSubpath();
           x = startX;
           y = startY;
-          i++;
           break;
-
-        default:
-          // Skip unknown commands
-          i++;
       }
+
+      lastControl = control;
     }
 
-    return points;
+    endSubpath();
+    return subpaths;
   }
 
   /**
@@ -494,10 +709,82 @@ class SvgProcessor {
     return points;
   }
 
+  /**
+   * Convert an elliptical arc (SVG endpoint parameterization) to points, excluding the start.
+   * Radii too small to span the endpoints are scaled up; a zero radius draws a straight line.
+   */
+  arcToPoints(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, tolerance = this.options.curveTolerance) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [{ x: x2, y: y2 }];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+
+    // Midpoint in the ellipse's rotated frame
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    // Centre
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, numerator / denominator));
+    if (Boolean(largeArc) === Boolean(sweep)) coef = -coef;
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    // Start angle and sweep
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1p - cxp) / rx, uy = (y1p - cyp) / ry;
+    const vx = (-x1p - cxp) / rx, vy = (-y1p - cyp) / ry;
+    const theta = angle(1, 0, ux, uy);
+    let delta = angle(ux, uy, vx, vy);
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    const segments = this.arcSegments(Math.max(rx, ry), delta, tolerance);
+    const points = [];
+    for (let i = 1; i < segments; i++) {
+      const t = theta + delta * (i / segments);
+      const ex = rx * Math.cos(t);
+      const ey = ry * Math.sin(t);
+      points.push({ x: cx + cos * ex - sin * ey, y: cy + sin * ex + cos * ey });
+    }
+    points.push({ x: x2, y: y2 });
+    return points;
+  }
+
+  /**
+   * Segments needed for an arc of the given radius and angle to stay within tolerance:
+   * a chord spanning angle a deviates r * (1 - cos(a / 2)) from the arc. At least 4 per turn.
+   */
+  arcSegments(radius, angle, tolerance) {
+    const step = tolerance >= radius ? Math.PI / 2 : Math.min(Math.PI / 2, 2 * Math.acos(1 - tolerance / radius));
+    return Math.min(MAX_CURVE_SEGMENTS, Math.max(1, Math.ceil(Math.abs(angle) / step)));
+  }
+
   /**
    * Convert cubic bezier to line segments
+   * Segment count from Wang's formula: n = sqrt(3/4 * max second difference / tolerance)
    */
-  cubicBezierToPoints(x0, y0, x1, y1, x2, y2, x3, y3, segments) {
+  cubicBezierToPoints(x0, y0, x1, y1, x2, y2, x3, y3, tolerance = this.options.curveTolerance) {
+    const bend = Math.max(
+      Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2),
+      Math.hypot(x1 - 2 * x2 + x3, y1 - 2 * y2 + y3)
+    );
+    const segments = Math.min(MAX_CURVE_SEGMENTS, Math.max(1, Math.ceil(Math.sqrt(0.75 * bend / tolerance))));
     const points = [];
     for (let i = 0; i <= segments; i++) {
       const t = i / segments;
@@ -511,8 +798,11 @@ class SvgProcessor {
 
   /**
    * Convert quadratic bezier to line segments
+   * Segment count from Wang's formula: n = sqrt(1/4 * second difference / tolerance)
    */
-  quadBezierToPoints(x0, y0, x1, y1, x2, y2, segments) {
+  quadBezierToPoints(x0, y0, x1, y1, x2, y2, tolerance = this.options.curveTolerance) {
+    const bend = Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2);
+    const segments = Math.min(MAX_CURVE_SEGMENTS, Math.max(1, Math.ceil(Math.sqrt(0.25 * bend / tolerance))));
     const points = [];
     for (let i = 0; i <= segments; i++) {
       const t = i / segments;
@@ -527,7 +817,8 @@ class SvgProcessor {
   /**
    * Convert circle to points
    */
-  circleToPoints(cx, cy, r, segments) {
+  circleToPoints(cx, cy, r, tolerance = this.options.curveTolerance) {
+    const segments = this.arcSegments(r, Math.PI * 2, tolerance);
     const points = [];
     for (let i = 0; i <= segments; i++) {
       const angle = (i / segments) * Math.PI * 2;
@@ -540,13 +831,25 @@ class SvgProcessor {
   }
 
   /**
-   * Scale and translate paths to fit canvas
-   * Supports different scale modes and alignment options
+   * Convert ellipse to points
    */
-  scalePaths(paths, opts) {
-    if (paths.length === 0) return [];
+  ellipseToPoints(cx, cy, rx, ry, tolerance = this.options.curveTolerance) {
+    const segments = this.arcSegments(Math.max(rx, ry), Math.PI * 2, tolerance);
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      points.push({
+        x: cx + rx * Math.cos(angle),
+        y: cy + ry * Math.sin(angle)
+      });
+    }
+    return points;
+  }
 
-    // Find bounds of all paths
+  /**
+   * Bounding box of all path points
+   */
+  getBounds(paths) {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
     for (const pathObj of paths) {
@@ -558,10 +861,14 @@ class SvgProcessor {
       }
     }
 
-    const svgWidth = maxX - minX;
-    const svgHeight = maxY - minY;
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
 
-    if (svgWidth === 0 || svgHeight === 0) return paths;
+  /**
+   * Scale factor scalePaths applies to content of the given bounds (0 when there is nothing to scale)
+   */
+  getScale(bounds, opts) {
+    if (!(bounds.width > 0 && bounds.height > 0)) return 0;
 
     // Calculate available area (canvas minus margins)
     const availWidth = opts.canvasWidth - (opts.margin * 2);
@@ -573,19 +880,40 @@ class SvgProcessor {
 
     if (scaleMode === 'fit') {
       // Scale to fill available area (up or down)
-      const scaleX = availWidth / svgWidth;
-      const scaleY = availHeight / svgHeight;
+      const scaleX = availWidth / bounds.width;
+      const scaleY = availHeight / bounds.height;
       scale = Math.min(scaleX, scaleY);
     } else if (scaleMode === 'contain') {
       // Scale down only if needed, never scale up
-      const scaleX = availWidth / svgWidth;
-      const scaleY = availHeight / svgHeight;
+      const scaleX = availWidth / bounds.width;
+      const scaleY = availHeight / bounds.height;
       scale = Math.min(scaleX, scaleY, 1); // Cap at 1 (original size)
     } else if (scaleMode === 'none') {
       // No scaling - assume SVG units are already in mm
       scale = 1;
     }
 
+    return scale;
+  }
+
+  /**
+   * Scale and translate paths to fit canvas
+   * Supports different scale modes and alignment options
+   */
+  scalePaths(paths, opts) {
+    if (paths.length === 0) return [];
+
+    // Find bounds of all paths
+    const { minX, minY, width: svgWidth, height: svgHeight } = this.getBounds(paths);
+
+    if (svgWidth === 0 || svgHeight === 0) return paths;
+
+    // Calculate available area (canvas minus margins)
+    const availWidth = opts.canvasWidth - (opts.margin * 2);
+    const availHeight = opts.canvasHeight - (opts.margin * 2);
+
+    const scale = this.getScale({ width: svgWidth, height: svgHeight }, opts);
+
     // Calculate scaled dimensions
     const scaledWidth = svgWidth * scale;
     const scaledHeight = svgHeight * scale;
@@ -616,66 +944,127 @@ class SvgProcessor {
       points: pathObj.points.map(pt => ({
         x: (pt.x - minX) * scale + offsetX,
         y: (pt.y - minY) * scale + offsetY
-      }))
+      })),
+      layer: pathObj.layer,
+      stroke: pathObj.stroke,
+      fill: pathObj.fill
     }));
   }
 
+  /**
+   * Hatch lines for filled shapes (opts.hatch), as two-point paths in the shape's layer
+   * with its fill as their color. Paths are expected in mm, i.e. already scaled.
+   */
+  hatchFills(paths, opts = this.options) {
+    const hatch = { ...DEFAULT_OPTIONS.hatch, ...opts.hatch };
+    const shapes = new Map();
+
+    for (const pathObj of paths) {
+      if (!pathObj.fill) continue;
+      if (!shapes.has(pathObj.fill.id)) {
+        shapes.set(pathObj.fill.id, { fill: pathObj.fill, layer: pathObj.layer, polygons: [] });
+      }
+      shapes.get(pathObj.fill.id).polygons.push(pathObj.points);
+    }
+
+    const hatchPaths = [];
+    for (const shape of shapes.values()) {
+      for (const points of hatchRegion(shape.polygons, { ...hatch, fillRule: shape.fill.rule })) {
+        hatchPaths.push({ points, layer: shape.layer, stroke: shape.fill.color, fill: null });
+      }
+    }
+    return hatchPaths;
+  }
+
   /**
    * Generate G-code from paths
+   * With more than one layer, each starts with ;LAYER:n, ;COLOR: and a T<n> pen selection
+   * (JobManager pauses there for a pen change); opts.layers[layerId] overrides drawSpeed/tool/color.
+   * Pen moves, header, footer and the final park move come from opts.profile, as do the pen
+   * delays when the profile sets them; opts.pens[tool] (the pen fitted for a layer's tool, T0 for
+   * a single layer) can set its own.
    */
   generateGcode(paths, opts) {
     const lines = [];
-    const penDownDelay = opts.penDownDelay || 150;
-    const penUpDelay = opts.penUpDelay || 100;
+    const profile = opts.profile ?? DEFAULT_PROFILE;
+    const penDownDelay = profile.penDownDelay ?? (opts.penDownDelay || 150);
+    const penUpDelay = profile.penUpDelay ?? (opts.penUpDelay || 100);
+    const layers = this.groupPathsByLayer(paths);
 
     // Header
     lines.push('; Generated by Gellyroller SVG Processor');
     lines.push(`; Canvas: ${opts.canvasWidth}x${opts.canvasHeight}mm`);
     lines.push(`; Paths: ${paths.length}`);
     lines.push(`; Pen delays: down=${penDownDelay}ms, up=${penUpDelay}ms`);
+    lines.push(`; Profile: ${profile.name}`);
     lines.push('');
-    lines.push(...GCODE_CONFIG.header);
+    lines.push(...profile.header);
+    lines.push(profile.penUp);
     if (penUpDelay > 0) lines.push(`G4 P${penUpDelay}`);
     lines.push('');
 
-    for (let pathIdx = 0; pathIdx < paths.length; pathIdx++) {
-      const path = paths[pathIdx];
-      if (path.points.length < 2) continue;
+    let pathNumber = 0;
+    for (let layerIdx = 0; layerIdx < layers.length; layerIdx++) {
+      const layer = layers[layerIdx];
+      const layerOpts = opts.layers?.[layer.id] ?? {};
+      const drawSpeed = layerOpts.drawSpeed ?? opts.drawSpeed;
+      const pen = opts.pens?.[layers.length > 1 ? (layerOpts.tool ?? layerIdx) : 0];
+      const layerPenDownDelay = pen?.penDownDelay ?? penDownDelay;
+      const layerPenUpDelay = pen?.penUpDelay ?? penUpDelay;
+
+      if (layers.length > 1) {
+        const color = layerOpts.color ?? layer.color;
+        lines.push(`;LAYER:${layerIdx}`);
+        lines.push(`; Layer: ${layer.name}`);
+        if (color) lines.push(`;COLOR:${color}`);
+        lines.push(`T${layerOpts.tool ?? layerIdx}`);
+        lines.push('');
+      }
 
-      lines.push(`; Path ${pathIdx + 1}`);
+      for (const path of layer.paths) {
+        pathNumber++;
+        if (path.points.length < 2) continue;
 
-      // Move to start (pen up)
-      const start = path.points[0];
-      lines.push(`G0 X${start.x.toFixed(3)} Y${start.y.toFixed(3)} F${opts.travelSpeed}`);
+        lines.push(`; Path ${pathNumber}`);
 
-      // Pen down + dwell
-      lines.push(GCODE_CONFIG.penDown);
-      if (penDownDelay > 0) lines.push(`G4 P${penDownDelay}`);
+        // Move to start (pen up)
+        const start = path.points[0];
+        lines.push(`G0 X${start.x.toFixed(3)} Y${start.y.toFixed(3)} F${opts.travelSpeed}`);
 
-      // Draw path
-      for (let i = 1; i < path.points.length; i++) {
-        const pt = path.points[i];
-        lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)} F${opts.drawSpeed}`);
-      }
+        // Pen down + dwell
+        lines.push(profile.penDown);
+        if (layerPenDownDelay > 0) lines.push(`G4 P${layerPenDownDelay}`);
 
-      // Pen up + dwell
-      lines.push(GCODE_CONFIG.penUp);
-      if (penUpDelay > 0) lines.push(`G4 P${penUpDelay}`);
-      lines.push('');
+        // Draw path
+        for (let i = 1; i < path.points.length; i++) {
+          const pt = path.points[i];
+          lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)} F${drawSpeed}`);
+        }
+
+        // Pen up + dwell
+        lines.push(profile.penUp);
+        if (layerPenUpDelay > 0) lines.push(`G4 P${layerPenUpDelay}`);
+        lines.push('');
+      }
     }
 
     // Footer
     lines.push('; End');
-    lines.push(...GCODE_CONFIG.footer);
+    lines.push(profile.penUp);
+    lines.push(...profile.footer);
+    if (profile.park) lines.push(`G0 X${profile.park.x} Y${profile.park.y}`);
 
     return lines.join('\n');
   }
 
   /**
    * Calculate statistics from G-code including time estimation
+   * Pen up/down lines are recognised by opts.profile's commands; the time comes from the
+   * motion planner with opts.motion (or the profile's motion limits).
    */
   calculateStats(gcode, opts = {}) {
     const lines = gcode.split('\n');
+    const pen = penPatterns(opts.profile ?? DEFAULT_PROFILE);
     let rapidMoves = 0;
     let drawMoves = 0;
     let penUps = 0;
@@ -685,26 +1074,25 @@ class SvgProcessor {
     let travelDistance = 0;
     let lastX = 0, lastY = 0;
     let penIsDown = false;
-    let currentFeedRate = opts.travelSpeed || 6000; // mm/min default
-    let totalTimeMs = 0;
     let dwellTimeMs = 0;
 
     for (const line of lines) {
       const trimmed = line.trim();
 
-      // Parse feed rate if present
-      const feedMatch = trimmed.match(/F([\d.]+)/);
-      if (feedMatch) {
-        currentFeedRate = parseFloat(feedMatch[1]);
+      // Pen moves first - a Z-axis profile lifts the pen with G0/G1
+      if (pen.penUp.test(trimmed)) {
+        penUps++;
+        penIsDown = false;
+      }
+      else if (pen.penDown.test(trimmed)) {
+        penDowns++;
+        penIsDown = true;
       }
-
       // Parse dwell time
-      if (trimmed.startsWith('G4')) {
+      else if (trimmed.startsWith('G4')) {
         const pMatch = trimmed.match(/P([\d.]+)/);
         if (pMatch) {
-          const dwell = parseFloat(pMatch[1]);
-          dwellTimeMs += dwell;
-          totalTimeMs += dwell;
+          dwellTimeMs += parseFloat(pMatch[1]);
         }
       }
       else if (trimmed.startsWith('G0')) {
@@ -714,9 +1102,6 @@ class SvgProcessor {
           const dist = Math.sqrt(Math.pow(coords.x - lastX, 2) + Math.pow(coords.y - lastY, 2));
           totalDistance += dist;
           travelDistance += dist;
-          // Time = distance / speed, convert mm/min to mm/ms
-          const moveTimeMs = (dist / currentFeedRate) * 60 * 1000;
-          totalTimeMs += moveTimeMs;
           lastX = coords.x;
           lastY = coords.y;
         }
@@ -730,23 +1115,13 @@ class SvgProcessor {
           if (penIsDown) {
             drawDistance += dist;
           }
-          const moveTimeMs = (dist / currentFeedRate) * 60 * 1000;
-          totalTimeMs += moveTimeMs;
           lastX = coords.x;
           lastY = coords.y;
         }
       }
-      else if (trimmed.includes('M42 P0 S0')) {
-        penUps++;
-        penIsDown = false;
-      }
-      else if (trimmed.includes('M42 P0 S1')) {
-        penDowns++;
-        penIsDown = true;
-      }
     }
 
-    return {
+    const stats = {
       totalLines: lines.length,
       rapidMoves,
       drawMoves,
@@ -756,9 +1131,26 @@ class SvgProcessor {
       totalDistanceMm: Math.round(totalDistance),
       drawDistanceMm: Math.round(drawDistance),
       travelDistanceMm: Math.round(travelDistance),
-      estimatedTimeMs: Math.round(totalTimeMs),
+      estimatedTimeMs: Math.round(estimateTime(gcode, {
+        ...(opts.motion ?? motionOptions(opts.profile)),
+        feedRate: opts.travelSpeed,
+        ...pen
+      }).totalMs),
       dwellTimeMs: Math.round(dwellTimeMs)
     };
+
+    // Travel before/after path optimization (processToGcode passes the unoptimized travel)
+    if (opts.optimization) {
+      const { travelBeforeMm } = opts.optimization;
+      stats.optimization = {
+        ...opts.optimization,
+        travelBeforeMm: Math.round(travelBeforeMm),
+        travelAfterMm: Math.round(travelDistance),
+        travelSavedPercent: travelBeforeMm > 0 ? Math.round((1 - travelDistance / travelBeforeMm) * 100) : 0
+      };
+    }
+
+    return stats;
   }
 
   /**
@@ -812,5 +1204,5 @@ class SvgProcessor {
 // Export singleton instance and class
 const processor = new SvgProcessor();
 
-export { SvgProcessor, GCODE_CONFIG, DEFAULT_OPTIONS };
+export { SvgProcessor, DEFAULT_OPTIONS };
 export default processor;
@@ -0,0 +1,125 @@
+// Duet HTTP API Stub
+// Minimal stand-in for a standalone RepRapFirmware board's HTTP endpoints
+// (rr_connect, rr_gcode, rr_reply, rr_upload, rr_disconnect) used by the test suite.
+// Replies come from the Duet class's DEV MODE mock responses.
+
+import http from 'http';
+import Duet from '../duet.js';
+
+class DuetHttpStub {
+  constructor(options = {}) {
+    this.password = options.password ?? '';
+    this.firmware = new Duet({ devMode: true });
+    this.server = null;
+
+    // Inspectable by tests
+    this.commands = [];      // Every command received via rr_gcode
+    this.files = new Map();  // Uploaded files: name -> content
+    this.sessions = 0;
+    this.connectAttempts = 0;
+    this.sessionExpired = false; // Answer everything but rr_connect with HTTP 401, as after a reboot
+    this.failConnects = 0;   // Fail this many more rr_connect requests with HTTP 503
+    this.fullPolls = 0;      // Report a full G-code buffer this many more times
+    this.failReplies = 0;    // Fail this many more rr_reply requests with HTTP 500
+    this.stallCommands = 0;  // Leave this many more rr_gcode commands unanswered
+    this._reply = '';
+  }
+
+  start(port) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise(resolve => this.server.listen(port, resolve));
+  }
+
+  // Forget every session, as a rebooted board does
+  expireSessions() {
+    this.sessionExpired = true;
+    this.sessions = 0;
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+
+    if (this.sessionExpired && url.pathname !== '/rr_connect') {
+      res.writeHead(401);
+      return res.end();
+    }
+
+    switch (url.pathname) {
+      case '/rr_connect':
+        this.connectAttempts++;
+        if (this.failConnects > 0) {
+          this.failConnects--;
+          res.writeHead(503);
+          return res.end();
+        }
+        if (params.get('password') !== this.password) {
+          return this._json(res, { err: 1 });
+        }
+        this.sessionExpired = false;
+        this.sessions++;
+        return this._json(res, { err: 0, sessionTimeout: 8000, boardType: 'duetwifi102' });
+
+      case '/rr_disconnect':
+        this.sessions = Math.max(0, this.sessions - 1);
+        return this._json(res, { err: 0 });
+
+      case '/rr_gcode': {
+        const gcode = params.get('gcode') ?? '';
+        const buff = this.fullPolls > 0 ? 0 : 255;
+        this.fullPolls = Math.max(0, this.fullPolls - 1);
+        if (!gcode) return this._json(res, { buff });  // Buffer space query
+        if (this.stallCommands > 0) {
+          this.stallCommands--;
+          return;  // The client's request timeout drops the connection
+        }
+        this.commands.push(gcode);
+        // Firmware replies carry no trailing ok over HTTP
+        const reply = this.firmware.generateMockResponse(gcode)
+          .split('\n')
+          .filter(line => line.trim() !== 'ok')
+          .join('\n');
+        this.firmware.parseResponse(reply);
+        if (reply) this._reply += reply + '\n';
+        return this._json(res, { buff });
+      }
+
+      case '/rr_reply': {
+        if (this.failReplies > 0) {
+          this.failReplies--;
+          res.writeHead(500);
+          return res.end();
+        }
+        const reply = this._reply;
+        this._reply = '';
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end(reply);
+      }
+
+      case '/rr_upload': {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          this.files.set(params.get('name'), body);
+          this._json(res, { err: 0 });
+        });
+        return;
+      }
+
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  }
+
+  _json(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+export default DuetHttpStub;
@@ -0,0 +1,15 @@
+// Test environment setup
+// Imported first by tests.js so the database module opens a throwaway file
+// instead of the real gellyroller.db in the repo root.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gellyroller-test-'));
+process.env.DB_PATH = path.join(dir, 'gellyroller.db');
+
+// Remove the temp database (and its WAL/SHM files) when the test run exits
+process.on('exit', () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
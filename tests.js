@@ -2,8 +2,23 @@
 // Run with: node tests.js
 // Make sure DEV_MODE=true is set in .env file
 
+import './test-files/test-env.js';
 import 'dotenv/config';
-import { app, server, duet, system } from './express.js';
+import { app, server, registry, duet, system } from './express.js';
+import Duet from './duet.js';
+import JobManager from './job-manager.js';
+import DuetHttpStub from './test-files/duet-http-stub.js';
+import { SvgProcessor } from './svg-processor.js';
+import hatchRegion from './hatch-fill.js';
+import optimizePaths from './path-optimizer.js';
+import rasterProcessor, { RasterProcessor } from './raster-processor.js';
+import { PNG } from 'pngjs';
+import { TextRenderer } from './text-renderer.js';
+import GCodeParser from './gcode-parser.js';
+import { DEFAULT_PROFILE } from './machine-profiles.js';
+import estimateTime, { motionOptions } from './motion-planner.js';
+import jpeg from 'jpeg-js';
+import db from './database.js';
 import http from 'http';
 
 const BASE_URL = 'http://localhost:3000';
@@ -75,6 +90,17 @@ async function waitForServer(retries = 10) {
   throw new Error('Server did not start');
 }
 
+// Wait for a job to reach a status
+async function waitForJobStatus(jobId, status, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const res = await makeRequest('GET', `/job/${jobId}`);
+    if (res.data.data?.status === status) return true;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
 // Run all tests
 async function runTests() {
   console.log('\n=== Starting Duet Controller API Tests ===\n');
@@ -102,6 +128,17 @@ async function runTests() {
     assert(stateRes.status === 200, 'State endpoint returns 200');
     assert(stateRes.data.success === true, 'State request succeeds');
     assert(stateRes.data.data.position !== undefined, 'State contains position');
+    assert(typeof stateRes.data.data.model?.state?.status === 'string', 'State contains object model status');
+    assert(typeof stateRes.data.data.queue?.depth === 'number', 'State contains command queue depth');
+
+    // Test 3a: Object model (M409)
+    const modelRes = await makeRequest('POST', '/gcode', { command: 'M409 F"d99vn"' });
+    assert(modelRes.status === 200, 'M409 request returns 200');
+    const modelStateRes = await makeRequest('GET', '/state');
+    const model = modelStateRes.data.data.model;
+    assert(Array.isArray(model.move.axes) && model.move.axes.length === 3, 'Object model contains axes');
+    assert(typeof model.boards[0]?.firmwareVersion === 'string', 'Object model contains firmware version');
+    assert(Array.isArray(model.sensors.endstops), 'Object model contains endstops');
 
     // Test 4: SD files list
     // Test 4: SD files list
@@ -192,6 +229,923 @@ async function runTests() {
     const gpioReadNoPinRes = await makeRequest('GET', '/gpio/read');
     assert(gpioReadNoPinRes.status === 400, 'GPIO read without pin returns 400');
 
+    // Test 13a: Job execution
+    console.log('\n--- Job Tests ---');
+    const jobUploadRes = await makeRequest('POST', '/job/upload', {
+      filename: 'test-job.gcode',
+      content: 'G21\nG90\nG0 X10 Y10 ; travel\nG1 X20 Y10 F3000\nG1 X20 Y20'
+    });
+    assert(jobUploadRes.status === 200, 'Job upload returns 200');
+    const jobId = jobUploadRes.data.data.jobId;
+
+    const jobStartRes = await makeRequest('POST', `/job/${jobId}/start`);
+    assert(jobStartRes.status === 200, 'Job start returns 200');
+    assert(jobStartRes.data.data.status === 'completed', 'Job runs to completion');
+
+    const transportRes = await makeRequest('GET', '/state');
+    const transport = transportRes.data.data.transport;
+    assert(transport.lastAckedLine === 5 && transport.lineNumber === 5, 'Job lines are sent with line numbers');
+
+    // Test 13b: Pause and resume a streamed job
+    const longJobContent = Array.from({ length: 30 }, (_, i) => `G1 X${i} Y${i} F3000`).join('\n');
+    const longJobRes = await makeRequest('POST', '/job/upload', { filename: 'long-job.gcode', content: longJobContent });
+    const longJobId = longJobRes.data.data.jobId;
+    const longJobStart = makeRequest('POST', `/job/${longJobId}/start`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const jobPauseRes = await makeRequest('POST', `/job/${longJobId}/pause`);
+    assert(jobPauseRes.status === 200, 'Job pause returns 200');
+    const pausedStartRes = await longJobStart;
+    assert(pausedStartRes.data.data.status === 'paused', 'Paused job stops streaming');
+    const pausedProgress = await makeRequest('GET', `/job/${longJobId}/progress`);
+    const pausedLine = pausedProgress.data.data.currentLine;
+    assert(pausedLine > 0 && pausedLine < 30, 'Paused job keeps last acknowledged line');
+    const jobResumeRes = await makeRequest('POST', `/job/${longJobId}/resume`);
+    assert(jobResumeRes.data.data.status === 'completed', 'Resumed job runs to completion');
+
+    // Test 13b0: A late reply to a timed-out command is not handed to the next one
+    const slowDuet = new Duet({ devMode: true, commandTimeout: 50 });
+    const timedOut = await slowDuet.sendGCode('M115').then(() => null, error => error.message);
+    const afterTimeout = await slowDuet.sendGCode('M114', 1000);
+    const slowMove = await slowDuet.sendGCode('G1 X1 Y1').then(() => 'ok', error => error.message);
+    assert(timedOut === 'Command timeout' && afterTimeout.includes('X:') && slowMove === 'ok',
+      'Timed-out writes absorb their late ok; moves get the motion timeout');
+    slowDuet.close();
+
+    // Test 13b0a: A lost ok holds the queue until the timed-out write is forgotten
+    const lossyDuet = new Duet({ devMode: true, commandTimeout: 50, lateReplyTimeout: 200 });
+    const lossyResponse = lossyDuet.generateMockResponse;
+    lossyDuet.generateMockResponse = function (command) {
+      const response = lossyResponse.call(this, command);
+      return command === 'M115' ? response.split('\n').filter(line => line !== 'ok').join('\n') : response;
+    };
+    const lostOk = await lossyDuet.sendGCode('M115').then(() => null, error => error.message);
+    const afterLost = await Promise.all([
+      lossyDuet.sendGCode('M114', 1000),
+      lossyDuet.sendGCode('M408 S1', 1000),
+      lossyDuet.sendGCode('G1 X1 Y1', 1000)
+    ]).catch(error => [error.message]);
+    assert(lostOk === 'Command timeout' && afterLost[0].includes('X:') && afterLost[1].includes('{') &&
+      afterLost[2].startsWith('Move queued'), 'Commands after a lost ok succeed with their own replies');
+    lossyDuet.close();
+
+    // Test 13b0b: A paused job keeps the machine from other jobs
+    const pausedDuet = new Duet({ devMode: true });
+    const pausedManager = new JobManager(pausedDuet, null, { machineId: 'paused-test', autoRun: false });
+    const pausedJobA = pausedManager.createJob('a.gcode', longJobContent);
+    const pausedJobB = pausedManager.createJob('b.gcode', 'G1 X1 Y1 F3000');
+    const pausedRunA = pausedManager.startJob(pausedJobA.id);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await pausedManager.pauseJob(pausedJobA.id);
+    await pausedRunA;
+    const startWhilePaused = await pausedManager.startJob(pausedJobB.id).then(() => null, error => error.message);
+    assert(pausedJobA.status === 'paused' && startWhilePaused?.includes(pausedJobA.id) && pausedJobB.status === 'pending',
+      'Another job cannot start while one is paused');
+    await pausedManager.cancelJob(pausedJobA.id);
+    pausedDuet.close();
+
+    // Test 13b1: Rewind a paused job by strokes
+    const strokeJobLines = Array.from({ length: 8 }, (_, i) => [
+      `G0 X${i * 10} Y0 F6000`, 'M42 P0 S1', `G1 X${i * 10} Y20 F3000`, 'M42 P0 S0'
+    ]).flat();
+    const strokeJobRes = await makeRequest('POST', '/job/upload', { filename: 'strokes.gcode', content: strokeJobLines.join('\n') });
+    const strokeJobId = strokeJobRes.data.data.jobId;
+    const strokeJobStart = makeRequest('POST', `/job/${strokeJobId}/start`);
+    await new Promise(resolve => setTimeout(resolve, 900));
+    await makeRequest('POST', `/job/${strokeJobId}/pause`);
+    await strokeJobStart;
+    const strokePausedLine = (await makeRequest('GET', `/job/${strokeJobId}/progress`)).data.data.currentLine;
+    const rewindSent = [];
+    const rewindSendGCode = duet.sendGCode;
+    duet.sendGCode = function (command, ...args) {
+      rewindSent.push(command);
+      return rewindSendGCode.call(this, command, ...args);
+    };
+    const rewindRes = await makeRequest('POST', `/job/${strokeJobId}/rewind`, { strokes: 2 });
+    assert(rewindRes.status === 200, 'Job rewind returns 200');
+    const rewindLine = rewindRes.data.data.fromLine;
+    assert(strokeJobLines[rewindLine - 1] === 'M42 P0 S1' && rewindLine < strokePausedLine &&
+      rewindRes.data.data.strokesReplayed === 2, 'Rewind goes back to the pen-down of the second last stroke');
+    const rewoundResumeRes = await makeRequest('POST', `/job/${strokeJobId}/resume`);
+    duet.sendGCode = rewindSendGCode;
+    assert(rewindSent.filter(command => command === 'G21').length === 1, 'Rewind restores the machine state once, on resume');
+    const rewoundJob = (await makeRequest('GET', `/job/${strokeJobId}`)).data.data;
+    assert(rewoundResumeRes.data.data.status === 'completed' && rewoundJob.progress.strokesCompleted === 8,
+      'Rewound job replays the strokes and completes');
+
+    // Test 13b2: Start part-way through with synthesized modal state
+    const layeredContent = [
+      'G21', 'G90',
+      ';LAYER:0', 'G0 X10 Y10 F6000', 'M42 P0 S1', 'G1 X20 Y10 F1500', 'M42 P0 S0',
+      ';LAYER:1', 'G0 X30 Y30', 'M42 P0 S1', 'G1 X40 Y30 F2000', 'M42 P0 S0'
+    ].join('\n');
+    const layeredRes = await makeRequest('POST', '/job/upload', { filename: 'layered.gcode', content: layeredContent });
+    const layeredId = layeredRes.data.data.jobId;
+    await makeRequest('POST', `/job/${layeredId}/start`);
+
+    const sentCommands = [];
+    const originalSendGCode = duet.sendGCode;
+    duet.sendGCode = function (command, ...args) {
+      // Ignore the background position and object model polling
+      if (!/^M(?:114|409)\b/.test(command)) sentCommands.push(command);
+      return originalSendGCode.call(this, command, ...args);
+    };
+    const fromLayerRes = await makeRequest('POST', `/job/${layeredId}/start`, { fromLayer: 1 });
+    const fromLayerPreamble = sentCommands.splice(0).slice(0, 5).join();
+    const fromLineRes = await makeRequest('POST', `/job/${layeredId}/start`, { fromLine: 6 });
+    const fromLinePreamble = sentCommands.splice(0).slice(0, 6).join();
+    duet.sendGCode = originalSendGCode;
+
+    assert(fromLayerRes.data.data.status === 'completed', 'Finished job can be re-run from a layer');
+    assert(fromLayerPreamble === 'M42 P0 S0,G21,G90,G0 X20 Y10 F6000,G1 F1500',
+      'Start from layer restores units, positioning, feed rate and position with pen up');
+    assert(fromLinePreamble === 'M42 P0 S0,G21,G90,G0 X10 Y10 F6000,G1 F6000,M42 P0 S1',
+      'Start from mid-stroke line lowers the pen after travelling');
+    const badStartRes = await makeRequest('POST', `/job/${layeredId}/start`, { fromLine: 999 });
+    assert(badStartRes.status === 400, 'Out of range start line returns 400');
+
+    // Test 13b3: Guided pen changes
+    const twoColorContent = [
+      ';COLOR:black', 'G0 X10 Y10 F6000', 'M42 P0 S1', 'G1 X20 Y10 F1500', 'M42 P0 S0',
+      ';COLOR:red', 'G0 X30 Y30', 'M42 P0 S1', 'G1 X40 Y30', 'M42 P0 S0'
+    ].join('\n');
+    const twoColorRes = await makeRequest('POST', '/job/upload', { filename: 'two-color.gcode', content: twoColorContent });
+    const twoColorId = twoColorRes.data.data.jobId;
+    const twoColorStartRes = await makeRequest('POST', `/job/${twoColorId}/start`);
+    const penChangeJob = (await makeRequest('GET', `/job/${twoColorId}`)).data.data;
+    assert(twoColorStartRes.data.data.status === 'paused' && penChangeJob.penChange?.color === 'red' &&
+      penChangeJob.penChange.line === 6 && penChangeJob.pen.color === 'black',
+      'Colour marker pauses the job for a pen change');
+    const penConfirmRes = await makeRequest('POST', `/job/${twoColorId}/pen-change/confirm`);
+    assert(penConfirmRes.status === 200 && penConfirmRes.data.data.status === 'completed' &&
+      penConfirmRes.data.data.pen.color === 'red', 'Confirmed pen change continues the job');
+    const noPenChangeRes = await makeRequest('POST', `/job/${twoColorId}/pen-change/confirm`);
+    assert(noPenChangeRes.status === 500, 'Confirming without a pending pen change fails');
+
+    const buttonDuet = new Duet({ devMode: true });
+    const buttonSent = [];
+    let buttonPolls = 0;
+    const buttonSendGCode = buttonDuet.sendGCode.bind(buttonDuet);
+    buttonDuet.sendGCode = (command, ...args) => {
+      if (command.startsWith('M409 K"sensors"')) buttonPolls++;
+      else if (!/^M409\b/.test(command)) buttonSent.push(command);
+      return buttonSendGCode(command, ...args);
+    };
+    const buttonManager = new JobManager(buttonDuet, null, {
+      devMode: true,
+      reliableTransport: false,
+      penChangePosition: { x: 5, y: 5 },
+      penChangeButton: 0,
+      penChangeButtonPollMs: 20
+    });
+    const toolJob = buttonManager.createJob('tools.gcode', [
+      'T0', 'G0 X10 Y10', 'M42 P0 S1', 'G1 X20 Y10', 'M42 P0 S0',
+      'T1', 'G0 X30 Y30', 'M42 P0 S1', 'G1 X40 Y30', 'M42 P0 S0'
+    ].join('\n'));
+    let penChangeEvent = null;
+    buttonManager.on('job:pen-change-required', (job, penChange) => { penChangeEvent = penChange; });
+    await buttonManager.startJob(toolJob.id);
+    assert(penChangeEvent?.tool === 1 && buttonSent.slice(-3).join() === 'M42 P0 S0,G90,G0 X5 Y5 F6000',
+      'Tool change lifts the pen and parks the carriage');
+    // Press only after the button has been seen released
+    while (buttonPolls < 2) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    buttonDuet._mockInputs[0] = 1;
+    const buttonDeadline = Date.now() + 3000;
+    while (toolJob.status !== 'completed' && Date.now() < buttonDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert(toolJob.status === 'completed' && toolJob.history.some(event => event.source === 'button'),
+      'Pen-change button confirms the change');
+    assert(!buttonSent.some(command => /^T\d/.test(command)), 'Tool changes are not sent to the Duet');
+    buttonDuet.close();
+
+    // Test 13c: Networked Duet via the HTTP API
+    console.log('\n--- Network Transport Tests ---');
+    const stub = new DuetHttpStub({ password: 'plotter' });
+    await stub.start(3142);
+    const netDuet = new Duet({
+      devMode: false,
+      transport: 'http',
+      host: 'localhost:3142',
+      password: 'plotter'
+    });
+    assert(await netDuet.waitForReady(2000), 'HTTP transport connects with rr_connect');
+
+    const netPosition = await netDuet.getPosition();
+    assert(netPosition.x === 100 && netPosition.y === 50, 'HTTP transport returns rr_reply output');
+
+    await netDuet.uploadFile('net-test.g', 'G28\nG0 X10 Y10');
+    assert(stub.files.get('0:/gcodes/net-test.g') === 'G28\nG0 X10 Y10', 'HTTP transport uploads with rr_upload');
+
+    const netJobManager = new JobManager(netDuet, null, { devMode: false });
+    const netJob = netJobManager.createJob('net-job.gcode', 'G21\nG90\nG1 X20 Y10 F3000\nG1 X20 Y20');
+    await netJobManager.startJob(netJob.id);
+    assert(netJob.status === 'completed', 'Job runs to completion over HTTP transport');
+    assert(stub.commands.includes('G1 X20 Y20') && !stub.commands.some(cmd => cmd.startsWith('N')),
+      'HTTP transport sends jobs without line numbers');
+
+    // Failed requests answer the command at once; a full buffer holds the next command
+    netDuet.on('error', () => {});
+    stub.failReplies = 1;
+    const failedReplyStart = Date.now();
+    const failedReply = await netDuet.sendGCode('M114').then(() => null, error => error.message);
+    const nextReply = await netDuet.sendGCode('M114');
+    assert(failedReply?.includes('rr_reply failed') && Date.now() - failedReplyStart < 1000 && nextReply.includes('X:'),
+      'HTTP transport fails a command whose request fails without misrouting the next reply');
+    stub.fullPolls = 3;
+    await netDuet.sendGCode('G0 X1');
+    const afterFullCount = stub.commands.length;
+    await netDuet.sendGCode('G0 X2');
+    assert(stub.fullPolls === 0 && stub.commands.length === afterFullCount + 1, 'HTTP transport waits for G-code buffer space');
+
+    netDuet.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert(stub.sessions === 0, 'HTTP transport disconnects with rr_disconnect');
+
+    // A request timeout drops the connection and fails the writes queued behind it
+    const droppedDuet = new Duet({ devMode: false, transport: 'http', host: 'localhost:3142', password: 'plotter' });
+    droppedDuet.on('error', () => {});
+    await droppedDuet.waitForReady(2000);
+    const lostTransport = droppedDuet.transport;
+    lostTransport.requestTimeout = 300;
+    stub.stallCommands = 1;
+    const lostWrites = await Promise.all(['G1 X5', 'G1 X6', 'G1 X7'].map(command =>
+      droppedDuet.sendGCode(command, null, { stream: true }).then(() => null, error => error.message)));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert(lostWrites[0]?.includes('aborted') && lostWrites.slice(1).every(message => message === 'Connection lost') &&
+      !stub.commands.includes('G1 X6') && !stub.commands.includes('G1 X7') && lostTransport.listenerCount('data') === 0,
+      'HTTP transport drops writes queued on a lost connection instead of routing their replies');
+    droppedDuet.close();
+
+    // A board that forgot our session (HTTP 401) is reconnected, retrying failed rr_connects with a backoff
+    const rebootDuet = new Duet({ devMode: false, transport: 'http', host: 'localhost:3142', password: 'plotter', reconnectDelay: 50 });
+    rebootDuet.on('error', () => {});
+    await rebootDuet.waitForReady(2000);
+    const attemptsBeforeReboot = stub.connectAttempts;
+    stub.expireSessions();
+    stub.failConnects = 2;
+    const expiredReply = await rebootDuet.sendGCode('M114').then(() => null, error => error.message);
+    const reconnected = !rebootDuet.ready && await rebootDuet.waitForReady(3000);
+    const rebootReply = await rebootDuet.sendGCode('M114');
+    assert(expiredReply?.includes('HTTP 401') && reconnected && rebootReply.includes('X:') &&
+      stub.connectAttempts === attemptsBeforeReboot + 3 && stub.sessions === 1,
+      'HTTP transport reconnects after a 401 and keeps retrying failed reconnects');
+    rebootDuet.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await stub.stop();
+
+    // Test 13d: Several machines on one server
+    console.log('\n--- Multi-Machine Tests ---');
+    registry.addMachine({ id: 'studio-b', devMode: true, xDimension: 300, yDimension: 400, guidedPenChange: false });
+    const machinesRes = await makeRequest('GET', '/machines');
+    assert(machinesRes.status === 200, 'Machines endpoint returns 200');
+    assert(machinesRes.data.data.length === 2 && machinesRes.data.data[0].default === true,
+      'Machines list includes the default machine');
+
+    const machineConfigRes = await makeRequest('GET', '/machines/studio-b/config');
+    assert(machineConfigRes.data.data.xDimension === 300, 'Namespaced route uses the named machine');
+    assert(registry.getMachine('studio-b').jobManager.guidedPenChange === false && registry.getDefault().jobManager.guidedPenChange === true,
+      'Guided pen changes are set per machine');
+
+    const machineJobRes = await makeRequest('POST', '/machines/studio-b/job/upload', {
+      filename: 'studio-b.gcode',
+      content: 'G21\nG90\nG0 X10 Y10'
+    });
+    const machineJobId = machineJobRes.data.data.jobId;
+    const machineListRes = await makeRequest('GET', '/machines/studio-b/job/list');
+    const defaultListRes = await makeRequest('GET', '/job/list');
+    assert(machineListRes.data.data.some(job => job.id === machineJobId) &&
+      !defaultListRes.data.data.some(job => job.id === machineJobId),
+      'Each machine has its own job queue');
+
+    const unknownMachineRes = await makeRequest('GET', '/machines/nope/position');
+    assert(unknownMachineRes.status === 404, '404 for unknown machine');
+
+    // Test 13e: Job queue with auto-run and operator confirmation
+    console.log('\n--- Job Queue Tests ---');
+    const queueJobContent = 'G21\nG90\nG1 X5 Y5 F3000';
+    const firstQueuedRes = await makeRequest('POST', '/queue', { filename: 'queue-1.gcode', content: queueJobContent });
+    const secondQueuedRes = await makeRequest('POST', '/queue', {
+      filename: 'queue-2.gcode',
+      content: queueJobContent,
+      waitForConfirm: true
+    });
+    assert(firstQueuedRes.status === 200 && secondQueuedRes.data.data.status === 'queued', 'Jobs are added to the queue');
+    const firstQueuedId = firstQueuedRes.data.data.jobId;
+    const secondQueuedId = secondQueuedRes.data.data.jobId;
+    assert(await waitForJobStatus(firstQueuedId, 'completed'), 'First queued job runs automatically');
+    assert(await waitForJobStatus(secondQueuedId, 'awaiting-confirmation'), 'Next job waits for operator confirmation');
+    await makeRequest('POST', `/queue/${secondQueuedId}/confirm`);
+    assert(await waitForJobStatus(secondQueuedId, 'completed'), 'Confirmed job runs');
+
+    await makeRequest('POST', '/queue/hold');
+    const holdARes = await makeRequest('POST', '/queue', { filename: 'hold-a.gcode', content: queueJobContent });
+    const holdBRes = await makeRequest('POST', '/queue', { filename: 'hold-b.gcode', content: queueJobContent });
+    const holdA = holdARes.data.data.jobId;
+    const holdB = holdBRes.data.data.jobId;
+    const reorderRes = await makeRequest('PUT', '/queue', { order: [holdB, holdA] });
+    assert(reorderRes.data.data.jobs[0].jobId === holdB && reorderRes.data.data.held === true, 'Held queue can be reordered');
+    const badOrderRes = await makeRequest('PUT', '/queue', { order: [holdA] });
+    const requeueDoneRes = await makeRequest('POST', '/queue', { jobId: firstQueuedId });
+    assert(badOrderRes.status === 400 && requeueDoneRes.status === 400 && requeueDoneRes.data.error.includes('cannot be queued'),
+      'Incomplete queue orders and jobs that cannot be queued are refused with 400');
+    assert(db.getQueuedJobs('default').map(entry => entry.jobId).join() === [holdB, holdA].join(),
+      'Queue order is saved to the database');
+
+    const restoredManager = new JobManager(null, null, { db, machineId: 'default', autoRun: false });
+    assert(restoredManager.queue.join() === [holdB, holdA].join() && restoredManager.queueHeld,
+      'Queue is restored held after a restart');
+
+    await makeRequest('DELETE', `/queue/${holdA}`);
+    await makeRequest('DELETE', `/queue/${holdB}`);
+    await makeRequest('POST', '/queue/resume');
+    assert(db.getQueuedJobs('default').length === 0, 'Dequeued jobs are removed from the database');
+
+    // Cancelling a paused job moves on to the next queued job
+    const cancelDuet = new Duet({ devMode: true });
+    const cancelManager = new JobManager(cancelDuet, null, { machineId: 'cancel-test' });
+    const pausedJob = cancelManager.createJob('paused.gcode', Array.from({ length: 10 }, (_, i) => `G1 X${i} F3000`).join('\n'));
+    const pausedRun = cancelManager.startJob(pausedJob.id);
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await cancelManager.pauseJob(pausedJob.id);
+    await pausedRun;
+    const waitingJob = cancelManager.createJob('waiting.gcode', 'G1 X1 F3000');
+    cancelManager.enqueueJob(waitingJob.id);
+    await cancelManager.cancelJob(pausedJob.id);
+    const waitingDeadline = Date.now() + 2000;
+    while (waitingJob.status !== 'completed' && Date.now() < waitingDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert(pausedJob.status === 'cancelled' && waitingJob.status === 'completed', 'Cancelling a paused job runs the next queued job');
+    cancelDuet.close();
+
+    // Test 13f: Job history
+    console.log('\n--- Job History Tests ---');
+    const historyRes = await makeRequest('GET', '/api/jobs/history?status=completed&machineId=default&limit=2');
+    assert(historyRes.status === 200, 'Job history endpoint returns 200');
+    assert(historyRes.data.data.jobs.length === 2 && historyRes.data.data.total >= 4, 'Job history is filtered and paginated');
+
+    const recordRes = await makeRequest('GET', `/api/jobs/history/${secondQueuedId}`);
+    const record = recordRes.data.data;
+    assert(record.transitions.map(t => t.status).join() === 'pending,queued,awaiting-confirmation,running,completed',
+      'Job history records status transitions');
+    assert(record.gcodeHash.length === 64 && record.totalLines === 3, 'Job history records G-code hash and size');
+
+    const historyFile = db.createFile('history-test.gcode', 'gcode', queueJobContent);
+    const fileRunRes = await makeRequest('POST', `/api/files/${historyFile.id}/run`);
+    const fileHistoryRes = await makeRequest('GET', `/api/jobs/history?fileId=${historyFile.id}`);
+    const fileRecord = fileHistoryRes.data.data.jobs[0];
+    assert(fileRecord?.id === fileRunRes.data.data.jobId && fileRecord.settings.drawSpeed === 3000,
+      'Job history records source file and settings snapshot');
+    const today = new Date().toISOString().slice(0, 10);
+    const todayHistoryRes = await makeRequest('GET', `/api/jobs/history?fileId=${historyFile.id}&from=${today}&to=${today}`);
+    assert(todayHistoryRes.data.data.jobs[0]?.id === fileRunRes.data.data.jobId,
+      'Job history filtered to a date includes the jobs from that day');
+    db.deleteFile(historyFile.id);
+
+    // Re-running a failed job clears its error in the history
+    const retryDuet = new Duet({ devMode: true });
+    const retrySend = retryDuet.sendGCode.bind(retryDuet);
+    let failRetryLine = true;
+    retryDuet.sendGCode = (command, ...args) => {
+      if (failRetryLine && command === 'G1 X2 F3000') {
+        failRetryLine = false;
+        return Promise.reject(new Error('Error: move failed'));
+      }
+      return retrySend(command, ...args);
+    };
+    const retryManager = new JobManager(retryDuet, null, { db, machineId: 'retry-test' });
+    const retryJob = retryManager.createJob('retry.gcode', 'G1 X1 F3000\nG1 X2 F3000');
+    await retryManager.startJob(retryJob.id);
+    const failedRecord = db.getJobRecord(retryJob.id);
+    await retryManager.startJob(retryJob.id, { fromLine: 2 });
+    const retriedRecord = db.getJobRecord(retryJob.id);
+    assert(failedRecord.status === 'error' && failedRecord.error?.line === 2 &&
+      retriedRecord.status === 'completed' && retriedRecord.error === null && retriedRecord.completedAt !== null,
+      'Re-running a failed job clears its error in the history');
+    retryDuet.close();
+
+    // Test 13h: Multi-layer SVG to multi-pen G-code
+    console.log('\n--- SVG Layer Tests ---');
+    const layeredSvg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" viewBox="0 0 100 100">
+      <g id="layer1" inkscape:groupmode="layer" inkscape:label="Outline" style="stroke:#000000">
+        <rect x="10" y="10" width="80" height="80" />
+      </g>
+      <g id="layer2" inkscape:groupmode="layer" inkscape:label="Detail">
+        <line x1="20" y1="20" x2="80" y2="80" stroke="#FF0000" />
+        <line x1="20" y1="80" x2="80" y2="20" stroke="#FF0000" />
+      </g>
+    </svg>`;
+    const svgFileRes = await makeRequest('POST', '/api/files', { filename: 'layers.svg', content: layeredSvg });
+    const svgFileId = svgFileRes.data.data.id;
+    const svgDetailRes = await makeRequest('GET', `/api/files/${svgFileId}`);
+    const svgLayers = svgDetailRes.data.data.layers;
+    assert(svgLayers?.length === 2 && svgLayers[0].name === 'Outline' && svgLayers[1].color === '#ff0000' &&
+      svgLayers[1].pathCount === 2, 'SVG file lists Inkscape layers with colors');
+    const svgSettingsRes = await makeRequest('PUT', `/api/files/${svgFileId}/settings`, {
+      layers: { layer2: { drawSpeed: 1200, tool: 3 } }
+    });
+    assert(svgSettingsRes.status === 200 && svgSettingsRes.data.data.settings.layers.layer2.drawSpeed === 1200,
+      'Per-layer settings are saved with the file');
+    const badLayerRes = await makeRequest('PUT', `/api/files/${svgFileId}/settings`, { layers: { layer2: { tool: -1 } } });
+    assert(badLayerRes.status === 400, 'Invalid per-layer settings return 400');
+    const svgGcode = (await makeRequest('GET', `/api/files/${svgFileId}/gcode`)).data.data.gcode.split('\n');
+    const detailStart = svgGcode.indexOf(';LAYER:1');
+    assert(svgGcode.indexOf(';LAYER:0') < detailStart && svgGcode.slice(detailStart, detailStart + 4).join() ===
+      ';LAYER:1,; Layer: Detail,;COLOR:#ff0000,T3', 'Each layer starts with layer, color and pen markers');
+    assert(svgGcode.slice(detailStart).filter(line => line.startsWith('G1')).every(line => line.endsWith('F1200')) &&
+      svgGcode.slice(0, detailStart).filter(line => line.startsWith('G1')).every(line => line.endsWith('F3000')),
+      'Per-layer draw speed applies to its layer only');
+    db.deleteFile(svgFileId);
+
+    const colorLayers = new SvgProcessor().groupPathsByLayer(new SvgProcessor().parseSvgPaths(
+      '<svg><path d="M0 0 L10 10" stroke="blue"/><path d="M5 0 L5 10" style="fill:none;stroke:red"/><path d="M0 5 L10 5" stroke="blue"/></svg>'
+    ));
+    assert(colorLayers.map(layer => `${layer.id}:${layer.paths.length}`).join() === 'blue:2,red:1',
+      'Ungrouped SVG elements are layered by stroke color');
+
+    // Test 13i: SVG transforms, <use>/<symbol> and physical units
+    const svgPoints = (svg) => new SvgProcessor().parseSvgPaths(svg)
+      .map(pathObj => pathObj.points.map(pt => `${+pt.x.toFixed(3)},${+pt.y.toFixed(3)}`).join(' '));
+    const transformedPaths = svgPoints(`<?xml version="1.0"?>
+      <svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="100mm" height="50mm" viewBox="0 0 200 100">
+        <defs><symbol id="tick" viewBox="0 0 10 10"><line x1="0" y1="0" x2="10" y2="10" /></symbol></defs>
+        <g transform="translate(20 10)"><rect height="10" width="20" transform="scale(2)" /></g>
+        <use xlink:href="#tick" x="100" y="50" width="20" height="20" />
+        <line x1="0" y1="0" x2="10" y2="0" transform="rotate(90)" />
+        <g style="display:none"><line x1="0" y1="0" x2="5" y2="5" /></g>
+      </svg>`);
+    assert(transformedPaths.length === 3 && transformedPaths[0].startsWith('10,5 30,5 30,15'),
+      'Group and element transforms compose and map the viewBox to millimetres');
+    assert(transformedPaths[1] === '50,25 60,35', '<use> places a <symbol> with its own viewport');
+    assert(transformedPaths[2] === '0,0 0,5', 'Rotation is applied and hidden groups are skipped');
+    assert(svgPoints('<svg width="96" height="96"><line x1="0" y1="0" x2="96" y2="0" /></svg>')[0] === '0,0 25.4,0' &&
+      svgPoints('<svg width="2in" height="1in" viewBox="0 0 2 1"><line x1="0" y1="0" x2="2" y2="0" /></svg>')[0] === '0,0 50.8,0',
+      'Unitless sizes are CSS pixels and unit suffixes are converted to millimetres');
+
+    // Test 13j: Path data, arcs and shapes
+    const glyph = svgPoints('<svg viewBox="0 0 20 20"><path d="M0,0H20V20H0Z m5,5 10,0 0,10-10,0z" /></svg>');
+    assert(glyph.length === 2 && glyph[0] === '0,0 20,0 20,20 0,20 0,0' && glyph[1] === '5,5 15,5 15,15 5,15 5,5',
+      'Subpaths are separate strokes (no connecting line into a hole)');
+    const arc = new SvgProcessor().parsePathD('M0 0a5 5 0 1010 0', 0.01)[0];
+    assert(arc.length > 10 && arc.every(pt => Math.abs(Math.hypot(pt.x - 5, pt.y) - 5) < 1e-6) &&
+      arc.some(pt => pt.y > 4.9) && `${+arc.at(-1).x.toFixed(3)},${+arc.at(-1).y.toFixed(3)}` === '10,0',
+      'Arcs with packed flags are flattened on the ellipse in the sweep direction');
+    const shapes = svgPoints(`<svg viewBox="0 0 100 100">
+      <ellipse ry="5" rx="10" cy="50" cx="50" /><rect ry="2" height="10" width="20" y="10" x="10" />
+      <circle r="4" cx="20" cy="80" /><line y2="3" x2="4" y1="0" x1="0" /></svg>`);
+    assert(shapes.length === 4 && shapes[0].startsWith('60,50 ') && shapes[1].startsWith('12,10 28,10 ') &&
+      shapes[2].startsWith('24,80 ') && shapes[3] === '0,0 4,3',
+      'Ellipses, rounded rects, circles and lines parse with attributes in any order');
+
+    // Test 13k: Curve flattening by physical tolerance
+    const flattener = new SvgProcessor();
+    const dot = flattener.circleToPoints(0, 0, 1, 0.1);
+    const bigCircle = flattener.circleToPoints(0, 0, 200, 0.1);
+    const chordError = (pts, r) => Math.max(...pts.slice(1).map((pt, i) =>
+      r - Math.hypot((pt.x + pts[i].x) / 2, (pt.y + pts[i].y) / 2)));
+    assert(dot.length < 12 && bigCircle.length > 100 && chordError(bigCircle, 200) <= 0.1 && chordError(dot, 1) <= 0.1,
+      'Circle segment count follows the chord tolerance, not a fixed count');
+    const curve = flattener.cubicBezierToPoints(0, 0, 0, 100, 100, 100, 100, 0, 0.05);
+    const onCurve = (t) => ({ x: 300 * t * t * (1 - t) + 100 * t ** 3, y: 300 * t * (1 - t) });
+    assert(curve.every((pt, i) => i === 0 || [0.25, 0.5, 0.75].every(f => {
+      const mid = onCurve((i - 1 + f) / (curve.length - 1));
+      const a = curve[i - 1];
+      const cross = Math.abs((pt.x - a.x) * (mid.y - a.y) - (pt.y - a.y) * (mid.x - a.x)) / Math.hypot(pt.x - a.x, pt.y - a.y);
+      return cross <= 0.05;
+    })), 'Bezier curves stay within tolerance of the true curve');
+    const circleSvg = '<svg width="10mm" height="10mm" viewBox="0 0 10 10"><circle cx="5" cy="5" r="5" /></svg>';
+    const fitted = await flattener.processToGcode(circleSvg, { scaleMode: 'fit', curveTolerance: 0.1 });
+    const unscaled = await flattener.processToGcode(circleSvg, { scaleMode: 'none', curveTolerance: 0.1 });
+    const coarse = await flattener.processToGcode(circleSvg, { scaleMode: 'fit', curveTolerance: 2 });
+    const g1Count = (result) => result.gcode.split('\n').filter(line => line.startsWith('G1')).length;
+    assert(g1Count(fitted) > 3 * g1Count(unscaled) && g1Count(coarse) < g1Count(fitted),
+      'Tolerance applies to the plotted size after scaling and is configurable');
+    const curveFileRes = await makeRequest('POST', '/api/files', { filename: 'circle.svg', content: circleSvg });
+    const curveSettingsRes = await makeRequest('PUT', `/api/files/${curveFileRes.data.data.id}/settings`, { curveTolerance: 0.5 });
+    const badToleranceRes = await makeRequest('PUT', `/api/files/${curveFileRes.data.data.id}/settings`, { curveTolerance: 0 });
+    assert(curveSettingsRes.data.data.settings.curveTolerance === 0.5 && badToleranceRes.status === 400,
+      'Curve tolerance is saved per file and validated');
+    db.deleteFile(curveFileRes.data.data.id);
+
+    // Test 13l: Native path optimization
+    const scrambledSvg = `<svg width="100mm" height="100mm" viewBox="0 0 100 100">${
+      [0, 60, 20, 80, 40, 100].map(y => `<line x1="0" y1="${y}" x2="100" y2="${y}" />`).join('')
+    }<path d="M0 50 L50 50" /><path d="M100 50 L50 50" /></svg>`;
+    const cornerOpts = { scaleMode: 'none', alignX: 'left', alignY: 'front' };
+    const rawOrder = await flattener.processToGcode(scrambledSvg, { ...cornerOpts, optimizer: 'none' });
+    const nativeOrder = await flattener.processToGcode(scrambledSvg, { ...cornerOpts, optimizer: 'native' });
+    assert(nativeOrder.optimizer === 'native' && nativeOrder.pathCount === 7 && nativeOrder.stats.penDowns === 7,
+      'Native optimizer merges paths that touch end to end');
+    assert(nativeOrder.stats.optimization.travelBeforeMm === rawOrder.stats.travelDistanceMm &&
+      nativeOrder.stats.optimization.travelAfterMm === nativeOrder.stats.travelDistanceMm &&
+      nativeOrder.stats.travelDistanceMm < rawOrder.stats.travelDistanceMm / 2,
+      'Optimized order reverses and reorders paths, with travel before/after in stats');
+    const nativeDrawn = nativeOrder.gcode.split('\n').filter(line => line.startsWith('G1')).length;
+    assert(nativeDrawn === rawOrder.gcode.split('\n').filter(line => line.startsWith('G1')).length &&
+      nativeOrder.stats.drawDistanceMm === rawOrder.stats.drawDistanceMm,
+      'Optimization keeps every drawn segment');
+    let optimizerSeed = 1;
+    const optimizerRandom = () => (optimizerSeed = (optimizerSeed * 16807) % 2147483647) / 2147483647;
+    const scatteredPaths = Array.from({ length: 400 }, () => {
+      const x = optimizerRandom() * 400;
+      const y = optimizerRandom() * 400;
+      return { points: [{ x, y }, { x: x + 2, y: y + 1 }] };
+    });
+    const firstOrder = optimizePaths(scatteredPaths, { maxChecks: 50000 });
+    const secondOrder = optimizePaths(scatteredPaths, { maxChecks: 50000 });
+    assert(JSON.stringify(firstOrder) === JSON.stringify(secondOrder) && firstOrder.length === 400,
+      'Optimizing the same paths twice gives the same order');
+    const optimizerFileRes = await makeRequest('POST', '/api/files', { filename: 'scrambled.svg', content: scrambledSvg });
+    const optimizerFileId = optimizerFileRes.data.data.id;
+    const nativeFileRes = await makeRequest('PUT', `/api/files/${optimizerFileId}/settings`, { optimizer: 'native' });
+    const badOptimizerRes = await makeRequest('PUT', `/api/files/${optimizerFileId}/settings`, { optimizer: 'fastest' });
+    assert(nativeFileRes.data.data.settings.optimizer === 'native' && nativeFileRes.data.data.stats.optimization.method === 'native' &&
+      badOptimizerRes.status === 400, 'Optimizer is selectable per file and validated');
+    db.deleteFile(optimizerFileId);
+
+    // Test 13m: Hatch fill for filled shapes
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    const innerSquare = [{ x: 3, y: 3 }, { x: 7, y: 3 }, { x: 7, y: 7 }, { x: 3, y: 7 }];
+    const hatchAt = (y, lines) => lines.filter(([a]) => Math.abs(a.y - y) < 1e-9).map(([a, b]) => `${a.x}-${b.x}`).join();
+    const plain = hatchRegion([square], { spacing: 1, angle: 0, penWidth: 0.5 });
+    assert(plain.length === 10 && hatchAt(0.5, plain) === '0.25-9.75' && hatchAt(1.5, plain) === '9.75-0.25',
+      'Hatch lines are spaced, inset by half a pen width and alternate direction');
+    const evenOddHole = hatchRegion([square, innerSquare], { spacing: 1, angle: 0, fillRule: 'evenodd' });
+    const sameWinding = hatchRegion([square, innerSquare], { spacing: 1, angle: 0, fillRule: 'nonzero' });
+    const reversedHole = hatchRegion([square, [...innerSquare].reverse()], { spacing: 1, angle: 0, fillRule: 'nonzero' });
+    assert(hatchAt(5.5, evenOddHole).split(',').length === 2 && hatchAt(5.5, sameWinding).split(',').length === 1 &&
+      hatchAt(5.5, reversedHole).split(',').length === 2, 'Even-odd and nonzero fill rules decide which holes stay empty');
+    const crossed = hatchRegion([square], { spacing: 1, angle: 45, crossHatch: true });
+    assert(crossed.length > 2 * plain.length - 4 && crossed.every(([a, b]) => Math.abs(Math.abs(b.x - a.x) - Math.abs(b.y - a.y)) < 1e-9),
+      'Cross-hatching adds a second set of lines at 90 degrees');
+    const filledSvg = `<svg width="20mm" height="20mm" viewBox="0 0 20 20"><rect width="20" height="20" fill="none" />
+      <circle cx="10" cy="10" r="5" style="fill:#ff0000" /><line x1="0" y1="0" x2="20" y2="20" /></svg>`;
+    const unfilled = await flattener.processToGcode(filledSvg, { scaleMode: 'none', optimizer: 'none' });
+    const filled = await flattener.processToGcode(filledSvg, { scaleMode: 'none', optimizer: 'none', hatch: { enabled: true, spacing: 1 } });
+    assert(unfilled.pathCount === 3 && filled.pathCount === 3 + 10 &&
+      filled.paths.slice(3).every(pathObj => pathObj.stroke === '#ff0000'),
+      'Only shapes with a fill are hatched, and only when the fill stage is on');
+    const hatchFileRes = await makeRequest('POST', '/api/files', { filename: 'filled.svg', content: filledSvg });
+    const hatchSettingsRes = await makeRequest('PUT', `/api/files/${hatchFileRes.data.data.id}/settings`, {
+      hatch: { enabled: true, spacing: 1, crossHatch: true }
+    });
+    const badHatchRes = await makeRequest('PUT', `/api/files/${hatchFileRes.data.data.id}/settings`, { hatch: { spacing: 0 } });
+    assert(hatchSettingsRes.data.data.settings.hatch.crossHatch === true && hatchSettingsRes.data.data.preview.reduce((sum, pathObj) => sum + pathObj.points.length - 1, 0) > 20 &&
+      hatchSettingsRes.data.data.preview.every(pathObj => pathObj.points.every(pt => Number.isFinite(pt.x))) && badHatchRes.status === 400,
+      'Hatch settings are saved per file, shown in the preview and validated');
+    db.deleteFile(hatchFileRes.data.data.id);
+
+    // Test 13n: Raster images traced into plotter paths
+    const halfDark = new PNG({ width: 40, height: 20 });
+    for (let i = 0; i < 40 * 20; i++) {
+      const shade = i % 40 < 20 ? 0 : 255;
+      halfDark.data.set([shade, shade, shade, 255], i * 4);
+    }
+    const pngBase64 = PNG.sync.write(halfDark).toString('base64');
+    const tracer = new RasterProcessor();
+    const traceImage = tracer.decodeImage(pngBase64);
+    const traced = (algorithm, extra = {}) => tracer.trace(traceImage, { ...tracer.options, size: 40, spacing: 1, algorithm, ...extra });
+    const inDarkHalf = (paths) => paths.length > 0 && paths.every(pathObj => pathObj.points.every(pt => pt.x <= 21));
+    assert(['hatch', 'stipple', 'tsp', 'spiral', 'squiggle'].every(algorithm => inDarkHalf(traced(algorithm, { dots: 200 }))),
+      'Every raster algorithm draws only in the dark half of the image');
+    const stippleDots = traced('stipple', { dots: 150 });
+    const tspTour = traced('tsp', { dots: 150 });
+    assert(stippleDots.length === 150 && tspTour.length === 1 && tspTour[0].points.length === 150,
+      'Stippling places the requested dots and TSP art joins them in one line');
+    const jpegImage = tracer.decodeImage(`data:image/jpeg;base64,${jpeg.encode(halfDark, 90).data.toString('base64')}`);
+    let badImageError = null;
+    try { tracer.decodeImage(Buffer.from('not an image').toString('base64')); } catch (err) { badImageError = err.message; }
+    assert(jpegImage.width === 40 && jpegImage.height === 20 && /PNG or JPEG/.test(badImageError),
+      'JPEG data URLs decode and other data is rejected');
+    const imageFileRes = await makeRequest('POST', '/api/files', { filename: 'half.png', content: pngBase64 });
+    const imageFileId = imageFileRes.data.data.id;
+    const imageGetRes = await makeRequest('GET', `/api/files/${imageFileId}`);
+    assert(imageFileRes.status === 200 && imageFileRes.data.data.type === 'image' && imageGetRes.data.data.stats.penDowns > 0 &&
+      imageGetRes.data.data.preview.every(pathObj => pathObj.points.every(pt => Number.isFinite(pt.x) && Number.isFinite(pt.y))),
+      'Uploaded images are stored and traced for stats and preview');
+    const rasterSettingsRes = await makeRequest('PUT', `/api/files/${imageFileId}/settings`, { raster: { algorithm: 'stipple', dots: 100 } });
+    const badRasterRes = await makeRequest('PUT', `/api/files/${imageFileId}/settings`, { raster: { algorithm: 'crayon' } });
+    let rasterRuns = 0;
+    const rasterProcessToGcode = rasterProcessor.processToGcode;
+    rasterProcessor.processToGcode = function (...args) {
+      rasterRuns++;
+      return rasterProcessToGcode.apply(this, args);
+    };
+    const firstPreviewRes = await makeRequest('GET', `/api/files/${imageFileId}`);
+    const secondPreviewRes = await makeRequest('GET', `/api/files/${imageFileId}/gcode`);
+    await makeRequest('PUT', `/api/files/${imageFileId}/settings`, { raster: { algorithm: 'stipple', dots: 120 } });
+    rasterProcessor.processToGcode = rasterProcessToGcode;
+    assert(rasterRuns === 1 && firstPreviewRes.data.data.preview.length === 100 && secondPreviewRes.data.data.gcode.includes('G1'),
+      'Processed files are reused until their settings change');
+    const badUploadRes = await makeRequest('POST', '/api/files', { filename: 'broken.png', content: 'bm90IGFuIGltYWdl' });
+    assert(rasterSettingsRes.data.data.settings.raster.algorithm === 'stipple' && rasterSettingsRes.data.data.preview.length === 100 &&
+      badRasterRes.status === 400 && badUploadRes.status === 400, 'Raster settings are saved per file and validated');
+    db.deleteFile(imageFileId);
+    const hugePng = PNG.sync.write(halfDark);
+    hugePng.writeUInt32BE(40000, 16);
+    hugePng.writeUInt32BE(40000, 20);
+    const hugeUploadRes = await makeRequest('POST', '/api/files', { filename: 'huge.png', content: hugePng.toString('base64') });
+    const jpegBuffer = jpeg.encode(halfDark, 90).data;
+    let smallCapError = null;
+    try { new RasterProcessor({ maxPixels: 500 }).decodeImage(jpegBuffer); } catch (err) { smallCapError = err.message; }
+    assert(hugeUploadRes.status === 400 && hugeUploadRes.data.error.includes('40000x40000') &&
+      tracer.imageSize(jpegBuffer).width === 40 && smallCapError?.includes('40x20'),
+      'Images over the pixel cap are refused from their header before decoding');
+
+    // Test 13o: Single-stroke text
+    const typesetter = new TextRenderer();
+    const capital = typesetter.layout('H', { size: 10 }).bounds;
+    const twoLines = typesetter.layout('H\nH', { size: 10, lineSpacing: 2 }).bounds;
+    const rightAligned = typesetter.layout('HHH', { size: 10, align: 'right' }).bounds;
+    const rotatedText = typesetter.layout('HHH', { size: 10, rotation: 90 }).bounds;
+    assert(Math.abs(capital.maxY - capital.minY - 10) < 1e-6 && Math.abs(capital.maxY) < 1e-6 &&
+      twoLines.maxY - twoLines.minY > 10 + 2 * 10 && rightAligned.maxX <= 0 &&
+      rotatedText.maxY - rotatedText.minY > rotatedText.maxX - rotatedText.minX,
+      'Text is laid out by cap height, line spacing, alignment and rotation');
+    const fontsRes = await makeRequest('GET', '/api/text/fonts');
+    const textRes = await makeRequest('POST', '/api/text', { text: 'Plot me\nplease', font: 'HersheyScript1', size: 8, align: 'center' });
+    const textFileRes = await makeRequest('GET', `/api/files/${textRes.data.data.id}`);
+    assert(fontsRes.data.data.some(font => font.id === 'HersheySans1') && textRes.data.data.type === 'svg' &&
+      textRes.data.data.filename === 'Plot-me-please.svg' && textFileRes.data.data.stats.penDowns > 0 &&
+      textFileRes.data.data.preview.every(pathObj => pathObj.points.every(pt => Number.isFinite(pt.x) && Number.isFinite(pt.y))),
+      'Text becomes an SVG file with stats and preview');
+    const badFontRes = await makeRequest('POST', '/api/text', { text: 'Hi', font: '../database' });
+    const noTextRes = await makeRequest('POST', '/api/text', { text: '  ' });
+    const badAlignRes = await makeRequest('POST', '/api/text', { text: 'Hi', align: 'justify' });
+    assert(badFontRes.status === 400 && noTextRes.status === 400 && badAlignRes.status === 400, 'Text options are validated');
+    db.deleteFile(textRes.data.data.id);
+
+    // Test 13p: Machine profiles for the pen lift
+    const profilePaths = [{ points: [{ x: 0, y: 0 }, { x: 10, y: 0 }] }, { points: [{ x: 20, y: 0 }, { x: 20, y: 10 }] }];
+    const zProfile = { ...DEFAULT_PROFILE, name: 'Z test', penUp: 'G0 Z5', penDown: 'G1 Z0 F1000', header: ['G21', 'G90', 'G28 Z'], park: { x: 5, y: 400 } };
+    const m42Gcode = flattener.generateGcode(profilePaths, { ...flattener.options });
+    const zGcode = flattener.generateGcode(profilePaths, { ...flattener.options, profile: zProfile });
+    const m42Lines = m42Gcode.split('\n');
+    assert(m42Lines.includes('G90') && m42Lines[m42Lines.indexOf('G90') + 1] === 'M42 P0 S0' &&
+      m42Lines.slice(-2).join() === 'M42 P0 S0,G0 X0 Y0', 'The default profile keeps the M42 pen lift, header and footer');
+    const zStats = flattener.calculateStats(zGcode, { profile: zProfile });
+    const zParsed = new GCodeParser(zProfile).parse(zGcode, 'z.gcode');
+    assert(!zGcode.includes('M42') && zGcode.includes('G28 Z') && zGcode.trim().endsWith('G0 X5 Y400') &&
+      zStats.penDowns === 2 && zStats.drawMoves === 2 && zStats.drawDistanceMm === 20 &&
+      zParsed.checkpoints.filter(checkpoint => checkpoint.type === 'pen-up').length === 2 && zParsed.strokes.length === 2,
+      'A Z-axis profile drives G-code generation, stats and job parsing');
+    const profilesRes = await makeRequest('GET', '/api/profiles');
+    const servoRes = await makeRequest('POST', '/api/profiles', { name: 'Test servo', penUp: 'M280 P0 S120', penDown: 'M280 P0 S40', bedWidth: 300, bedHeight: 400 });
+    const servoId = servoRes.data.data.id;
+    const duplicateProfileRes = await makeRequest('POST', '/api/profiles', { name: 'Test servo', penUp: 'M3 S0', penDown: 'M3 S1' });
+    const badProfileRes = await makeRequest('POST', '/api/profiles', { name: 'Broken', penUp: 'M42 P0 S0', penDown: ' m42 p0 s0' });
+    assert(profilesRes.data.data.map(profile => profile.name).join() === 'Solenoid (M42),Servo (M280),Z axis' &&
+      servoRes.data.data.header.join() === 'G21,G90' && duplicateProfileRes.status === 400 && badProfileRes.status === 400,
+      'Machine profiles are stored with built-ins and validated');
+    const selectRes = await makeRequest('PUT', '/api/machines/studio-b/profile', { profileId: servoId });
+    const profileFileRes = await makeRequest('POST', '/api/files', { filename: 'profiled.svg', content: scrambledSvg });
+    const profileRunRes = await makeRequest('POST', `/api/files/${profileFileRes.data.data.id}/run`, { machineId: 'studio-b' });
+    const studioManager = registry.getMachine('studio-b').jobManager;
+    const studioJob = studioManager.jobs.get(profileRunRes.data.data.jobId);
+    const defaultGcodeRes = await makeRequest('GET', `/api/files/${profileFileRes.data.data.id}/gcode`);
+    assert(selectRes.data.data.name === 'Test servo' && studioManager.penUpCommand === 'M280 P0 S120' &&
+      studioJob.content.includes('M280 P0 S40') && !studioJob.content.includes('M42') && studioJob.strokes.length > 0 &&
+      defaultGcodeRes.data.data.gcode.includes('M42 P0 S1'), 'Each machine generates and tracks jobs with its selected profile');
+    const inUseDeleteRes = await makeRequest('DELETE', `/api/profiles/${servoId}`);
+    const renameRes = await makeRequest('PUT', `/api/profiles/${servoId}`, { penDown: 'M280 P0 S45' });
+    assert(inUseDeleteRes.status === 400 && renameRes.data.data.penDown === 'M280 P0 S45' &&
+      studioManager.penDownCommand === 'M280 P0 S45', 'Profiles in use cannot be deleted, and edits reach the machine');
+    await makeRequest('PUT', '/api/machines/studio-b/profile', { profileId: profilesRes.data.data[0].id });
+    studioManager.deleteJob(studioJob.id);
+    db.deleteFile(profileFileRes.data.data.id);
+    const deleteProfileRes = await makeRequest('DELETE', `/api/profiles/${servoId}`);
+    assert(deleteProfileRes.data.success === true, 'Profiles no machine uses can be deleted');
+
+    // Test 13q: Pen calibration grid
+    const penProfileRes = await makeRequest('POST', '/api/profiles', { name: 'Calibrated servo', penUp: 'M280 P0 S90', penDown: 'M280 P0 S30', bedWidth: 300, bedHeight: 400 });
+    const penProfileId = penProfileRes.data.data.id;
+    await makeRequest('PUT', '/api/machines/studio-b/profile', { profileId: penProfileId });
+    const noTemplateRes = await makeRequest('POST', '/api/machines/default/calibrations', { values: [1, 2] });
+    const oversizeRes = await makeRequest('POST', '/api/machines/studio-b/calibrations', { values: [30, 40], delays: [100], origin: { x: 295, y: 10 } });
+    const badDelaysRes = await makeRequest('POST', '/api/machines/studio-b/calibrations', { delays: [-5] });
+    assert(noTemplateRes.status === 400 && oversizeRes.status === 400 && badDelaysRes.status === 400,
+      'Calibration grids need a position to vary, valid delays and room on the bed');
+    const calibrationRes = await makeRequest('POST', '/api/machines/studio-b/calibrations', {
+      values: [30, 40], delays: [100, 200], strokes: 1, labels: false
+    });
+    const calibrationId = calibrationRes.data.data.id;
+    const duringCalibrationRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'during.gcode', content: 'G1 X1 F3000' });
+    const duringJobId = duringCalibrationRes.data.data.jobId;
+    const duringStartRes = await makeRequest('POST', `/machines/studio-b/job/${duringJobId}/start`);
+    const secondCalibrationRes = await makeRequest('POST', '/api/machines/studio-b/calibrations', { delays: [100], strokes: 1, labels: false });
+    await makeRequest('POST', '/machines/studio-b/queue', { jobId: duringJobId });
+    const queuedDuringCalibration = registry.getMachine('studio-b').jobManager.getJob(duringJobId).status;
+    let calibration = calibrationRes.data.data;
+    for (let i = 0; i < 100 && ['plotting', 'photographing'].includes(calibration.status); i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      calibration = (await makeRequest('GET', `/api/machines/studio-b/calibrations/${calibrationId}`)).data.data;
+    }
+    const duringJob = registry.getMachine('studio-b').jobManager.getJob(duringJobId);
+    for (let i = 0; i < 40 && duringJob.status !== 'completed'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert(duringStartRes.data.error?.includes('Machine is busy') && secondCalibrationRes.status === 400 &&
+      queuedDuringCalibration === 'queued' && duringJob.status === 'completed',
+      'Jobs wait for a calibration grid to finish instead of interleaving with it');
+    registry.getMachine('studio-b').jobManager.deleteJob(duringJobId);
+    assert(calibration.status === 'ready' && calibration.cells.length === 4 && calibration.photo?.devMode === true &&
+      calibration.gcode.includes('M280 P0 S40') && calibration.gcode.includes('G4 P200') && calibration.gcode.includes('; Cell 1,1'),
+      'A calibration plots one row per servo angle and one column per delay, then takes a photo');
+    const badCellRes = await makeRequest('POST', `/api/machines/studio-b/calibrations/${calibrationId}/apply`, { row: 2, column: 0 });
+    const applyRes = await makeRequest('POST', `/api/machines/studio-b/calibrations/${calibrationId}/apply`, { row: 1, column: 1 });
+    const calibratedGcode = flattener.generateGcode(profilePaths, { ...flattener.options, profile: applyRes.data.data });
+    assert(badCellRes.status === 400 && applyRes.data.data.penDown === 'M280 P0 S40' && applyRes.data.data.penUpDelay === 200 &&
+      registry.getMachine('studio-b').jobManager.penDownCommand === 'M280 P0 S40' &&
+      calibratedGcode.includes('G4 P200') && !calibratedGcode.includes('G4 P150'),
+      'The chosen cell is saved into the profile, whose delays replace the file delays');
+    await makeRequest('PUT', '/api/machines/studio-b/profile', { profileId: profilesRes.data.data[0].id });
+    await makeRequest('DELETE', `/api/profiles/${penProfileId}`);
+
+    // Test 13r: Pen inventory and ink accounting
+    const badPenRes = await makeRequest('POST', '/api/pens', { name: 'No ink', inkCapacityM: 0 });
+    const penRes = await makeRequest('POST', '/api/pens', { name: 'Test fineliner', color: 'black', tipWidth: 0.3, inkCapacityM: 0.044 });
+    const penId = penRes.data.data.id;
+    const fitRes = await makeRequest('PUT', '/api/machines/studio-b/pens/0', { penId });
+    assert(badPenRes.status === 400 && penRes.data.data.inkRemainingM === 0.044 && fitRes.data.data[0].pen.id === penId,
+      'Pens are stored with their ink capacity and fitted to a machine tool');
+    const inkContent = ['G0 X0 Y0', 'M42 P0 S1', 'G1 X20 Y0 F3000', 'M42 P0 S0', 'G0 X0 Y10', 'M42 P0 S1', 'G1 X20 Y10', 'M42 P0 S0'].join('\n');
+    const inkUploadRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'ink.gcode', content: inkContent });
+    const inkCheck = inkUploadRes.data.data.ink;
+    assert(inkUploadRes.data.data.stats.drawDistanceMm === flattener.calculateStats(inkContent).drawDistanceMm &&
+      inkCheck.length === 1 && inkCheck[0].requiredM === 0.04 && inkCheck[0].sufficient === true,
+      'A job reports the ink it needs from each fitted pen');
+    const lowInkAlerts = [];
+    const inkManager = registry.getMachine('studio-b').jobManager;
+    const onLowInk = (pen, tool) => lowInkAlerts.push({ pen, tool });
+    inkManager.on('pen:low-ink', onLowInk);
+    await makeRequest('POST', `/machines/studio-b/job/${inkUploadRes.data.data.jobId}/start`);
+    inkManager.off('pen:low-ink', onLowInk);
+    const usedPenRes = await makeRequest('GET', `/api/pens/${penId}`);
+    assert(Math.abs(usedPenRes.data.data.inkUsedM - 0.04) < 1e-9 && lowInkAlerts.length === 1 && lowInkAlerts[0].tool === 0,
+      'Drawn distance is taken off the pen, with an alert when it runs low');
+    const shortJobRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'ink-2.gcode', content: inkContent });
+    const shortStartRes = await makeRequest('POST', `/machines/studio-b/job/${shortJobRes.data.data.jobId}/start`);
+    assert(shortStartRes.status === 400 && shortStartRes.data.error.includes('Not enough ink') &&
+      shortStartRes.data.data.ink[0].pen.id === penId, 'Jobs the fitted pens cannot finish are refused before starting');
+    const inkConfirmations = [];
+    const onInkConfirm = (job, ink) => inkConfirmations.push({ job, ink });
+    inkManager.on('job:confirmation-required', onInkConfirm);
+    await makeRequest('POST', '/machines/studio-b/queue/resume');
+    const shortQueueRes = await makeRequest('POST', '/machines/studio-b/queue', { jobId: shortJobRes.data.data.jobId });
+    const shortQueuedJob = inkManager.getJob(shortJobRes.data.data.jobId);
+    for (let i = 0; i < 20 && shortQueuedJob.status !== 'awaiting-confirmation'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    inkManager.off('job:confirmation-required', onInkConfirm);
+    assert(shortQueueRes.data.data.ink[0].sufficient === false && shortQueuedJob.status === 'awaiting-confirmation' &&
+      inkConfirmations[0]?.ink[0]?.pen.id === penId, 'Queued jobs short of ink wait for confirmation instead of starting');
+    await makeRequest('DELETE', `/machines/studio-b/queue/${shortJobRes.data.data.jobId}`);
+    const penDelayGcode = flattener.generateGcode(profilePaths, { ...flattener.options, pens: { 0: { penDownDelay: 321, penUpDelay: null } } });
+    assert(penDelayGcode.includes('G4 P321') && penDelayGcode.includes(`G4 P${flattener.options.penUpDelay}`),
+      'A fitted pen can set its own pen delays');
+    inkManager.deleteJob(inkUploadRes.data.data.jobId);
+    inkManager.deleteJob(shortJobRes.data.data.jobId);
+    await makeRequest('DELETE', `/api/pens/${penId}`);
+    const emptiedRes = await makeRequest('GET', '/api/machines/studio-b/pens');
+    assert(emptiedRes.data.data.length === 0, 'Deleting a pen takes it out of its machine');
+
+    // Test 13s: Motion planner time estimates
+    const straightGcode = 'G1 X100 F6000';
+    const squareGcode = ['G1 X10 F6000', 'G1 Y10', 'G1 X0', 'G1 Y0'].join('\n');
+    const squarePlan = estimateTime(squareGcode, motionOptions());
+    assert(estimateTime(straightGcode, motionOptions()).totalMs === 1100 && squarePlan.totalMs > 400 &&
+      squarePlan.timeline.length === 5 && squarePlan.timeline[4] === squarePlan.totalMs,
+      'Moves accelerate and slow for corners instead of running at distance/feed');
+    const slowProfile = { ...DEFAULT_PROFILE, motion: { acceleration: 500 } };
+    assert(flattener.calculateStats(straightGcode).estimatedTimeMs === 1100 &&
+      flattener.calculateStats(straightGcode, { profile: slowProfile }).estimatedTimeMs === 1200 &&
+      new GCodeParser().parse(squareGcode).stats.estimatedTimeMs === Math.round(squarePlan.totalMs),
+      'Preview stats and job parsing share the planner, with the profile\'s motion limits');
+    const firmwareLimits = registry.getMachine('studio-b').duet.motionLimits;
+    const badMotionRes = await makeRequest('POST', '/api/profiles', { name: 'Bad motion', penUp: 'M3 S0', penDown: 'M3 S1', motion: { acceleration: -1 } });
+    assert(firmwareLimits?.acceleration === 1000 && firmwareLimits.maxSpeed === 200 && firmwareLimits.jerk === 10 &&
+      badMotionRes.status === 400, 'Motion limits are read from M201/M203/M566 and validated in profiles');
+    const timedJobRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'timed.gcode', content: squareGcode });
+    const timedJob = registry.getMachine('studio-b').jobManager.getJob(timedJobRes.data.data.jobId);
+    const jerkPlan = estimateTime(squareGcode, motionOptions(null, firmwareLimits));
+    assert(timedJob.stats.estimatedTimeMs === Math.round(jerkPlan.totalMs) && timedJob.progress.estimatedRemainingMs === timedJob.stats.estimatedTimeMs,
+      'Jobs are estimated with the machine\'s firmware limits');
+    await makeRequest('POST', `/machines/studio-b/job/${timedJob.id}/start`);
+    assert(timedJob.status === 'completed' && timedJob.progress.estimatedRemainingMs === 0, 'Remaining time counts down to zero');
+    registry.getMachine('studio-b').jobManager.deleteJob(timedJob.id);
+
+    // Test 13t: Soft limits
+    const boundsReport = new GCodeParser().checkBounds('G90\nG0 X10 Y10\nG91\nG1 X195\nG90\nG1 X-1 Y5', { xDimension: 200, yDimension: 200 });
+    assert(boundsReport.bounds.minX === -1 && boundsReport.bounds.maxX === 205 && boundsReport.bounds.maxY === 10 &&
+      boundsReport.outOfBounds.map(entry => entry.line).join() === '4,6' && !boundsReport.withinLimits,
+      'Bounds check follows relative moves and reports the lines off the bed');
+    const arcBoundsReport = new GCodeParser().checkBounds('G00 X500 Y500\nG0 X10 Y10\nG2 X600 Y0 I50 J0\nG1 X20 Y20', { xDimension: 200, yDimension: 200 });
+    assert(arcBoundsReport.outOfBounds.map(entry => entry.line).join() === '1,3' && arcBoundsReport.bounds.maxX === 600,
+      'Bounds check covers G00 moves and arcs like the jog check does');
+    const squareSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="80mm" height="80mm" viewBox="0 0 80 80">' +
+      '<rect width="80" height="80" fill="none" stroke="black"/></svg>';
+    const defaultSquare = await new SvgProcessor().processToGcode(squareSvg, {});
+    const defaultSquareJob = registry.getDefault().jobManager.createJob('square.gcode', defaultSquare.gcode);
+    assert(defaultSquareJob.bounds.withinLimits, 'An SVG processed with default options fits the default machine');
+    registry.getDefault().jobManager.deleteJob(defaultSquareJob.id);
+    const fitFileRes = await makeRequest('POST', '/api/files', { filename: 'fit.svg', content: squareSvg });
+    await makeRequest('PUT', `/api/files/${fitFileRes.data.data.id}/settings`, { scaleMode: 'fit' });
+    const fitRunRes = await makeRequest('POST', `/api/files/${fitFileRes.data.data.id}/run`, { machineId: 'studio-b' });
+    const fitBounds = fitRunRes.data.data.bounds;
+    assert(fitRunRes.status === 200 && fitBounds.withinLimits && fitBounds.bounds.maxX <= 300 && fitBounds.bounds.width > 250,
+      'Files are scaled to a machine smaller than its profile\'s bed');
+    registry.getMachine('studio-b').jobManager.deleteJob(fitRunRes.data.data.jobId);
+    db.deleteFile(fitFileRes.data.data.id);
+    const offBedRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'off-bed.gcode', content: 'G0 X10 Y10\nG1 X310 Y10' });
+    const forcedRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'off-bed.gcode', content: 'G0 X10 Y10\nG1 X310 Y10', ignoreBounds: true });
+    const onBedRes = await makeRequest('POST', '/machines/studio-b/job/upload', { filename: 'on-bed.gcode', content: 'G0 X10 Y10\nG1 X290 Y390' });
+    assert(offBedRes.status === 400 && offBedRes.data.data.bounds.outOfBounds[0].line === 2 && offBedRes.data.error.includes('lines 2'),
+      'Jobs that leave the bed are rejected with the offending lines');
+    assert(forcedRes.status === 200 && forcedRes.data.data.bounds.withinLimits === false &&
+      onBedRes.data.data.bounds.withinLimits && onBedRes.data.data.bounds.bounds.maxY === 390,
+      'Job creation returns the bounds report; ignoreBounds accepts the job anyway');
+    registry.getMachine('studio-b').jobManager.deleteJob(forcedRes.data.data.jobId);
+    registry.getMachine('studio-b').jobManager.deleteJob(onBedRes.data.data.jobId);
+    const offBedJogRes = await makeRequest('POST', '/machines/studio-b/goto/fast', { x: 500, y: 10 });
+    const onBedJogRes = await makeRequest('POST', '/machines/studio-b/goto/slow', { x: 290, y: 390, f: 3000 });
+    assert(offBedJogRes.status === 400 && offBedJogRes.data.error.includes('X500') && onBedJogRes.status === 200,
+      'Jogs off the bed are refused');
+    const badJogRes = await makeRequest('POST', '/machines/studio-b/goto/fast', { x: 'abc' });
+    const badFeedRes = await makeRequest('POST', '/machines/studio-b/goto/slow', { x: 10, f: 'fast' });
+    assert(badJogRes.status === 400 && badJogRes.data.error.includes('Invalid X') && badFeedRes.status === 400,
+      'Jogs with non-numeric coordinates or feed rates are refused');
+    registry.getMachine('studio-b').duet.state.position.x = 100;
+    await makeRequest('POST', '/machines/studio-b/gcode', { command: 'G91' });
+    const relativeJogRes = await makeRequest('POST', '/machines/studio-b/goto/fast', { x: 150 });
+    const relativeOffBedRes = await makeRequest('POST', '/machines/studio-b/goto/fast', { x: 250 });
+    await makeRequest('POST', '/machines/studio-b/gcode', { command: 'G90' });
+    assert(relativeJogRes.status === 200 && relativeOffBedRes.status === 400 && relativeOffBedRes.data.error.includes('X350'),
+      'Relative jogs are checked from the current position');
+    const rawOffBedRes = await makeRequest('POST', '/machines/studio-b/gcode', { command: 'G1 X500 Y10' });
+    const rawRelativeRes = await makeRequest('POST', '/machines/studio-b/gcode', { command: 'G91\nG1 X250\nG90' });
+    const rawOnBedRes = await makeRequest('POST', '/machines/studio-b/gcode', { command: 'G1 X10 Y10 F3000' });
+    assert(rawOffBedRes.status === 400 && rawRelativeRes.status === 400 && rawOnBedRes.status === 200 &&
+      registry.getMachine('studio-b').duet.distanceMode === 'absolute',
+      'Raw G-code moves off the bed are refused');
+    const badModeRes = await makeRequest('PUT', '/machines/studio-b/config', { softLimits: 'maybe' });
+    await makeRequest('PUT', '/machines/studio-b/config', { softLimits: 'warn' });
+    const warnJogRes = await makeRequest('POST', '/machines/studio-b/goto/fast', { x: 500 });
+    await makeRequest('PUT', '/machines/studio-b/config', { softLimits: 'reject' });
+    assert(badModeRes.status === 400 && warnJogRes.status === 200, 'Soft limits can be relaxed to warnings');
+
+    // Test 13g: Resume a job after the server stopped mid-plot
+    console.log('\n--- Crash Recovery Tests ---');
+    const strokeContent = Array.from({ length: 5 }, (_, i) => [
+      `G0 X${i * 10} Y0`, 'M42 P0 S1', `G1 X${i * 10} Y10 F3000`, `G1 X${i * 10 + 5} Y10`, 'M42 P0 S0'
+    ]).flat().join('\n');
+    const crashedDuet = new Duet({ devMode: true });
+    const crashedManager = new JobManager(crashedDuet, null, { db, machineId: 'crash-test', checkpointIntervalMs: 0 });
+    const crashedJob = crashedManager.createJob('crash.gcode', strokeContent);
+    const crashedRun = crashedManager.startJob(crashedJob.id);
+    await new Promise(resolve => setTimeout(resolve, 350));
+    await crashedManager.pauseJob(crashedJob.id);
+    await crashedRun;
+    const savedLine = db.getJobCheckpoint('crash-test').line;
+    assert(savedLine > 0 && savedLine < 25, 'Running job is checkpointed to the database');
+    crashedDuet.close();
+
+    const recoveryDuet = new Duet({ devMode: true });
+    const recoverySent = [];
+    const sendGCode = recoveryDuet.sendGCode.bind(recoveryDuet);
+    recoveryDuet.sendGCode = (command, ...args) => {
+      recoverySent.push(command);
+      return sendGCode(command, ...args);
+    };
+    const recoveredManager = new JobManager(recoveryDuet, null, { db, machineId: 'crash-test' });
+    const interrupted = recoveredManager.getInterruptedJob();
+    assert(interrupted?.id === crashedJob.id && interrupted.status === 'interrupted', 'Interrupted job is detected at startup');
+    const resumePoint = recoveredManager.getResumePoint(interrupted);
+    assert(resumePoint.line <= savedLine && resumePoint.line % 5 === 0, 'Resume point is the last pen-up before the checkpoint');
+
+    const reserveDuringInterrupt = (() => {
+      try {
+        recoveredManager.reserve('calibration');
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    })();
+    recoveredManager.reservation = 'calibration';
+    const recoverDuringReservation = await recoveredManager.resumeJob(crashedJob.id).then(() => null, error => error.message);
+    recoveredManager.reservation = null;
+    assert(reserveDuringInterrupt?.includes('interrupted') && recoverDuringReservation?.includes('Machine is busy') &&
+      recoverySent.length === 0 && interrupted.status === 'interrupted',
+      'Calibrations and recovery do not take the machine from each other');
+
+    await recoveredManager.resumeJob(crashedJob.id);
+    assert(recoverySent.slice(0, 6).join() ===
+      `M42 P0 S0,G28,M42 P0 S0,G21,G90,G0 X${resumePoint.position.x} Y${resumePoint.position.y} F6000`,
+      'Recovery lifts the pen, re-homes and travels to the resume point');
+    assert(interrupted.status === 'completed' && db.getJobCheckpoint('crash-test') === null,
+      'Recovered job completes and clears its checkpoint');
+
     // Test 14: 404 handling
     console.log('\n--- Error Handling Tests ---');
     const notFoundRes = await makeRequest('GET', '/invalid-route');
@@ -0,0 +1,215 @@
+// Text Renderer
+// Single-stroke text from the SVG fonts in fonts/ (bundled Hershey fonts, or any SVG font added there):
+// lays out lines with size, spacing, alignment and rotation and writes them as an SVG in mm.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseXml } from './svg-document.js';
+import svgProcessor from './svg-processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FONTS_DIR = path.join(__dirname, 'fonts');
+
+// Default layout options
+const DEFAULT_OPTIONS = {
+  font: 'HersheySans1',  // file name in fonts/, without .svg
+  size: 10,              // mm, height of capital letters
+  lineSpacing: 1,        // multiple of the font's line height
+  letterSpacing: 0,      // mm added after each character
+  align: 'left',         // 'left', 'center', 'right'
+  rotation: 0            // degrees, counter-clockwise about the start of the first baseline
+};
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+class TextRenderer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.fontsDir = options.fontsDir ?? FONTS_DIR;
+    this.fonts = new Map();
+  }
+
+  /**
+   * Fonts available in the fonts directory as [{ id, name }]
+   */
+  listFonts() {
+    return fs.readdirSync(this.fontsDir)
+      .filter(file => file.toLowerCase().endsWith('.svg'))
+      .map(file => {
+        const id = file.slice(0, -4);
+        return { id, name: this.loadFont(id).name };
+      })
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Whether a font id names a font in the fonts directory
+   */
+  hasFont(id) {
+    return typeof id === 'string' && /^[\w-]+$/.test(id) && fs.existsSync(path.join(this.fontsDir, `${id}.svg`));
+  }
+
+  /**
+   * Load an SVG font (cached): { name, unitsPerEm, ascent, descent, capHeight, glyphs, missing }
+   * Glyph outlines are in font units with y up from the baseline.
+   */
+  loadFont(id) {
+    if (this.fonts.has(id)) return this.fonts.get(id);
+    if (!this.hasFont(id)) {
+      throw new Error(`Unknown font: ${id}`);
+    }
+
+    const root = parseXml(fs.readFileSync(path.join(this.fontsDir, `${id}.svg`), 'utf8'));
+    const fontNode = findNode(root, 'font');
+    if (!fontNode) {
+      throw new Error(`Not an SVG font: ${id}`);
+    }
+    const face = findNode(fontNode, 'font-face')?.attrs ?? {};
+    const defaultAdvance = parseFloat(fontNode.attrs['horiz-adv-x']) || 0;
+    const unitsPerEm = parseFloat(face['units-per-em']) || 1000;
+
+    const glyphs = new Map();
+    let missing = { d: null, advance: defaultAdvance };
+    for (const node of fontNode.children) {
+      const glyph = {
+        d: node.attrs.d || null,
+        advance: parseFloat(node.attrs['horiz-adv-x']) || defaultAdvance
+      };
+      if (node.name === 'missing-glyph') {
+        missing = glyph;
+      } else if (node.name === 'glyph' && [...(node.attrs.unicode ?? '')].length === 1) {
+        // Ligature glyphs (several characters) are not used
+        glyphs.set(node.attrs.unicode, glyph);
+      }
+    }
+
+    // Capital height from the 'H' outline, which is what size measures
+    let capHeight = parseFloat(face['cap-height']) || unitsPerEm * 0.7;
+    const capGlyph = glyphs.get('H');
+    if (capGlyph?.d) {
+      const ys = svgProcessor.parsePathD(capGlyph.d, unitsPerEm / 1000).flat().map(pt => pt.y);
+      if (ys.length > 0 && Math.max(...ys) > 0) capHeight = Math.max(...ys);
+    }
+
+    const font = {
+      id,
+      name: face['font-family'] || fontNode.attrs.id || id,
+      unitsPerEm,
+      ascent: parseFloat(face.ascent) || unitsPerEm * 0.8,
+      descent: parseFloat(face.descent) || -unitsPerEm * 0.2,
+      capHeight,
+      glyphs,
+      missing
+    };
+    this.fonts.set(id, font);
+    return font;
+  }
+
+  /**
+   * Lay out text as paths in mm, y down, with the first baseline starting at the origin
+   * @param {string} text - lines separated by newlines
+   * @param {Object} options - { font, size, lineSpacing, letterSpacing, align, rotation }
+   * @returns {Object} { paths: [[{ x, y }]], bounds: { minX, minY, maxX, maxY }, lines }
+   */
+  layout(text, options = {}) {
+    const opts = { ...this.options, ...options };
+    const font = this.loadFont(opts.font);
+    const scale = opts.size / font.capHeight;
+    const lineHeight = (font.ascent - font.descent) * scale * opts.lineSpacing;
+
+    // Glyphs are flattened to the default curve tolerance at the rendered size
+    const tolerance = svgProcessor.options.curveTolerance / scale;
+    const outlines = new Map();
+    const outline = (glyph) => {
+      if (!glyph.d) return [];
+      if (!outlines.has(glyph.d)) outlines.set(glyph.d, svgProcessor.parsePathD(glyph.d, tolerance));
+      return outlines.get(glyph.d);
+    };
+
+    const rad = opts.rotation * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const place = (x, y) => ({ x: x * cos + y * sin, y: -x * sin + y * cos });
+
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const paths = [];
+
+    lines.forEach((line, lineIndex) => {
+      const characters = [...line].map(character => font.glyphs.get(character) ?? font.missing);
+      const width = characters.reduce((sum, glyph) => sum + glyph.advance * scale + opts.letterSpacing, 0) -
+        (characters.length > 0 ? opts.letterSpacing : 0);
+      const baseline = lineIndex * lineHeight;
+      let cursor = opts.align === 'center' ? -width / 2 : opts.align === 'right' ? -width : 0;
+
+      for (const glyph of characters) {
+        for (const subpath of outline(glyph)) {
+          paths.push(subpath.map(pt => place(cursor + pt.x * scale, baseline - pt.y * scale)));
+        }
+        cursor += glyph.advance * scale + opts.letterSpacing;
+      }
+    });
+
+    let bounds = null;
+    for (const pt of paths.flat()) {
+      bounds = bounds ?? { minX: pt.x, minY: pt.y, maxX: pt.x, maxY: pt.y };
+      bounds.minX = Math.min(bounds.minX, pt.x);
+      bounds.minY = Math.min(bounds.minY, pt.y);
+      bounds.maxX = Math.max(bounds.maxX, pt.x);
+      bounds.maxY = Math.max(bounds.maxY, pt.y);
+    }
+
+    return { paths, bounds, lines: lines.length };
+  }
+
+  /**
+   * Render text as an SVG document sized in mm, ready to save as an SVG file
+   */
+  renderSvg(text, options = {}) {
+    const { paths, bounds } = this.layout(text, options);
+    if (!bounds) {
+      throw new Error('Text has nothing to draw');
+    }
+
+    // A single straight stroke (such as "-") still needs a viewBox with some extent
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const width = Math.max(round(bounds.maxX - bounds.minX), 0.001);
+    const height = Math.max(round(bounds.maxY - bounds.minY), 0.001);
+    const d = paths.map(points => points
+      .map((pt, i) => `${i === 0 ? 'M' : 'L'}${round(pt.x)} ${round(pt.y)}`)
+      .join(' '));
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" ` +
+        `viewBox="${round(bounds.minX)} ${round(bounds.minY)} ${width} ${height}">`,
+      `  <title>${escapeXml(String(text))}</title>`,
+      `  <path fill="none" stroke="black" d="${d.join(' ')}" />`,
+      '</svg>'
+    ].join('\n');
+  }
+}
+
+/**
+ * First element with this name, depth first
+ */
+function findNode(node, name) {
+  for (const child of node.children) {
+    if (child.name === name) return child;
+    const found = findNode(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Escape text for XML content
+ */
+function escapeXml(text) {
+  return text.replace(/[&<>]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[character]);
+}
+
+// Export singleton instance and class
+const renderer = new TextRenderer();
+
+export { TextRenderer, DEFAULT_OPTIONS, ALIGNMENTS };
+export default renderer;
@@ -0,0 +1,289 @@
+// Duet Transports
+// Line-oriented connections to a Duet board: USB serial, or the RepRapFirmware HTTP API
+// for boards running standalone over WiFi/Ethernet.
+//
+// Every transport emits the same events so Duet can treat them alike:
+//   'open'            connection established
+//   'data' (line)     one line of firmware output; every command's reply ends with 'ok'
+//   'error' (err)     connection or I/O error
+//   'close'           connection lost
+
+import { SerialPort } from 'serialport';
+import { ReadlineParser } from '@serialport/parser-readline';
+import { EventEmitter } from 'events';
+
+// Commands whose reply text may arrive after rr_gcode returns
+const REPLY_EXPECTED = /^(?:M20|M36|M39|M114|M115|M119|M122|M408|M409)\b/i;
+
+class SerialTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.path = options.path ?? '/dev/ttyUSB0';
+    this.baudRate = options.baudRate ?? 115200;
+
+    // USB serial can corrupt bytes - use N line numbers and checksums
+    this.reliableLink = false;
+
+    this.port = null;
+    this.parser = null;
+  }
+
+  get description() {
+    return `serial ${this.path} @ ${this.baudRate}`;
+  }
+
+  open() {
+    this.port = new SerialPort({
+      path: this.path,
+      baudRate: this.baudRate,
+      autoOpen: false
+    });
+
+    this.parser = this.port.pipe(new ReadlineParser({ delimiter: '\n' }));
+
+    this.port.open((err) => {
+      if (err) {
+        this.emit('error', err);
+      } else {
+        this.emit('open');
+      }
+    });
+
+    this.parser.on('data', (data) => {
+      this.emit('data', data);
+    });
+
+    this.port.on('error', (err) => {
+      this.emit('error', err);
+    });
+
+    this.port.on('close', () => {
+      this.emit('close');
+    });
+  }
+
+  write(line, callback) {
+    this.port.write(line + '\n', callback);
+  }
+
+  close(callback) {
+    if (this.port && this.port.isOpen) {
+      this.port.close(callback);
+    } else if (callback) {
+      callback(null);
+    }
+  }
+}
+
+class HttpTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.host = (options.host ?? 'http://localhost').replace(/\/$/, '');
+    if (!/^https?:\/\//.test(this.host)) {
+      this.host = `http://${this.host}`;
+    }
+    this.password = options.password ?? '';
+    this.requestTimeout = options.requestTimeout ?? 5000;
+    this.replyTimeout = options.replyTimeout ?? 2000;
+    this.replyPollInterval = options.replyPollInterval ?? 50;
+    this.bufferTimeout = options.bufferTimeout ?? 60000;
+
+    // Free space in the board's G-code buffer, as reported by the last rr_gcode
+    this.bufferSpace = null;
+
+    // TCP already guarantees delivery - no line numbers or checksums
+    this.reliableLink = true;
+
+    this.connected = false;
+    this.sessionTimeout = null;
+    this.boardType = null;
+
+    // rr_gcode/rr_reply pairs must not interleave
+    this._chain = Promise.resolve();
+  }
+
+  get description() {
+    return `http ${this.host}`;
+  }
+
+  async open() {
+    try {
+      const time = new Date().toISOString().slice(0, 19);
+      const result = await this._request('rr_connect', { password: this.password, time });
+
+      if (result.err === 1) {
+        throw new Error('Duet rejected the password');
+      } else if (result.err === 2) {
+        throw new Error('Duet has no free sessions');
+      } else if (result.err !== 0) {
+        throw new Error(`rr_connect failed with err ${result.err}`);
+      }
+
+      this.connected = true;
+      this.sessionTimeout = result.sessionTimeout ?? null;
+      this.boardType = result.boardType ?? null;
+      this.emit('open');
+    } catch (err) {
+      this.emit('error', err);
+    }
+  }
+
+  // Send one command and emit its reply followed by a synthetic 'ok'. A failed request is
+  // answered with an error line and 'ok' so the waiting command fails at once.
+  write(line, callback) {
+    this._chain = this._chain.then(async () => {
+      // Writes queued behind a request that lost the connection are never sent
+      if (!this.connected) {
+        if (callback) callback(new Error('Not connected'));
+        return;
+      }
+
+      try {
+        await this._waitForBufferSpace(line);
+        const result = await this._request('rr_gcode', { gcode: line });
+        this.bufferSpace = result.buff ?? null;
+      } catch (err) {
+        if (callback) callback(null);
+        this._replyError(err);
+        return;
+      }
+
+      if (callback) callback(null);
+
+      let reply;
+      try {
+        reply = await this._awaitReply(line);
+      } catch (err) {
+        this._replyError(err);
+        return;
+      }
+
+      for (const replyLine of reply.split('\n')) {
+        if (replyLine.trim()) this.emit('data', replyLine);
+      }
+      this.emit('data', 'ok');
+    });
+  }
+
+  // Upload a file to the board's SD card (rr_upload)
+  async upload(filename, content) {
+    const name = filename.includes(':') ? filename : `0:/gcodes/${filename}`;
+    const time = new Date().toISOString().slice(0, 19);
+    const url = this._url('rr_upload', { name, time });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      body: content,
+      headers: { 'Content-Type': 'application/octet-stream' },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`rr_upload failed with HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (result.err !== 0) {
+      throw new Error(`rr_upload failed with err ${result.err}`);
+    }
+    return result;
+  }
+
+  close(callback) {
+    if (!this.connected) {
+      if (callback) callback(null);
+      return;
+    }
+
+    this.connected = false;
+    this._request('rr_disconnect')
+      .then(() => callback && callback(null))
+      .catch(err => callback && callback(err));
+  }
+
+  // Hold the next command while the board's G-code buffer has no room for it
+  async _waitForBufferSpace(line) {
+    const needed = Buffer.byteLength(line) + 1;
+    const deadline = Date.now() + this.bufferTimeout;
+
+    while (this.bufferSpace !== null && this.bufferSpace < needed) {
+      if (Date.now() >= deadline) {
+        throw new Error(`G-code buffer still full after ${this.bufferTimeout}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.replyPollInterval));
+      const result = await this._request('rr_gcode', { gcode: '' });
+      this.bufferSpace = result.buff ?? null;
+    }
+  }
+
+  // Poll rr_reply until the command's output shows up (or it clearly has none)
+  async _awaitReply(line) {
+    const expectsReply = REPLY_EXPECTED.test(line.trim());
+    const deadline = Date.now() + this.replyTimeout;
+    let reply = await this._request('rr_reply', {}, 'text');
+
+    while (!reply.trim() && expectsReply && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.replyPollInterval));
+      reply = await this._request('rr_reply', {}, 'text');
+    }
+
+    return reply;
+  }
+
+  // Answer the command being written with the request's failure
+  _replyError(err) {
+    this.emit('data', `Error: ${err.message}`);
+    this.emit('data', 'ok');
+    this._handleRequestError(err);
+  }
+
+  // Timeouts and refused connections mean the board is gone; a 401 means it rebooted or dropped
+  // our session. Either way the connection is closed so Duet reconnects with rr_connect.
+  _handleRequestError(err) {
+    this.emit('error', err);
+    if (this.connected && (err.name === 'TimeoutError' || err.cause?.code === 'ECONNREFUSED' || err.status === 401)) {
+      this.connected = false;
+      this.emit('close');
+    }
+  }
+
+  _url(endpoint, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `${this.host}/${endpoint}${query ? `?${query}` : ''}`;
+  }
+
+  async _request(endpoint, params = {}, format = 'json') {
+    const response = await fetch(this._url(endpoint, params), {
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      const err = new Error(`${endpoint} failed with HTTP ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    return format === 'json' ? response.json() : response.text();
+  }
+}
+
+// Create a transport from Duet options
+function createTransport(type, options = {}) {
+  switch (type) {
+    case 'serial':
+      return new SerialTransport({ path: options.serialPath, baudRate: options.baudRate });
+    case 'http':
+      return new HttpTransport({
+        host: options.host,
+        password: options.password,
+        requestTimeout: options.requestTimeout
+      });
+    default:
+      throw new Error(`Unknown Duet transport: ${type}`);
+  }
+}
+
+export { SerialTransport, HttpTransport, createTransport };
+export default createTransport;
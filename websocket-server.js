@@ -1,15 +1,21 @@
 // WebSocket Server
 // Manages WebSocket connections and broadcasts real-time updates
 
+import { EventEmitter } from 'events';
 import { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 
-class WSServer {
+class WSServer extends EventEmitter {
   constructor(httpServer, options = {}) {
+    super();
+
     this.devMode = options.devMode ?? (process.env.DEV_MODE === 'true');
-    this.clients = new Map(); // clientId -> { ws, subscriptions: Set }
+    this.clients = new Map(); // clientId -> { ws, subscriptions: Set, machines: Set }
     this.jobSubscriptions = new Map(); // jobId -> Set of clientIds
 
+    // Clients not subscribed to any machine receive the default machine's events
+    this.defaultMachineId = options.defaultMachineId ?? null;
+
     // Create WebSocket server attached to HTTP server
     this.wss = new WebSocketServer({
       server: httpServer,
@@ -28,9 +34,16 @@ class WSServer {
     this.clients.set(clientId, {
       ws,
       subscriptions: new Set(),
+      machines: new Set(),
       connectedAt: new Date()
     });
 
+    // Allow picking a machine channel when connecting: /ws?machine=<id>
+    const machineId = new URL(req.url, 'http://localhost').searchParams.get('machine');
+    if (machineId) {
+      this.clients.get(clientId).machines.add(machineId);
+    }
+
     console.log(`WebSocket client connected: ${clientId}`);
 
     // Send welcome message
@@ -83,6 +96,23 @@ class WSServer {
         this._unsubscribeFromJob(clientId, message.data?.jobId);
         break;
 
+      case 'subscribe-machine':
+        this._subscribeToMachine(clientId, message.data?.machineId);
+        break;
+
+      case 'unsubscribe-machine':
+        this._unsubscribeFromMachine(clientId, message.data?.machineId);
+        break;
+
+      case 'pen-change-confirm':
+        // Handled by the machine registry, which owns the job managers
+        this.emit('pen-change-confirm', {
+          clientId,
+          machineId: message.data?.machineId ?? null,
+          jobId: message.data?.jobId
+        });
+        break;
+
       case 'ping':
         this._send(client.ws, { type: 'pong', data: { timestamp: Date.now() } });
         break;
@@ -158,6 +188,36 @@ class WSServer {
     });
   }
 
+  _subscribeToMachine(clientId, machineId) {
+    if (!machineId) return;
+
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    client.machines.add(machineId);
+    console.log(`Client ${clientId} subscribed to machine ${machineId}`);
+
+    this._send(client.ws, {
+      type: 'subscribed-machine',
+      data: { machineId }
+    });
+  }
+
+  _unsubscribeFromMachine(clientId, machineId) {
+    if (!machineId) return;
+
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    client.machines.delete(machineId);
+    console.log(`Client ${clientId} unsubscribed from machine ${machineId}`);
+
+    this._send(client.ws, {
+      type: 'unsubscribed-machine',
+      data: { machineId }
+    });
+  }
+
   _send(ws, message) {
     if (ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify({
@@ -182,6 +242,37 @@ class WSServer {
     }
   }
 
+  // Broadcast to clients following a machine's channel
+  broadcastToMachine(machineId, event) {
+    const message = {
+      ...event,
+      timestamp: Date.now()
+    };
+    const payload = JSON.stringify(message);
+
+    for (const [clientId, client] of this.clients) {
+      const follows = client.machines.has(machineId) ||
+        (client.machines.size === 0 && machineId === this.defaultMachineId);
+      if (follows && client.ws.readyState === client.ws.OPEN) {
+        client.ws.send(payload);
+      }
+    }
+  }
+
+  // Machine-wide events go to the machine's channel when one is given
+  _broadcastFor(machineId, event) {
+    if (machineId) {
+      this.broadcastToMachine(machineId, event);
+    } else {
+      this.broadcast(event);
+    }
+  }
+
+  // Get a channel that tags and routes events for one machine
+  channel(machineId) {
+    return new WSChannel(this, machineId);
+  }
+
   // Broadcast only to clients subscribed to a specific job
   broadcastToJob(jobId, event) {
     const subscribers = this.jobSubscriptions.get(jobId);
@@ -203,10 +294,11 @@ class WSServer {
 
   // Convenience methods for common events
 
-  emitJobCreated(job) {
-    this.broadcast({
+  emitJobCreated(job, machineId = null) {
+    this._broadcastFor(machineId, {
       type: 'job:created',
       data: {
+        machineId,
         jobId: job.id,
         filename: job.filename,
         stats: job.stats,
@@ -215,30 +307,33 @@ class WSServer {
     });
   }
 
-  emitJobStarted(job) {
+  emitJobStarted(job, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:started',
       data: {
+        machineId,
         jobId: job.id,
         startedAt: job.startedAt
       }
     });
   }
 
-  emitJobProgress(job, progress) {
+  emitJobProgress(job, progress, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:progress',
       data: {
+        machineId,
         jobId: job.id,
         ...progress
       }
     });
   }
 
-  emitLayerChange(job, layer) {
+  emitLayerChange(job, layer, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:layer-change',
       data: {
+        machineId,
         jobId: job.id,
         layer: layer.index,
         layerName: layer.name,
@@ -248,30 +343,33 @@ class WSServer {
     });
   }
 
-  emitJobPaused(job) {
+  emitJobPaused(job, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:paused',
       data: {
+        machineId,
         jobId: job.id,
         pausedAt: Date.now()
       }
     });
   }
 
-  emitJobResumed(job) {
+  emitJobResumed(job, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:resumed',
       data: {
+        machineId,
         jobId: job.id,
         resumedAt: Date.now()
       }
     });
   }
 
-  emitJobCompleted(job) {
+  emitJobCompleted(job, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:completed',
       data: {
+        machineId,
         jobId: job.id,
         elapsedMs: job.completedAt - job.startedAt,
         totalLines: job.stats.totalLines
@@ -279,10 +377,11 @@ class WSServer {
     });
   }
 
-  emitJobError(job, error) {
+  emitJobError(job, error, machineId = null) {
     this.broadcastToJob(job.id, {
       type: 'job:error',
       data: {
+        machineId,
         jobId: job.id,
         error: error.message,
         line: error.line || null,
@@ -291,25 +390,90 @@ class WSServer {
     });
   }
 
-  emitPosition(position) {
-    this.broadcast({
+  emitPosition(position, machineId = null) {
+    this._broadcastFor(machineId, {
       type: 'position:update',
-      data: position
+      data: machineId ? { ...position, machineId } : position
     });
   }
 
-  emitMachineStatus(status) {
-    this.broadcast({
+  emitMachineStatus(status, machineId = null) {
+    this._broadcastFor(machineId, {
       type: 'machine:status',
-      data: status
+      data: machineId ? { ...status, machineId } : status
+    });
+  }
+
+  emitQueueUpdated(queue, machineId = null) {
+    this._broadcastFor(machineId, {
+      type: 'queue:updated',
+      data: { machineId, ...queue }
     });
   }
 
+  // ink: the pens short of ink for the job, when that is why it waits ([] for waitForConfirm)
+  emitConfirmationRequired(job, ink = [], machineId = null) {
+    this._broadcastFor(machineId, {
+      type: 'job:confirmation-required',
+      data: {
+        machineId,
+        jobId: job.id,
+        filename: job.filename,
+        reason: ink.length > 0 ? 'ink' : 'confirm',
+        ink
+      }
+    });
+  }
+
+  emitPenChangeRequired(job, penChange, machineId = null) {
+    this._broadcastFor(machineId, {
+      type: 'job:pen-change-required',
+      data: {
+        machineId,
+        jobId: job.id,
+        filename: job.filename,
+        line: penChange.line,
+        color: penChange.color,
+        tool: penChange.tool,
+        previousColor: penChange.previous.color,
+        previousTool: penChange.previous.tool,
+        parkPosition: penChange.parkPosition,
+        requestedAt: penChange.requestedAt
+      }
+    });
+  }
+
+  emitPenLowInk(pen, tool, job, machineId = null) {
+    this._broadcastFor(machineId, {
+      type: 'pen:low-ink',
+      data: {
+        machineId,
+        jobId: job ? job.id : null,
+        tool,
+        penId: pen.id,
+        name: pen.name,
+        color: pen.color,
+        inkRemainingM: pen.inkRemainingM,
+        inkCapacityM: pen.inkCapacityM
+      }
+    });
+  }
+
+  // Report a failed request back to the client that made it
+  sendError(clientId, message) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      this._send(client.ws, { type: 'error', data: { message } });
+    }
+  }
+
   // Get connection stats
   getStats() {
     return {
       totalClients: this.clients.size,
-      activeSubscriptions: this.jobSubscriptions.size
+      activeSubscriptions: this.jobSubscriptions.size,
+      machineSubscriptions: Array.from(this.clients.values())
+        .reduce((sum, client) => sum + client.machines.size, 0)
     };
   }
 
@@ -339,4 +503,70 @@ class WSServer {
   }
 }
 
+// Per-machine view of the WebSocket server with the same emit methods,
+// so a machine's JobManager can use it in place of the server itself
+class WSChannel {
+  constructor(server, machineId) {
+    this.server = server;
+    this.machineId = machineId;
+  }
+
+  emitJobCreated(job) {
+    this.server.emitJobCreated(job, this.machineId);
+  }
+
+  emitJobStarted(job) {
+    this.server.emitJobStarted(job, this.machineId);
+  }
+
+  emitJobProgress(job, progress) {
+    this.server.emitJobProgress(job, progress, this.machineId);
+  }
+
+  emitLayerChange(job, layer) {
+    this.server.emitLayerChange(job, layer, this.machineId);
+  }
+
+  emitJobPaused(job) {
+    this.server.emitJobPaused(job, this.machineId);
+  }
+
+  emitJobResumed(job) {
+    this.server.emitJobResumed(job, this.machineId);
+  }
+
+  emitJobCompleted(job) {
+    this.server.emitJobCompleted(job, this.machineId);
+  }
+
+  emitJobError(job, error) {
+    this.server.emitJobError(job, error, this.machineId);
+  }
+
+  emitQueueUpdated(queue) {
+    this.server.emitQueueUpdated(queue, this.machineId);
+  }
+
+  emitConfirmationRequired(job, ink) {
+    this.server.emitConfirmationRequired(job, ink, this.machineId);
+  }
+
+  emitPenChangeRequired(job, penChange) {
+    this.server.emitPenChangeRequired(job, penChange, this.machineId);
+  }
+
+  emitPenLowInk(pen, tool, job) {
+    this.server.emitPenLowInk(pen, tool, job, this.machineId);
+  }
+
+  emitPosition(position) {
+    this.server.emitPosition(position, this.machineId);
+  }
+
+  emitMachineStatus(status) {
+    this.server.emitMachineStatus(status, this.machineId);
+  }
+}
+
+export { WSChannel };
 export default WSServer;